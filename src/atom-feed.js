@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { SITE_URL } = require('./constants');
+const { HISTORY_DIR } = require('./history');
+const { getItemKey, getFeatureTypeName } = require('./data-processor');
+const { translate } = require('./i18n');
+const { escapeHTML } = require('./html-utils');
+
+const FEED_VERSION = 1;
+
+// Feed readers only need recent entries, so older ones are dropped
+const MAX_FEED_ENTRIES = 100;
+
+/**
+ * Gets the name of a subdivision's feed, which is next to its report.
+ * @param {string} slug - The subdivision slug.
+ * @returns {string}
+ */
+function getFeedFileName(slug) {
+    return `${slug}.atom`;
+}
+
+/**
+ * Gets the path of a country's combined feed.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @returns {string}
+ */
+function getCountryFeedPath(outputDir, countrySlug) {
+    return path.join(outputDir, countrySlug, getFeedFileName(countrySlug));
+}
+
+/**
+ * Gets the path of the file holding the entries of a subdivision's feed. Like the snapshots in
+ * `run-diff.js`, it is kept with the history, so that it is carried over between builds.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @param {string} divisionSlug
+ * @param {string} slug
+ * @returns {string}
+ */
+function getFeedEntriesPath(outputDir, countrySlug, divisionSlug, slug) {
+    return path.join(outputDir, HISTORY_DIR, 'feeds', countrySlug, divisionSlug, `${slug}.json`);
+}
+
+/**
+ * Makes the absolute URL of a file on the site.
+ * @param {string} sitePath - The path of the file, relative to the site root, with `/` separators.
+ * @returns {string}
+ */
+function getSiteUrl(sitePath) {
+    return new URL(encodeURI(sitePath), SITE_URL).href;
+}
+
+/**
+ * Creates the feed entries of the items that became invalid in this build.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @param {Set<string>} newKeys - The keys of the new items, from `diffRuns`.
+ * @param {string} reportPath - The path of the subdivision's report, relative to the site root.
+ * @param {number} timestamp - When the data was fetched, in milliseconds since the epoch.
+ * @param {string} locale - The locale used to name features without a name.
+ * @returns {Array<Object>}
+ */
+function createFeedEntries(invalidNumbers, newKeys, reportPath, timestamp, locale) {
+    return invalidNumbers
+        .filter(item => newKeys.has(getItemKey(item)))
+        .map(item => ({
+            key: getItemKey(item),
+            name: getFeatureTypeName(item, locale),
+            osmUrl: item.osmUrl,
+            reportPath: reportPath,
+            invalidNumbers: item.invalidNumbers,
+            suggestedFixes: item.suggestedFixes,
+            detectedAt: timestamp,
+        }));
+}
+
+/**
+ * Sorts feed entries newest first, and keeps only the most recent.
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+function limitFeedEntries(entries) {
+    return [...entries]
+        .sort((a, b) => b.detectedAt - a.detectedAt)
+        .slice(0, MAX_FEED_ENTRIES);
+}
+
+/**
+ * Reads the entries of a subdivision's feed.
+ * @param {string} filePath - From `getFeedEntriesPath`.
+ * @returns {Array<Object>} The entries, or none if there are none, or they are unreadable or
+ * from another version.
+ */
+function readFeedEntries(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return saved.version === FEED_VERSION ? saved.entries : [];
+    } catch (error) {
+        console.warn(`Ignoring unreadable feed entries ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Adds new entries to a subdivision's feed, and saves it.
+ * @param {string} filePath - From `getFeedEntriesPath`.
+ * @param {Array<Object>} newEntries - From `createFeedEntries`.
+ * @returns {Array<Object>} All of the feed's entries, newest first.
+ */
+function addFeedEntries(filePath, newEntries) {
+    const entries = limitFeedEntries([...newEntries, ...readFeedEntries(filePath)]);
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ version: FEED_VERSION, entries }));
+    fs.renameSync(tempPath, filePath);
+    return entries;
+}
+
+/**
+ * Creates the Atom XML of one entry.
+ * @param {Object} entry - From `createFeedEntries`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createAtomEntry(entry, locale) {
+    const reportUrl = `${getSiteUrl(entry.reportPath)}#${entry.key}`;
+    const updated = new Date(entry.detectedAt).toISOString();
+    const id = `tag:${new URL(SITE_URL).hostname},2025:${entry.reportPath}#${entry.key}@${entry.detectedAt}`;
+
+    const tagLines = Object.entries(entry.invalidNumbers).map(([tag, value]) => {
+        const fix = entry.suggestedFixes[tag];
+        const fixText = fix ? ` (${translate('suggestedFix', locale)}: ${escapeHTML(fix)})` : '';
+        return `<li>${escapeHTML(tag)}=${escapeHTML(value)}${fixText}</li>`;
+    }).join('');
+    const content = `<ul>${tagLines}</ul>`
+        + `<p><a href="${entry.osmUrl}">${translate('openLocation', locale)}</a>`
+        + ` | <a href="${reportUrl}">${translate('viewInReport', locale)}</a></p>`;
+
+    return `
+  <entry>
+    <id>${escapeHTML(id)}</id>
+    <title>${escapeHTML(entry.name)}</title>
+    <updated>${updated}</updated>
+    <link rel="alternate" href="${escapeHTML(entry.osmUrl)}"/>
+    <link rel="related" type="text/html" href="${escapeHTML(reportUrl)}"/>
+    <content type="html">${escapeHTML(content)}</content>
+  </entry>`;
+}
+
+/**
+ * Creates an Atom feed of newly invalid items.
+ * @param {{title: string, feedPath: string, pagePath: string, updated: number}} feed - The paths
+ * of the feed and of the page it belongs to, relative to the site root, and when it was last built.
+ * @param {Array<Object>} entries - From `createFeedEntries`, newest first.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createAtomFeed(feed, entries, locale) {
+    const feedUrl = getSiteUrl(feed.feedPath);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${locale}">
+  <id>${escapeHTML(feedUrl)}</id>
+  <title>${escapeHTML(feed.title)}</title>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+  <author><name>${translate('osmPhoneNumberValidation', locale)}</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeHTML(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHTML(getSiteUrl(feed.pagePath))}"/>${entries.map(entry => createAtomEntry(entry, locale)).join('')}
+</feed>
+`;
+}
+
+/**
+ * Writes the feed of a subdivision next to its report.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {{name: string, slug: string}} country - The country's unescaped name and slug.
+ * @param {{name: string, divisionSlug: string, slug: string}} subdivision - The subdivision's unescaped name and slugs.
+ * @param {Array<Object>} entries - From `addFeedEntries`.
+ * @param {string} locale
+ * @param {number} timestamp - When the data was fetched, in milliseconds since the epoch.
+ */
+async function writeSubdivisionFeed(outputDir, country, subdivision, entries, locale, timestamp) {
+    const divisionPath = `${country.slug}/${subdivision.divisionSlug}`;
+    const content = createAtomFeed({
+        title: translate('feedTitle', locale, [`${subdivision.name}, ${country.name}`]),
+        feedPath: `${divisionPath}/${getFeedFileName(subdivision.slug)}`,
+        pagePath: `${divisionPath}/${subdivision.slug}.html`,
+        updated: timestamp,
+    }, entries, locale);
+    await fs.promises.writeFile(path.join(outputDir, country.slug, subdivision.divisionSlug, getFeedFileName(subdivision.slug)), content);
+}
+
+/**
+ * Writes the combined feed of a country, from the saved entries of its subdivisions. This way
+ * subdivisions skipped by a resumed build, or unavailable in this one, are still included.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {Object} countryStats - The country stats object built in `main.js`, with the unescaped name.
+ * @param {number} timestamp - When the country was built, in milliseconds since the epoch.
+ */
+function writeCountryFeed(outputDir, countryStats, timestamp) {
+    const entries = Object.values(countryStats.groupedDivisionStats)
+        .flat()
+        .flatMap(stats => readFeedEntries(getFeedEntriesPath(outputDir, countryStats.slug, stats.divisionSlug, stats.slug)));
+
+    const content = createAtomFeed({
+        title: translate('feedTitle', countryStats.locale, [countryStats.name]),
+        feedPath: `${countryStats.slug}/${getFeedFileName(countryStats.slug)}`,
+        pagePath: `${countryStats.slug}/`,
+        updated: timestamp,
+    }, limitFeedEntries(entries), countryStats.locale);
+    fs.writeFileSync(getCountryFeedPath(outputDir, countryStats.slug), content);
+}
+
+module.exports = {
+    MAX_FEED_ENTRIES,
+    getFeedFileName,
+    getCountryFeedPath,
+    getFeedEntriesPath,
+    createFeedEntries,
+    readFeedEntries,
+    addFeedEntries,
+    createAtomFeed,
+    writeSubdivisionFeed,
+    writeCountryFeed,
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Reads a manifest file, starting afresh if it is missing, unreadable or from another version.
+ * @param {string} filePath
+ * @returns {{version: number, divisions: Object, subdivisions: Object}}
+ */
+function readManifest(filePath) {
+    const empty = { version: MANIFEST_VERSION, divisions: {}, subdivisions: {} };
+    if (!fs.existsSync(filePath)) {
+        return empty;
+    }
+    try {
+        const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (manifest.version !== MANIFEST_VERSION) {
+            console.warn(`Ignoring build manifest ${filePath} from version ${manifest.version}.`);
+            return empty;
+        }
+        return { ...empty, ...manifest };
+    } catch (error) {
+        console.warn(`Ignoring unreadable build manifest ${filePath}:`, error.message);
+        return empty;
+    }
+}
+
+/**
+ * Gets the manifest key for a subdivision, or for a division if no subdivision slug is given.
+ * @param {string} countrySlug
+ * @param {string} divisionSlug
+ * @param {string} [slug]
+ * @returns {string}
+ */
+function getManifestKey(countrySlug, divisionSlug, slug) {
+    return [countrySlug, divisionSlug, slug].filter(Boolean).join('/');
+}
+
+/**
+ * Checks whether a manifest entry was fetched within the last `windowSeconds`.
+ * @param {{fetchedAt: number}|undefined} entry
+ * @param {number} windowSeconds
+ * @returns {boolean}
+ */
+function isFresh(entry, windowSeconds) {
+    return Boolean(entry) && (Date.now() - entry.fetchedAt) <= windowSeconds * 1000;
+}
+
+/**
+ * Opens the build manifest in an output directory, which records what each build has
+ * completed so that an interrupted build can be resumed.
+ *
+ * For each division it records the list of subdivisions, and for each subdivision the time
+ * its data was fetched, the number of elements, its stats and the path of its report
+ * (relative to the output directory, or null for a stats-only build).
+ *
+ * The file is rewritten after every change, to a temporary path which is then renamed, so
+ * a build that dies part way through leaves a complete manifest of everything before it.
+ * @param {string} outputDir - The directory the site is written to.
+ * @returns {{
+ *  filePath: string,
+ *  getSubdivisions: function(string, number): Array<{name: string, id: number}>|null,
+ *  recordSubdivisions: function(string, Array<{name: string, id: number}>): void,
+ *  getCompleted: function(string, number, boolean): Object|null,
+ *  recordCompleted: function(string, {fetchedAt: number, elementCount: number, stats: Object, outputPath: string|null}): void
+ * }}
+ */
+function openBuildManifest(outputDir) {
+    const filePath = path.join(outputDir, MANIFEST_FILE);
+    const manifest = readManifest(filePath);
+
+    /**
+     * Writes the manifest to disk.
+     */
+    function save() {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Gets the subdivisions recorded for a division, if they were fetched within the window.
+         * @param {string} key - From `getManifestKey`, without a subdivision slug.
+         * @param {number} windowSeconds
+         * @returns {Array<{name: string, id: number}>|null}
+         */
+        getSubdivisions(key, windowSeconds) {
+            const entry = manifest.divisions[key];
+            return isFresh(entry, windowSeconds) ? entry.subdivisions : null;
+        },
+
+        /**
+         * Records the subdivisions of a division.
+         * @param {string} key
+         * @param {Array<{name: string, id: number}>} subdivisions
+         */
+        recordSubdivisions(key, subdivisions) {
+            manifest.divisions[key] = { fetchedAt: Date.now(), subdivisions };
+            save();
+        },
+
+        /**
+         * Gets the entry for a subdivision, if it was completed within the window.
+         * @param {string} key - From `getManifestKey`.
+         * @param {number} windowSeconds
+         * @param {boolean} needsOutput - If true, the entry only counts as completed if its report still exists.
+         * @returns {{fetchedAt: number, elementCount: number, stats: Object, outputPath: string|null}|null}
+         */
+        getCompleted(key, windowSeconds, needsOutput) {
+            const entry = manifest.subdivisions[key];
+            if (!isFresh(entry, windowSeconds)) {
+                return null;
+            }
+            if (needsOutput && !(entry.outputPath && fs.existsSync(path.join(outputDir, entry.outputPath)))) {
+                return null;
+            }
+            return entry;
+        },
+
+        /**
+         * Records a completed subdivision.
+         * @param {string} key
+         * @param {{fetchedAt: number, elementCount: number, stats: Object, outputPath: string|null}} entry
+         * `fetchedAt` is when its data was fetched, in milliseconds since the epoch.
+         */
+        recordCompleted(key, { fetchedAt, elementCount, stats, outputPath }) {
+            manifest.subdivisions[key] = { fetchedAt, elementCount, stats, outputPath };
+            save();
+        },
+    };
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    getManifestKey,
+    openBuildManifest,
+};
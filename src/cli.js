@@ -0,0 +1,170 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { PUBLIC_DIR } = require('./constants');
+const { safeName } = require('./data-processor');
+const { UsageError } = require('./errors');
+
+// By default, resuming skips subdivisions completed in the last day
+const DEFAULT_RESUME_WINDOW_SECONDS = 24 * 60 * 60;
+
+const USAGE = `Usage: npm start -- [options]
+
+Options:
+  -c, --country <name>       Only build one country, by its key in COUNTRIES or its ISO code (e.g. ZA)
+  -d, --division <name>      Only build one division, by name or slug (e.g. Gauteng or gauteng)
+  -s, --subdivision <name>   Only build one subdivision, by name or slug (e.g. haute-corse)
+      --stats-only           Fetch and validate, but write stats.json instead of any HTML
+      --dry-run              List the subdivisions that would be fetched, without fetching them
+      --resume               Skip subdivisions that the build manifest shows were completed recently
+      --resume-window <secs> How recently a subdivision must have been completed to be skipped (default ${DEFAULT_RESUME_WINDOW_SECONDS})
+  -o, --output <dir>         Write the site to this directory instead of public/
+      --extract <file>       Read a local .osm.pbf or .osm extract instead of querying Overpass
+      --replay               Answer every Overpass query from the cache, never the network
+      --cache-ttl <seconds>  Reuse cached Overpass responses younger than this
+      --concurrency <n>      Process this many subdivisions at once
+      --tile-url <url>       Tile URL template for the report maps, e.g. http://localhost:8080/{z}/{x}/{y}.png
+      --tile-attribution <text>  Attribution to show on the report maps
+      --map-library-url <url>    Load Leaflet for the report maps from here instead of unpkg
+  -h, --help                 Show this help
+
+The options --extract, --cache-ttl, --concurrency, --resume-window, --tile-url, --tile-attribution and
+--map-library-url default to the OSM_EXTRACT, OVERPASS_CACHE_TTL, BUILD_CONCURRENCY, RESUME_WINDOW,
+MAP_TILE_URL, MAP_TILE_ATTRIBUTION and MAP_LIBRARY_URL environment variables.`;
+
+const OPTIONS = {
+    country: { type: 'string', short: 'c' },
+    division: { type: 'string', short: 'd' },
+    subdivision: { type: 'string', short: 's' },
+    'stats-only': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    resume: { type: 'boolean' },
+    'resume-window': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    extract: { type: 'string' },
+    replay: { type: 'boolean' },
+    'cache-ttl': { type: 'string' },
+    concurrency: { type: 'string' },
+    'tile-url': { type: 'string' },
+    'tile-attribution': { type: 'string' },
+    'map-library-url': { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Parses an option that must be a whole number.
+ * @param {string} name - The option name, for the error message.
+ * @param {string|number|undefined} value
+ * @param {number} min - The smallest allowed value.
+ * @returns {number|null} The number, or null if the option was not given.
+ * @throws {UsageError} If the value is not a whole number of at least `min`.
+ */
+function parseInteger(name, value, min) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new UsageError(`${name} must be a whole number of at least ${min}, got '${value}'.`);
+    }
+    return number;
+}
+
+/**
+ * Parses the build's command-line arguments, falling back to the environment variables
+ * that configured the build before there was a CLI.
+ * @param {Array<string>} argv - The arguments, without the node and script paths.
+ * @param {Object} [env=process.env]
+ * @returns {{
+ *  help: boolean,
+ *  country: string|null,
+ *  division: string|null,
+ *  subdivision: string|null,
+ *  statsOnly: boolean,
+ *  dryRun: boolean,
+ *  resume: boolean,
+ *  resumeWindow: number,
+ *  outputDir: string,
+ *  extract: string|null,
+ *  replay: boolean,
+ *  cacheTtl: number,
+ *  concurrency: number|null,
+ *  tileUrl: string|null,
+ *  tileAttribution: string|null,
+ *  mapLibraryUrl: string|null,
+ *  simplified: boolean
+ * }} The build options.
+ * @throws {UsageError} If an option is unknown or invalid.
+ */
+function parseCliArgs(argv, env = process.env) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    if (values['stats-only'] && values['dry-run']) {
+        throw new UsageError('--stats-only and --dry-run cannot be used together.');
+    }
+
+    return {
+        help: Boolean(values.help),
+        country: values.country ?? null,
+        division: values.division ?? null,
+        subdivision: values.subdivision ?? null,
+        statsOnly: Boolean(values['stats-only']),
+        dryRun: Boolean(values['dry-run']),
+        resume: Boolean(values.resume),
+        resumeWindow: parseInteger('--resume-window', values['resume-window'] ?? env.RESUME_WINDOW, 0) ?? DEFAULT_RESUME_WINDOW_SECONDS,
+        outputDir: values.output ? path.resolve(values.output) : PUBLIC_DIR,
+        extract: values.extract ?? env.OSM_EXTRACT ?? null,
+        replay: Boolean(values.replay),
+        cacheTtl: parseInteger('--cache-ttl', values['cache-ttl'] ?? env.OVERPASS_CACHE_TTL, 0) ?? 0,
+        concurrency: parseInteger('--concurrency', values.concurrency ?? env.BUILD_CONCURRENCY, 1),
+        tileUrl: values['tile-url'] ?? env.MAP_TILE_URL ?? null,
+        tileAttribution: values['tile-attribution'] ?? env.MAP_TILE_ATTRIBUTION ?? null,
+        mapLibraryUrl: values['map-library-url'] ?? env.MAP_LIBRARY_URL ?? null,
+        // A test build will only fetch and process numbers for one subdivision of one division of one country
+        simplified: env.BUILD_TYPE === 'simplified',
+    };
+}
+
+/**
+ * Checks whether a name matches a filter given on the command line.
+ * Names and filters are compared by slug, so 'Haute-Corse', 'haute-corse' and
+ * 'HAUTE CORSE' all match.
+ * @param {string} name
+ * @param {string|null} filter - The filter, or null to match everything.
+ * @returns {boolean}
+ */
+function matchesFilter(name, filter) {
+    return filter === null || safeName(name) === safeName(filter);
+}
+
+/**
+ * Selects the countries to build.
+ * @param {Object} countries - The countries, in the format of `COUNTRIES`.
+ * @param {string|null} filter - A key of `countries` or an ISO country code, or null for all of them.
+ * @returns {Array<Object>} The selected country data, in the order of `countries`.
+ * @throws {UsageError} If no country matches the filter.
+ */
+function selectCountries(countries, filter) {
+    const selected = Object.entries(countries)
+        .filter(([key, countryData]) => filter === null
+            || matchesFilter(key, filter)
+            || countryData.countryCode.toLowerCase() === filter.toLowerCase())
+        .map(([, countryData]) => countryData);
+
+    if (selected.length === 0) {
+        const available = Object.entries(countries).map(([key, countryData]) => `${key} (${countryData.countryCode})`);
+        throw new UsageError(`No country matches '${filter}'. Available countries: ${available.join(', ')}.`);
+    }
+    return selected;
+}
+
+module.exports = {
+    USAGE,
+    parseCliArgs,
+    matchesFilter,
+    selectCountries,
+};
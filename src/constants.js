@@ -2,12 +2,119 @@ const path = require('path');
 const { translate } = require('./i18n');
 
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
-const OVERPASS_API_URL = 'https://overpass-api.de/api/interpreter';
+// Overpass API endpoints, tried in order. If one is busy (429 or 504) or can't be reached,
+// the query fails over to the next. Set the OVERPASS_ENDPOINTS environment variable to
+// use a different list, e.g. a local instance.
+// maxConcurrent: how many queries may run against the endpoint at once
+// minIntervalMs: the minimum time between starting two queries
+// checkStatus: whether to wait for a free slot reported by the endpoint's /api/status
+const OVERPASS_ENDPOINTS = [
+    {
+        url: 'https://overpass-api.de/api/interpreter',
+        maxConcurrent: 2,
+        minIntervalMs: 1000,
+        checkStatus: true,
+    },
+];
+
+// Raw Overpass responses are stored here, keyed by a hash of the query
+const OVERPASS_CACHE_DIR = path.join(__dirname, '..', '.cache', 'overpass');
+
+// Where the site is published. Feeds need absolute links, so they are made from this.
+const SITE_URL = 'https://arrival-spring.github.io/osm-phones/';
+
+// The tiles for the map on each report. Use --tile-url and --tile-attribution, or the
+// MAP_TILE_URL and MAP_TILE_ATTRIBUTION environment variables, to use others, e.g. a local tile server.
+const MAP_TILES = {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+};
 
-const PHONE_TAGS = ['phone', 'contact:phone', 'mobile', 'contact:mobile'];
+// The Leaflet files for the map on each report, loaded when the map is first opened. Each is fetched
+// from `url` followed by its path, and the browser refuses it unless it matches its hash. Use
+// --map-library-url, or the MAP_LIBRARY_URL environment variable, to load them from elsewhere, e.g. a
+// copy served with the site, with the same paths. The scripts are loaded in order.
+const MAP_LIBRARIES = {
+    url: 'https://unpkg.com',
+    styles: [
+        { path: 'leaflet@1.9.4/dist/leaflet.css', integrity: 'sha384-sHL9NAb7lN7rfvG5lfHpm643Xkcjzp4jFvuavGOndn6pjVqS6ny56CAt3nsEVT4H' },
+        { path: 'leaflet.markercluster@1.5.3/dist/MarkerCluster.css', integrity: 'sha384-pmjIAcz2bAn0xukfxADbZIb3t8oRT9Sv0rvO+BR5Csr6Dhqq+nZs59P0pPKQJkEV' },
+        { path: 'leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css', integrity: 'sha384-wgw+aLYNQ7dlhK47ZPK7FRACiq7ROZwgFNg0m04avm4CaXS+Z9Y7nMu8yNjBKYC+' },
+    ],
+    scripts: [
+        { path: 'leaflet@1.9.4/dist/leaflet.js', integrity: 'sha384-cxOPjt7s7Iz04uaHJceBmS+qpjv2JkIHNVcuOrM+YHwZOmJGBXI00mdUXEq65HTH' },
+        { path: 'leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js', integrity: 'sha384-eXVCORTRlv4FUUgS/xmOyr66XBVraen8ATNLMESp92FKXLAMiKkerixTiBvXriZr' },
+    ],
+};
+
+// The keys whose numbers are checked, in the order they are shown in a report. A policy applies
+// to one `key`, or to every key starting with `prefix`. Its `kind` groups the keys for labels and
+// totals. Optional rules:
+// - `ignoreValues`: values that aren't numbers, but are valid tagging
+// - `numberTypes`: the libphonenumber-js number types that are allowed, e.g. only mobiles
+// - `allowShortNumbers`: whether short numbers of 2 to 5 digits, such as 112, are valid
+const PHONE_KEY_POLICIES = [
+    { key: 'phone', kind: 'phone' },
+    { key: 'contact:phone', kind: 'phone' },
+    { key: 'mobile', kind: 'mobile', ignoreValues: ['yes', 'no'] },
+    { key: 'contact:mobile', kind: 'mobile' },
+    { key: 'fax', kind: 'fax' },
+    { key: 'contact:fax', kind: 'fax' },
+    { key: 'emergency:phone', kind: 'emergency', allowShortNumbers: true },
+    { key: 'contact:whatsapp', kind: 'whatsapp', numberTypes: ['MOBILE', 'FIXED_LINE_OR_MOBILE'] },
+    { key: 'contact:sms', kind: 'sms', numberTypes: ['MOBILE', 'FIXED_LINE_OR_MOBILE'] },
+    // Numbers for a purpose or language, e.g. phone:mobile or phone:en
+    { prefix: 'phone:', kind: 'phone' },
+];
+
+// Premium-rate and shared-cost numbers are warned about on these amenities, which people may need
+// to call without paying more than for a normal call
+const PREMIUM_RATE_SUSPICIOUS_AMENITIES = [
+    'hospital', 'clinic', 'doctors', 'dentist', 'pharmacy', 'police', 'fire_station',
+    'townhall', 'social_facility', 'school', 'kindergarten', 'library', 'post_office',
+];
 const WEBSITE_TAGS = ['website', 'contact:website'];
 
+// How suggested fixes are written. A country picks one with `formatProfile` in `COUNTRIES`, and
+// uses `international` if it doesn't. Options, all optional:
+// - `groupSeparator`: what goes between the groups of digits after the country code, e.g. '-'
+// - `ignoredSeparators`: characters that, like spaces, don't make a number invalid wherever they are
+// - `nationalFormatTypes`: the libphonenumber-js number types written in national format, without
+//   the country code, e.g. ['TOLL_FREE'] where free numbers can't be called from abroad
+// - `defaultFor`: the codes of countries not in `COUNTRIES` that use the profile
+// Numbers from other countries are always written in the international format.
+const FORMAT_PROFILES = {
+    // libphonenumber-js's international format, e.g. +32 2 555 12 12
+    international: {},
+    // Dashes between the groups of digits, e.g. +1 213-373-4253
+    'us-dashes': { groupSeparator: '-', ignoredSeparators: ['-'], defaultFor: ['US'] },
+    // Free and special-rate numbers, which mostly can't be called from abroad, in the national
+    // format they are advertised in, e.g. 0800 12 345 and 070 22 33 44 in Belgium
+    'national-special-numbers': { nationalFormatTypes: ['TOLL_FREE', 'SHARED_COST', 'PREMIUM_RATE'] },
+};
+
+// Areas near a border where numbers written without a country code may be from the neighbouring
+// country, by the code of the country being checked. In an area, a number that isn't valid for the
+// country is tried with the neighbour's `countryCode`. With `preferred`, the neighbour's plan is
+// tried first, for places whose numbers are also valid at home. Numbers found this way are listed
+// as foreign numbers rather than as errors.
+const BORDER_AREAS = {
+    // Baarle-Hertog and Baarle-Nassau, whose enclaves are mixed together
+    BE: [
+        { countryCode: 'NL', bbox: { minLat: 51.40, minLon: 4.86, maxLat: 51.48, maxLon: 5.00 } },
+    ],
+    NL: [
+        { countryCode: 'BE', bbox: { minLat: 51.40, minLon: 4.86, maxLat: 51.48, maxLon: 5.00 } },
+    ],
+    // San Marino numbers look like Italian ones with the 0549 area code. Vatican City numbers
+    // are part of the Italian plan (+39 06 698), so they need no area.
+    IT: [
+        { countryCode: 'SM', bbox: { minLat: 43.89, minLon: 12.40, maxLat: 43.99, maxLon: 12.52 }, preferred: true },
+    ],
+};
+
 // To add a country, provide name, countryCode, locale
+// and optionally formatProfile, see FORMAT_PROFILES
 // Then either divisions and subdivisionAdminLevel
 // divisions is a map of names to relation ids
 // This fetches all admin_level within each subdivision
@@ -326,14 +433,6 @@ const ALL_EDITOR_IDS = Object.keys(OSM_EDITORS);
 const DEFAULT_EDITORS_DESKTOP = ["iD", "JOSM"];
 const DEFAULT_EDITORS_MOBILE = ["Geo", "Level0"];
 
-const EXCLUSIONS = {
-    'FR': { // France
-        '3631': { // The phone number to check (must be the core number, no country code or spaces)
-            'amenity': 'post_office',
-        },
-    },
-};
-
 // Define the regex for separators that are definitively "bad" and should trigger a fix report.
 const BAD_SEPARATOR_REGEX = /(\s*,\s*)|(\s*\/\s*)|(\s+or\s+)|(\s+and\s+)/gi;
 
@@ -344,6 +443,49 @@ const UNIVERSAL_SPLIT_REGEX = /(?:; ?)|(?:\s*,\s*)|(?:\s*\/\s*)|(?:\s+or\s+)|(?:
 // When used in diff, the groups need to be capturing
 const UNIVERSAL_SPLIT_CAPTURE_REGEX = /(; ?)|(\s*,\s*)|(\s*\/\s*)|(\s+or\s+)|(\s+and\s+)/gi;
 
+// Invisible Unicode characters: zero-width characters, joiners and directional marks. These are
+// often pasted in along with a number.
+const INVISIBLE_CHAR_REGEX = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+// Spaces other than the plain space that are used between digits: no-break, figure and narrow
+// no-break spaces
+const SPECIAL_SPACE_REGEX = /[\u00A0\u2007\u202F]/g;
+
+// The first character of each range of digits that numbers are written with other than 0-9:
+// Arabic-Indic, Eastern Arabic-Indic, Devanagari and full-width digits
+const NON_ASCII_DIGIT_ZEROS = [0x0660, 0x06F0, 0x0966, 0xFF10];
+
+// The digit of each letter on a phone keypad, for numbers like +1 800 FLOWERS
+const KEYPAD_LETTERS = {
+    2: 'ABC', 3: 'DEF', 4: 'GHI', 5: 'JKL', 6: 'MNO', 7: 'PQRS', 8: 'TUV', 9: 'WXYZ',
+};
+
+// Why a tag is invalid, in the order reports list them. Each has a short name and an explanation
+// in the locales, named `issue` and the code, e.g. `issueTooShort` and `issueTooShortDescription`.
+// - For the tag: `badSeparator` between numbers, `repeatedNumber` in the tag, or `redundantTag`,
+//   whose numbers are all in an earlier tag
+// - For a number that can be fixed: `missingCountryCode`, `formatting` other than the country's
+//   format profile, `unusualCharacters` converted by `preNormalizeNumber`, or `extensionFormat`
+// - For a number that can't: `wrongNumberType` for the key, the reasons from libphonenumber's
+//   `validatePhoneNumberLength` (`tooShort`, `tooLong`, `invalidLength`, `invalidCountry` and
+//   `notANumber`), or `unknownAreaCode` if the length is right
+const ISSUE_CODES = [
+    'badSeparator',
+    'repeatedNumber',
+    'redundantTag',
+    'missingCountryCode',
+    'formatting',
+    'unusualCharacters',
+    'extensionFormat',
+    'wrongNumberType',
+    'tooShort',
+    'tooLong',
+    'invalidLength',
+    'unknownAreaCode',
+    'invalidCountry',
+    'notANumber',
+];
+
 const ICON_ATTRIBUTION = [
     {
         name: 'Font Awesome Icons',
@@ -407,8 +549,15 @@ const GITHUB_API_BASE_URL = 'https://api.github.com/repos';
 
 module.exports = {
     PUBLIC_DIR,
-    OVERPASS_API_URL,
-    PHONE_TAGS,
+    OVERPASS_ENDPOINTS,
+    OVERPASS_CACHE_DIR,
+    SITE_URL,
+    MAP_TILES,
+    MAP_LIBRARIES,
+    PHONE_KEY_POLICIES,
+    PREMIUM_RATE_SUSPICIOUS_AMENITIES,
+    FORMAT_PROFILES,
+    BORDER_AREAS,
     WEBSITE_TAGS,
     COUNTRIES,
     FEATURE_TAGS,
@@ -417,10 +566,14 @@ module.exports = {
     ALL_EDITOR_IDS,
     DEFAULT_EDITORS_DESKTOP,
     DEFAULT_EDITORS_MOBILE,
-    EXCLUSIONS,
     BAD_SEPARATOR_REGEX,
     UNIVERSAL_SPLIT_REGEX,
     UNIVERSAL_SPLIT_CAPTURE_REGEX,
+    INVISIBLE_CHAR_REGEX,
+    SPECIAL_SPACE_REGEX,
+    NON_ASCII_DIGIT_ZEROS,
+    KEYPAD_LETTERS,
+    ISSUE_CODES,
     ICONS_DIR,
     GITHUB_API_BASE_URL,
     ICON_PACKS,
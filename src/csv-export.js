@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { getFeatureTypeName, isDisused, getRemovedTags } = require('./data-processor');
+
+// Spreadsheet programs only read a CSV file as UTF-8 if it starts with a byte order mark
+const BOM = '\uFEFF';
+
+// Text starting with one of these is always read as a formula
+const FORMULA_START = /^[=@\t\r]/;
+// Text starting with + or - is too, unless it is only the digits and punctuation of a phone number
+const PHONE_NUMBER = /^[+-][\d\s().\/-]*$/;
+// Text a spreadsheet would read as a number, dropping its leading + or 0
+const PREFIXED_NUMBER = /^[+0]\d+$/;
+
+const CSV_COLUMNS = [
+    'Division',
+    'Subdivision',
+    'Type',
+    'ID',
+    'Name',
+    'Tag',
+    'Value',
+    'Suggested fix',
+    'Autofixable',
+    'Disused',
+    'Website',
+    'Latitude',
+    'Longitude',
+    'OSM URL',
+];
+
+/**
+ * Gets the name of a subdivision's CSV file, which is next to its report.
+ * @param {string} slug - The subdivision slug.
+ * @returns {string}
+ */
+function getCsvFileName(slug) {
+    return `${slug}.csv`;
+}
+
+/**
+ * Gets the path of a country's combined CSV file.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @returns {string}
+ */
+function getCountryCsvPath(outputDir, countrySlug) {
+    return path.join(outputDir, countrySlug, getCsvFileName(countrySlug));
+}
+
+/**
+ * Formats a value as a CSV field. Text that a spreadsheet would read as a formula is prefixed with
+ * an apostrophe, so that it is shown as it is, but phone numbers starting with `+` are left as they
+ * are, since they can't run anything. Numbers without spaces, such as `+3225551212`, are prefixed
+ * too, so that they keep their `+` or leading zero. Fields with a comma, quote or line break are quoted.
+ * @param {string|number|boolean|null|undefined} value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'yes' : 'no';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && (FORMULA_START.test(text) || PREFIXED_NUMBER.test(text)
+        || (/^[+-]/.test(text) && !PHONE_NUMBER.test(text)))) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Formats a row of values as a line of CSV, ending in CRLF.
+ * @param {Array<string|number|boolean|null|undefined>} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+    return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Creates the CSV rows of a subdivision's invalid items, with one row per invalid tag. The suggested
+ * fix of a tag that repeats another is to remove it.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @param {string} locale - The locale used to name features without a name.
+ * @param {{division: string, subdivision: string}} area - The names of the division and subdivision.
+ * @returns {Array<Array<string|number|boolean|null>>}
+ */
+function createCsvRows(invalidNumbers, locale, area) {
+    return invalidNumbers.flatMap(item => {
+        const name = getFeatureTypeName(item, locale);
+        const disused = isDisused(item);
+        const removedTags = getRemovedTags(item);
+        return Object.entries(item.invalidNumbers).map(([tag, value]) => [
+            area.division,
+            area.subdivision,
+            item.type,
+            item.id,
+            name,
+            tag,
+            value,
+            removedTags.includes(tag) ? `remove (duplicate of ${item.redundantTags[tag]})` : item.suggestedFixes[tag] ?? null,
+            Boolean(item.suggestedFixes[tag]) || removedTags.includes(tag),
+            disused,
+            item.website ?? null,
+            item.lat ?? null,
+            item.lon ?? null,
+            item.osmUrl,
+        ]);
+    });
+}
+
+/**
+ * Creates the content of a CSV file, with its byte order mark and header.
+ * @param {Array<Array<string|number|boolean|null>>} rows
+ * @returns {string}
+ */
+function createCsv(rows) {
+    return BOM + formatCsvRow(CSV_COLUMNS) + rows.map(formatCsvRow).join('');
+}
+
+/**
+ * Writes the CSV of a subdivision's invalid items next to its report.
+ * @param {string} divisionDir - The directory of the subdivision's report.
+ * @param {string} slug - The subdivision slug.
+ * @param {Array<Object>} invalidNumbers
+ * @param {string} locale
+ * @param {{division: string, subdivision: string}} area
+ */
+async function writeSubdivisionCsv(divisionDir, slug, invalidNumbers, locale, area) {
+    const content = createCsv(createCsvRows(invalidNumbers, locale, area));
+    await fs.promises.writeFile(path.join(divisionDir, getCsvFileName(slug)), content);
+}
+
+/**
+ * Writes the combined CSV of a country, by joining the CSV files of its subdivisions. This way
+ * subdivisions skipped by a resumed build are still included. Subdivisions whose data was
+ * unavailable are left out.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {Object} countryStats - The country stats object built in `main.js`.
+ */
+function writeCountryCsv(outputDir, countryStats) {
+    const header = BOM + formatCsvRow(CSV_COLUMNS);
+    let content = header;
+    for (const divisionStats of Object.values(countryStats.groupedDivisionStats)) {
+        for (const stats of divisionStats) {
+            if (stats.dataUnavailable) {
+                continue;
+            }
+            const filePath = path.join(outputDir, countryStats.slug, stats.divisionSlug, getCsvFileName(stats.slug));
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+            const subdivisionContent = fs.readFileSync(filePath, 'utf8');
+            // Leave out files written by an older version, whose columns may not match
+            if (subdivisionContent.startsWith(header)) {
+                content += subdivisionContent.slice(header.length);
+            }
+        }
+    }
+
+    const filePath = getCountryCsvPath(outputDir, countryStats.slug);
+    fs.writeFileSync(filePath, content);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    getCsvFileName,
+    getCountryCsvPath,
+    formatCsvField,
+    createCsvRows,
+    createCsv,
+    writeSubdivisionCsv,
+    writeCountryCsv,
+};
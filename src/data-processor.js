@@ -1,6 +1,25 @@
-const { parsePhoneNumber } = require('libphonenumber-js');
+const { parsePhoneNumber, getCountryCallingCode, validatePhoneNumberLength } = require('libphonenumber-js');
+// Only the full metadata knows the type of a number, e.g. whether it is a mobile
+const { parsePhoneNumber: parsePhoneNumberWithTypes } = require('libphonenumber-js/max');
 const { getBestPreset, getGeometry } = require('./preset-matcher');
-const { FEATURE_TAGS, HISTORIC_AND_DISUSED_PREFIXES, EXCLUSIONS, PHONE_TAGS, WEBSITE_TAGS, BAD_SEPARATOR_REGEX, UNIVERSAL_SPLIT_REGEX } = require('./constants');
+const {
+    FEATURE_TAGS,
+    HISTORIC_AND_DISUSED_PREFIXES,
+    WEBSITE_TAGS,
+    PREMIUM_RATE_SUSPICIOUS_AMENITIES,
+    BORDER_AREAS,
+    BAD_SEPARATOR_REGEX,
+    UNIVERSAL_SPLIT_REGEX,
+    INVISIBLE_CHAR_REGEX,
+    SPECIAL_SPACE_REGEX,
+    NON_ASCII_DIGIT_ZEROS,
+    KEYPAD_LETTERS,
+    ISSUE_CODES,
+} = require('./constants');
+const { getExclusionRules, findExclusionRule } = require('./exclusions');
+const { getKeyPolicy, getPhoneKeys, addKindTotals } = require('./phone-keys');
+const { isPointInBoundingBox } = require('./geometry');
+const { getFormatProfile, formatNumber, getIgnoredSeparatorRegex } = require('./format-profiles');
 
 /**
  * Converts a country or region name into a 'safe' string (slug) suitable for
@@ -96,8 +115,7 @@ function getFeatureType(item) {
 
 /**
  * Determines a readable feature name from OSM tags.
- * If the feature has a `name` tag, it is returned. Otherwise, it attempts to find a
- * descriptive name from presets, or falls back to a formatted feature type.
+ * If the feature has a `name` tag, it is returned. Otherwise, it falls back to `getPresetName`.
  * @param {object} item - An OSM object including allTags.
  * @param {string} locale - The locale for translating preset names.
  * @returns {string} A displayable name for the feature.
@@ -106,7 +124,17 @@ function getFeatureTypeName(item, locale) {
     if (item.name) {
         return `${item.name}`;
     }
+    return getPresetName(item, locale);
+}
 
+/**
+ * Determines a readable name for the kind of feature, whatever its name.
+ * It attempts to find a descriptive name from presets, or falls back to a formatted feature type.
+ * @param {object} item - An OSM object including allTags.
+ * @param {string} locale - The locale for translating preset names.
+ * @returns {string} E.g. `Restaurant`.
+ */
+function getPresetName(item, locale) {
     const preset = getBestPreset(item, locale);
     if (preset && preset.name) {
         return preset.name;
@@ -169,119 +197,358 @@ function stripExtension(numberStr) {
 }
 
 /**
- * Checks if a parsed phone number matches any defined exclusions based on country 
- * code and OSM tags.
+ * Checks whether a string is a valid number in a country, without throwing.
+ * @param {string} numberStr
+ * @param {string} countryCode
+ * @returns {boolean}
+ */
+function isValidNumber(numberStr, countryCode) {
+    try {
+        const phoneNumber = parsePhoneNumber(numberStr, countryCode);
+        return Boolean(phoneNumber && phoneNumber.isValid());
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Replaces a digit from another script, such as a full-width or Arabic-Indic digit, by 0-9.
+ * @param {string} char
+ * @returns {string} The digit, or the character if it isn't one of `NON_ASCII_DIGIT_ZEROS`.
+ */
+function toAsciiDigit(char) {
+    const code = char.codePointAt(0);
+    const zero = NON_ASCII_DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+    return zero === undefined ? char : String(code - zero);
+}
+
+/**
+ * Replaces letters by their digits on a phone keypad.
+ * @param {string} numberStr
+ * @returns {string} E.g. `+1 800 FLOWERS` becomes `+1 800 3569377`.
+ */
+function convertVanityLetters(numberStr) {
+    return numberStr.replace(/[A-Za-z]/g, letter => Object.keys(KEYPAD_LETTERS)
+        .find(digit => KEYPAD_LETTERS[digit].includes(letter.toUpperCase())));
+}
+
+/**
+ * Converts forms of a number that hide or spell out its digits to a plain candidate for parsing.
+ * The transformations applied are listed by code:
+ * - `invisibleCharacters`: zero-width characters and directional marks are removed
+ * - `specialSpaces`: no-break spaces and the like become plain spaces
+ * - `nonAsciiDigits`: full-width, Arabic-Indic and other digits become 0-9
+ * - `telUri`: the `tel:` of a URI is removed
+ * - `vanityLetters`: letters become their digits on a phone keypad, if the number starts with
+ *   digits and is only valid with them, so that text after a number, such as `Fax`, is left alone
+ * @param {string} numberStr - The number as written.
+ * @param {string} countryCode - The country code, to check numbers with letters.
+ * @returns {{candidate: string, normalizations: Array<string>}}
+ */
+function preNormalizeNumber(numberStr, countryCode) {
+    const normalizations = [];
+    let candidate = numberStr;
+    const apply = (code, transform) => {
+        const transformed = transform(candidate);
+        if (transformed !== candidate) {
+            normalizations.push(code);
+            candidate = transformed;
+        }
+    };
+
+    apply('invisibleCharacters', value => value.replace(INVISIBLE_CHAR_REGEX, ''));
+    apply('specialSpaces', value => value.replace(SPECIAL_SPACE_REGEX, ' '));
+    // With the full-width plus sign, which can come with full-width digits
+    apply('nonAsciiDigits', value => value.replace(/\uFF0B/g, '+').replace(/[^\x00-\x7F]/g, toAsciiDigit));
+    apply('telUri', value => value.replace(/^\s*tel:\s*/i, ''));
+
+    const isVanityNumber = /^\s*\+?(?:[\s\-.()]*\d){3}[\d\s\-.()]*[A-Za-z]{2}[A-Za-z\d\s\-.]*$/.test(candidate);
+    if (isVanityNumber && !isValidNumber(candidate, countryCode) && isValidNumber(convertVanityLetters(candidate), countryCode)) {
+        apply('vanityLetters', convertVanityLetters);
+    }
+
+    return { candidate, normalizations };
+}
+
+/**
+ * Gets the issue code of a number that isn't valid, from libphonenumber's reason.
+ * @param {string} numberStr - The number, as parsed.
+ * @param {string} countryCode
+ * @returns {string} One of the `ISSUE_CODES`, `unknownAreaCode` if the length is right.
+ */
+function getInvalidNumberIssue(numberStr, countryCode) {
+    const LENGTH_ISSUES = {
+        TOO_SHORT: 'tooShort',
+        TOO_LONG: 'tooLong',
+        INVALID_LENGTH: 'invalidLength',
+        INVALID_COUNTRY: 'invalidCountry',
+        NOT_A_NUMBER: 'notANumber',
+    };
+    const reason = validatePhoneNumberLength(numberStr, countryCode);
+    return reason ? LENGTH_ISSUES[reason] || 'notANumber' : 'unknownAreaCode';
+}
+
+/**
+ * Finds the first of the country's exclusion rules, from `exclusions/<countryCode>.json`, that
+ * accepts a parsed phone number.
  * @param {Object} phoneNumber - The parsed phone number object from libphonenumber-js.
  * @param {string} countryCode - The country code.
  * @param {Object} osmTags - The OpenStreetMap tags associated with the number.
- * @returns {Object|null} - Returns an object with { isInvalid: false, autoFixable: true, suggestedFix } 
- * if an exclusion is matched, otherwise returns null.
+ * @param {string} numberStr - The number as written, for rules matching a regex.
+ * @param {{type: string, id: number}|null} element - The element, for rules listing element IDs.
+ * @param {boolean} foreign - Whether to use the rules for foreign numbers, or the others.
+ * @returns {{id: string, reason: string}|null}
  */
-function checkExclusions(phoneNumber, countryCode, osmTags) {
+function findExclusion(phoneNumber, countryCode, osmTags, numberStr, element, foreign) {
+    const rules = getExclusionRules(countryCode).filter(rule => rule.foreign === foreign);
+    return findExclusionRule(rules, {
+        numberStr: numberStr,
+        phoneNumber: phoneNumber,
+        tags: osmTags,
+        element: element,
+    });
+}
+
+/**
+ * Checks if a parsed phone number is accepted by one of the country's exclusion rules,
+ * from `exclusions/<countryCode>.json`. Rules for foreign numbers are left out, as they don't
+ * accept a number that isn't valid.
+ * @param {Object} phoneNumber - The parsed phone number object from libphonenumber-js.
+ * @param {string} countryCode - The country code.
+ * @param {Object} osmTags - The OpenStreetMap tags associated with the number.
+ * @param {string} [numberStr=''] - The number as written, for rules matching a regex.
+ * @param {{type: string, id: number}|null} [element=null] - The element, for rules listing element IDs.
+ * @returns {Object|null} - Returns an object with { isInvalid: false, autoFixable: true, suggestedFix, exclusion }
+ * if an exclusion is matched, where exclusion has the id and reason of the rule, otherwise returns null.
+ */
+function checkExclusions(phoneNumber, countryCode, osmTags, numberStr = '', element = null) {
     if (!phoneNumber) {
         return null;
     }
 
-    const countryExclusions = EXCLUSIONS[countryCode];
+    const exclusion = findExclusion(phoneNumber, countryCode, osmTags, numberStr, element, false);
 
-    if (countryExclusions) {
-        // Get the core national number without country code
-        const coreNationalNumber = phoneNumber.nationalNumber;
-        const numberExclusions = countryExclusions[coreNationalNumber];
+    if (exclusion) {
+        return {
+            isInvalid: false,
+            autoFixable: true,
+            // The core national number, without country code
+            suggestedFix: phoneNumber.nationalNumber,
+            exclusion: exclusion
+        };
+    }
 
-        if (numberExclusions) {
-            // Check if all required OSM tag key/value pair matches the input osmTags
-            for (const key in numberExclusions) {
-                if (numberExclusions.hasOwnProperty(key)) {
-                    if (osmTags[key] === numberExclusions[key]) {
-                        return {
-                            isInvalid: false,
-                            autoFixable: true,
-                            suggestedFix: coreNationalNumber
-                        };
-                    }
-                }
+    return null;
+}
+
+/**
+ * Parses a number written without a country code with the plan of a neighbouring country, if its
+ * element is in one of the country's `BORDER_AREAS`.
+ * @param {string} numberStr - The number as written.
+ * @param {string} countryCode - The country being checked.
+ * @param {Object|null} element - The element, with its location.
+ * @param {Object|undefined} homeNumber - The number as parsed for the country being checked.
+ * @returns {Object|null} The number parsed for the neighbour, or null if it isn't valid there,
+ * has a country code, or the element isn't in a border area.
+ */
+function parseInBorderArea(numberStr, countryCode, element, homeNumber) {
+    const lat = element && (element.lat || (element.center && element.center.lat));
+    const lon = element && (element.lon || (element.center && element.center.lon));
+    const hasCountryCode = numberStr.trim().startsWith('+')
+        || (homeNumber && homeNumber.countryCallingCode !== getCountryCallingCode(countryCode));
+    if (lat === undefined || lon === undefined || hasCountryCode) {
+        return null;
+    }
+
+    const isValidAtHome = Boolean(homeNumber && homeNumber.isValid());
+    const areas = (BORDER_AREAS[countryCode] || [])
+        .filter(area => (area.preferred || !isValidAtHome) && isPointInBoundingBox(lat, lon, area.bbox));
+    for (const area of areas) {
+        try {
+            const phoneNumber = parsePhoneNumber(numberStr, area.countryCode);
+            if (phoneNumber && phoneNumber.isValid()) {
+                return phoneNumber;
             }
+        } catch (e) {
+            // Not a number in this plan either
         }
     }
-
     return null;
 }
 
 /**
- * Validates a single phone number string using libphonenumber-js.
+ * The result of checking a single number with `processSingleNumber`. The optional fields are only set
+ * where they apply.
+ * @typedef {Object} NumberResult
+ * @property {boolean} isInvalid
+ * @property {string|null} suggestedFix
+ * @property {boolean} autoFixable
+ * @property {Array<string>} [issues] - Codes from `ISSUE_CODES`, if the number is invalid.
+ * @property {Object} [exclusion] - The exclusion rule that accepted the number.
+ * @property {string} [numberType] - Such as `MOBILE`, if the number is valid and its type is known.
+ * @property {string} [normalizedNumber] - The valid number as a `tel:` URI, to compare numbers.
+ * @property {string} [foreignCountry] - The region code of a valid number from another country, e.g. `NL`.
+ * @property {Array<string>} [normalizations] - Codes of the `preNormalizeNumber` steps behind the fix.
+ */
+
+/**
+ * Validates a single phone number string using libphonenumber-js. The number is first converted by
+ * `preNormalizeNumber`. A rule for foreign numbers only stops a valid number from another country
+ * being listed as foreign, so it is still checked and fixed as usual. Numbers from a neighbouring
+ * country in a border area aren't invalid for lacking a country code.
  * @param {string} numberStr - The phone number string to validate.
  * @param {string} countryCode - The country code for validation.
  * @param {map} osmTags - All the OSM tags of the object, to check against exclusions
- * @returns {{isInvalid: boolean, suggestedFix: string|null, autoFixable: boolean}}
+ * @param {{type: string, id: number}|null} [element=null] - The element, to check against exclusions,
+ * and with its location, to check against `BORDER_AREAS`
+ * @param {Object|null} [policy=null] - The policy of the number's key, from `PHONE_KEY_POLICIES`
+ * @returns {NumberResult}
  */
-function processSingleNumber(numberStr, countryCode, osmTags = {}) {
+function processSingleNumber(numberStr, countryCode, osmTags = {}, element = null, policy = null) {
     let suggestedFix = null;
     let autoFixable = true;
     let isInvalid = false;
+    let numberType;
+    let normalizedNumber;
+    let foreignCountry;
+    let exclusion = null;
+    let issues = [];
+
+    const { candidate, normalizations } = preNormalizeNumber(numberStr, countryCode);
+
+    if (policy && policy.allowShortNumbers && /^\d{2,5}$/.test(candidate.trim())) {
+        const result = { isInvalid: normalizations.length > 0, suggestedFix: candidate.trim(), autoFixable };
+        if (normalizations.length > 0) {
+            result.issues = ['unusualCharacters'];
+            result.normalizations = normalizations;
+        }
+        return result;
+    }
 
     const NON_STANDARD_EXT_PREFIX_REGEX = /([eE][xX][tT])|(\s*\([eE][xX][tT]\)\s*)/;
-    const hasNonStandardExtension = NON_STANDARD_EXT_PREFIX_REGEX.test(numberStr);
-    const spacingRegex = countryCode === 'US' ? /[\s-]/g : /\s/g;
+    const hasNonStandardExtension = NON_STANDARD_EXT_PREFIX_REGEX.test(candidate);
+    const profile = getFormatProfile(countryCode);
+    const spacingRegex = getIgnoredSeparatorRegex(profile);
 
     try {
-        const phoneNumber = parsePhoneNumber(numberStr, countryCode);
+        let phoneNumber = parsePhoneNumber(candidate, countryCode);
 
-        const exclusionResult = checkExclusions(phoneNumber, countryCode, osmTags);
+        const exclusionResult = checkExclusions(phoneNumber, countryCode, osmTags, candidate, element);
         if (exclusionResult) {
             return exclusionResult;
         }
 
+        const borderNumber = parseInBorderArea(candidate, countryCode, element, phoneNumber);
+        if (borderNumber) {
+            phoneNumber = borderNumber;
+        }
+
         // Strip the extension from the original string for normalization
-        const numberToValidate = stripExtension(numberStr);
+        const numberToValidate = stripExtension(candidate);
         const normalizedOriginal = numberToValidate.replace(spacingRegex, '');
 
         let normalizedParsed = '';
+        let coreFormatted = '';
+
+        if (phoneNumber && phoneNumber.isValid()) {
+            numberType = parsePhoneNumberWithTypes(phoneNumber.number).getType();
+        }
 
         if (phoneNumber) {
-            const coreNumberE164 = phoneNumber.number;
-            const coreFormatted = parsePhoneNumber(coreNumberE164).format('INTERNATIONAL');
+            coreFormatted = formatNumber(phoneNumber, countryCode, profile, numberType);
             // Append the extension in the standard format (' x{ext}').
             const extension = phoneNumber.ext ? ` x${phoneNumber.ext}` : '';
-
-            suggestedFix = (() => {
-                if (countryCode === 'US') {
-                    // Use dashes as separator, but space after country code
-                    const countryCodePrefix = `+${phoneNumber.countryCallingCode}`;
-
-                    let nationalNumberFormatted = phoneNumber.format('NATIONAL');
-                    nationalNumberFormatted = nationalNumberFormatted.replace(/[\(\)]/g, '').trim();
-                    nationalNumberFormatted = nationalNumberFormatted.replace(/\s/g, '-');
-
-                    return `${countryCodePrefix} ${nationalNumberFormatted}${extension}`;
-                } else {
-                    return coreFormatted + extension;
-                }
-            })();
+            suggestedFix = coreFormatted + extension;
         }
 
         if (phoneNumber && phoneNumber.isValid()) {
-            normalizedParsed = phoneNumber.number.replace(spacingRegex, '');
-
-            isInvalid = normalizedOriginal !== normalizedParsed;
+            // The digits of the number as the profile writes it, e.g. in national format
+            normalizedParsed = coreFormatted.replace(/[^\d+]/g, '');
+
+            // Without a country code, a neighbour's number can't be told from a mistake, so it is
+            // listed as foreign rather than fixed
+            isInvalid = !borderNumber && normalizedOriginal !== normalizedParsed;
+
+            if (isInvalid) {
+                // A leading 00 is the international prefix, so the country code is there but
+                // written the wrong way
+                const hasCountryCode = /^(\+|00)/.test(normalizedOriginal);
+                const lacksCountryCode = !hasCountryCode && normalizedParsed.startsWith('+');
+                if (lacksCountryCode) {
+                    issues.push('missingCountryCode');
+                }
+                // Anything else, such as dots, brackets or a trunk prefix after the country code
+                if (!lacksCountryCode || /[^\d+]/.test(normalizedOriginal)) {
+                    issues.push('formatting');
+                }
+            }
 
             if (phoneNumber.ext && hasNonStandardExtension) {
                 isInvalid = true;
+                issues.push('extensionFormat');
+            }
+
+            // The value has to change even if the digits in it are already right
+            if (normalizations.length > 0) {
+                isInvalid = true;
+                issues.push('unusualCharacters');
+            }
+
+            normalizedNumber = phoneNumber.format('RFC3966');
+            // Global numbers, such as +800 freephone numbers, have no country
+            if (phoneNumber.country && phoneNumber.countryCallingCode !== getCountryCallingCode(countryCode)) {
+                // Such as an embassy's number in the country it represents
+                exclusion = findExclusion(phoneNumber, countryCode, osmTags, candidate, element, true);
+                if (!exclusion) {
+                    foreignCountry = phoneNumber.country;
+                }
+            }
+
+            // A number of the wrong type can't be fixed by formatting it
+            if (policy && policy.numberTypes) {
+                if (numberType && !policy.numberTypes.includes(numberType)) {
+                    isInvalid = true;
+                    suggestedFix = null;
+                    autoFixable = false;
+                    // How it is written doesn't matter if it has to be replaced
+                    issues = ['wrongNumberType'];
+                }
             }
         } else {
             // The number is fundamentally invalid (e.g., too few digits)
             isInvalid = true;
             suggestedFix = null;
             autoFixable = false;
+            issues = [getInvalidNumberIssue(candidate, countryCode)];
         }
     } catch (e) {
         // Parsing failed due to an exception (unfixable invalid number)
         isInvalid = true;
         autoFixable = false;
         suggestedFix = null;
+        issues = [getInvalidNumberIssue(candidate, countryCode)];
     }
 
-    return { isInvalid, suggestedFix, autoFixable };
+    const result = { isInvalid, suggestedFix, autoFixable };
+    if (issues.length > 0) {
+        result.issues = issues;
+    }
+    if (numberType) {
+        result.numberType = numberType;
+    }
+    if (normalizedNumber) {
+        result.normalizedNumber = normalizedNumber;
+    }
+    if (foreignCountry) {
+        result.foreignCountry = foreignCountry;
+    }
+    if (exclusion) {
+        result.exclusion = exclusion;
+    }
+    if (normalizations.length > 0 && suggestedFix) {
+        result.normalizations = normalizations;
+    }
+    return result;
 }
 
 /**
@@ -289,13 +556,26 @@ function processSingleNumber(numberStr, countryCode, osmTags = {}) {
  * @param {string} tagValue - The phone number value string to validate (possibly containing multiple numbers).
  * @param {string} countryCode - The country code for validation.
  * @param {map} osmTags - All the OSM tags of the object, to check against exclusions
+ * @param {{type: string, id: number}|null} [element=null] - The element, to check against exclusions
+ * @param {Object|null} [policy=null] - The policy of the tag's key, from `PHONE_KEY_POLICIES`
  * @returns {object} - The status and details of the processed item.
  * @property {boolean} isInvalid - Indicates whether the number is invalid.
  * @property {boolean} isAutoFixable - Indicates whether the number can be automatically corrected.
  * @property {Array<string>} suggestedNumbersList - A list of suggested corrections (as strings).
  * @property {number} numberOfValues - The number of phone values checked.
+ * @property {Array<{number: string, id: string, reason: string}>} exclusions - The numbers accepted by exclusion rules, with the rule.
+ * @property {Array<string>} numberTypes - The types of the valid numbers whose type is known, such as `MOBILE`.
+ * @property {Array<string>} normalizedNumbers - The valid numbers, normalised by `processSingleNumber`.
+ * @property {Array<{number: string, country: string, internationalNumber: string}>} foreignNumbers -
+ * The valid numbers from other countries, with the country from `processSingleNumber`.
+ * @property {boolean} hasRepeatedNumber - Whether the same number is in the tag more than once. The
+ * suggested numbers only have it once.
+ * @property {Array<string>} normalizations - The codes of the transformations the suggested numbers
+ * needed, from `processSingleNumber`, each once.
+ * @property {Array<string>} issues - The codes from `ISSUE_CODES` of what makes the tag invalid, in
+ * that order, each once. Empty if it is valid.
  */
-function validateSingleTag(tagValue, countryCode, osmTags) {
+function validateSingleTag(tagValue, countryCode, osmTags, element = null, policy = null) {
     const originalTagValue = tagValue.trim();
 
     // Check if a bad separator was used
@@ -313,16 +593,50 @@ function validateSingleTag(tagValue, countryCode, osmTags) {
         isInvalid: false,
         isAutoFixable: true,
         suggestedNumbersList: [],
-        numberOfValues: 0
+        numberOfValues: 0,
+        exclusions: [],
+        numberTypes: [],
+        normalizedNumbers: [],
+        foreignNumbers: [],
+        hasRepeatedNumber: false,
+        normalizations: [],
+        issues: []
     };
 
     numbers.forEach(numberStr => {
         tagValidationResult.numberOfValues++;
 
-        const validationResult = processSingleNumber(numberStr, countryCode, osmTags);
-        const { isInvalid, suggestedFix, autoFixable } = validationResult;
+        const validationResult = processSingleNumber(numberStr, countryCode, osmTags, element, policy);
+        const { isInvalid, suggestedFix, autoFixable, issues = [], exclusion, numberType, normalizedNumber, foreignCountry, normalizations = [] } = validationResult;
+
+        if (exclusion) {
+            tagValidationResult.exclusions.push({ number: numberStr, ...exclusion });
+        }
+
+        if (numberType) {
+            tagValidationResult.numberTypes.push(numberType);
+        }
+
+        for (const code of normalizations) {
+            if (!tagValidationResult.normalizations.includes(code)) {
+                tagValidationResult.normalizations.push(code);
+            }
+        }
+        tagValidationResult.issues.push(...issues);
+
+        if (foreignCountry) {
+            tagValidationResult.foreignNumbers.push({ number: numberStr, country: foreignCountry, internationalNumber: suggestedFix });
+        }
+
+        const isRepeated = Boolean(normalizedNumber) && tagValidationResult.normalizedNumbers.includes(normalizedNumber);
+        if (normalizedNumber) {
+            tagValidationResult.normalizedNumbers.push(normalizedNumber);
+        }
 
-        if (suggestedFix) {
+        if (isRepeated) {
+            // Left out of the suggested numbers, so the fix removes it
+            tagValidationResult.hasRepeatedNumber = true;
+        } else if (suggestedFix) {
             tagValidationResult.suggestedNumbersList.push(suggestedFix);
         }
 
@@ -332,26 +646,127 @@ function validateSingleTag(tagValue, countryCode, osmTags) {
         }
     });
 
-    // Final check for invalidity due to bad separators
-    if (hasIndividualInvalidNumber || hasBadSeparator) {
+    // Final check for invalidity due to bad separators or repeated numbers
+    if (hasIndividualInvalidNumber || hasBadSeparator || tagValidationResult.hasRepeatedNumber) {
         tagValidationResult.isInvalid = true;
         if (hasBadSeparator) {
             tagValidationResult.isAutoFixable = tagValidationResult.isAutoFixable && true;
+            tagValidationResult.issues.push('badSeparator');
+        }
+        if (tagValidationResult.hasRepeatedNumber) {
+            tagValidationResult.issues.push('repeatedNumber');
         }
     }
+    tagValidationResult.issues = ISSUE_CODES.filter(code => tagValidationResult.issues.includes(code));
 
     return tagValidationResult;
 }
 
+/**
+ * Checks whether the types of the numbers in a tag suit its key and its element. These are
+ * warnings rather than errors, since the numbers are valid and there can be good reasons for them.
+ * @param {string} tag - The tag key.
+ * @param {Object} policy - The policy of the key, from `PHONE_KEY_POLICIES`.
+ * @param {Array<string>} numberTypes - The types of the tag's numbers, from `validateSingleTag`.
+ * @param {Object} osmTags - All the OSM tags of the object.
+ * @returns {Array<string>} The warning codes:
+ * - `landlineAsMobile`: a fixed line in a mobile key
+ * - `mobileAsPhone`: only mobiles in `phone` or `contact:phone`, and no mobile key
+ * - `premiumRate`: a premium-rate or shared-cost number on an amenity from `PREMIUM_RATE_SUSPICIOUS_AMENITIES`
+ * - `pager` and `voip`: a pager or VoIP number
+ */
+function getNumberTypeWarnings(tag, policy, numberTypes, osmTags) {
+    const warnings = [];
+
+    if (policy.kind === 'mobile' && numberTypes.includes('FIXED_LINE')) {
+        warnings.push('landlineAsMobile');
+    }
+    if ((tag === 'phone' || tag === 'contact:phone')
+        && numberTypes.length > 0
+        && numberTypes.every(type => type === 'MOBILE')
+        && !osmTags.mobile && !osmTags['contact:mobile']) {
+        warnings.push('mobileAsPhone');
+    }
+    if (PREMIUM_RATE_SUSPICIOUS_AMENITIES.includes(osmTags.amenity)
+        && numberTypes.some(type => type === 'PREMIUM_RATE' || type === 'SHARED_COST')) {
+        warnings.push('premiumRate');
+    }
+    if (numberTypes.includes('PAGER')) {
+        warnings.push('pager');
+    }
+    if (numberTypes.includes('VOIP')) {
+        warnings.push('voip');
+    }
+    return warnings;
+}
+
+/**
+ * Finds the earlier tag of an element that a tag repeats, and records the tag's numbers.
+ * @param {Map<string, string>} tagsByNumber - The first tag each number of the element is in,
+ * by kind of key and normalised number. Changed in place.
+ * @param {string} tag - The tag key.
+ * @param {string} kind - The kind of the tag's key, from `PHONE_KEY_POLICIES`.
+ * @param {Object} tagResult - The tag's result from `validateSingleTag`.
+ * @returns {string|null} The tag that has all of this tag's numbers, or null if this tag has a
+ * number of its own, or a number that isn't valid.
+ */
+function findDuplicateTag(tagsByNumber, tag, kind, tagResult) {
+    const { normalizedNumbers, numberOfValues } = tagResult;
+    const numberKeys = normalizedNumbers.map(number => `${kind} ${number}`);
+    const earlierTags = numberKeys.map(numberKey => tagsByNumber.get(numberKey));
+    const isDuplicate = numberKeys.length > 0
+        && numberKeys.length === numberOfValues
+        && earlierTags.every(Boolean);
+
+    numberKeys
+        .filter(numberKey => !tagsByNumber.has(numberKey))
+        .forEach(numberKey => tagsByNumber.set(numberKey, tag));
+    return isDuplicate ? earlierTags[0] : null;
+}
+
+/**
+ * Gets the tags of an invalid item that repeat another tag, and are fixed by removing them.
+ * @param {Object} item - An invalid item from `validateNumbers`.
+ * @returns {Array<string>}
+ */
+function getRemovedTags(item) {
+    return Object.entries(item.redundantTags || {})
+        .filter(([tag, duplicateOf]) => tag !== duplicateOf)
+        .map(([tag]) => tag);
+}
+
+/**
+ * Gets the key that identifies an OSM element, or an invalid item, across builds.
+ * @param {{type: string, id: number}} element
+ * @returns {string} The key, such as `node-123`.
+ */
+function getItemKey(element) {
+    return `${element.type}-${element.id}`;
+}
+
 /**
  * Validates phone numbers using libphonenumber-js, marking tags as invalid if
  * they contain bad separators (comma, slash, 'or') or invalid numbers.
  * @param {Array<Object>} elements - OSM elements with phone tags.
  * @param {string} countryCode - The country code for validation.
- * @returns {{invalidNumbers: Array<Object>, totalNumbers: number}}
+ * @returns {{invalidNumbers: Array<Object>, totalNumbers: number, excludedNumbers: Array<Object>, warnedNumbers: Array<Object>, foreignNumbers: Array<Object>, totalsByKind: Object}}
+ * The excluded numbers are those accepted by an exclusion rule, the warned numbers those with
+ * warnings from `getNumberTypeWarnings`, and the foreign numbers those from other countries, all
+ * with one entry per tag. The totals
+ * by kind of key (see `PHONE_KEY_POLICIES`) have the numbers checked and the invalid tags.
+ *
+ * Redundant tags are also invalid. Each invalid item has `redundantTags`, mapping a tag to the one
+ * with the same numbers: a tag whose numbers are all in an earlier tag of the same kind, e.g.
+ * `contact:phone` repeating `phone`, is mapped to that tag, and has no suggested fix since it
+ * should be removed; a tag with the same number twice is mapped to itself, and its suggested fix
+ * has the number once.
  */
 function validateNumbers(elements, countryCode) {
     const invalidItemsMap = new Map();
+    const excludedNumbers = [];
+    const warnedNumbers = [];
+    const foreignNumbers = [];
+    const totalsByKind = {};
     let totalNumbers = 0;
 
     elements.forEach(element => {
@@ -366,7 +781,7 @@ function validateNumbers(elements, countryCode) {
             const lat = element.lat || (element.center && element.center.lat);
             const lon = element.lon || (element.center && element.center.lon);
             const name = tags.name;
-            const key = `${element.type}-${element.id}`;
+            const key = getItemKey(element);
             const baseItem = {
                 type: element.type,
                 id: element.id,
@@ -378,28 +793,80 @@ function validateNumbers(elements, countryCode) {
                 allTags: tags,
                 invalidNumbers: new Map(),
                 suggestedFixes: new Map(),
+                redundantTags: new Map(),
+                normalizations: new Map(),
+                issues: new Map(),
             };
+            // The first tag each number is in, by kind of key and normalised number
+            const tagsByNumber = new Map();
 
-            for (const tag of PHONE_TAGS) {
+            for (const tag of getPhoneKeys(tags)) {
                 if (!tags[tag]) {
                     continue
                 }
                 const phoneTagValue = tags[tag];
-                if (tag === 'mobile' && phoneTagValue === 'yes') {
-                    // May be considered valid tagging, is not a phone number
+                const policy = getKeyPolicy(tag);
+                if (policy.ignoreValues && policy.ignoreValues.includes(phoneTagValue)) {
+                    // May be considered valid tagging, e.g. mobile=yes, is not a phone number
                     continue
                 }
 
-                const validationResult = validateSingleTag(phoneTagValue, countryCode, tags);
+                const validationResult = validateSingleTag(phoneTagValue, countryCode, tags, element, policy);
+                const duplicateOf = findDuplicateTag(tagsByNumber, tag, policy.kind, validationResult);
+
+                if (validationResult.exclusions.length > 0) {
+                    excludedNumbers.push({
+                        type: element.type,
+                        id: element.id,
+                        osmUrl: baseItem.osmUrl,
+                        name: name,
+                        allTags: tags,
+                        tag: tag,
+                        value: phoneTagValue,
+                        exclusions: validationResult.exclusions,
+                    });
+                }
+
+                const warnings = getNumberTypeWarnings(tag, policy, validationResult.numberTypes, tags);
+                if (warnings.length > 0) {
+                    warnedNumbers.push({
+                        type: element.type,
+                        id: element.id,
+                        osmUrl: baseItem.osmUrl,
+                        name: name,
+                        allTags: tags,
+                        tag: tag,
+                        value: phoneTagValue,
+                        warnings: warnings,
+                    });
+                }
+
+                if (validationResult.foreignNumbers.length > 0) {
+                    foreignNumbers.push({
+                        type: element.type,
+                        id: element.id,
+                        osmUrl: baseItem.osmUrl,
+                        name: name,
+                        allTags: tags,
+                        tag: tag,
+                        value: phoneTagValue,
+                        numbers: validationResult.foreignNumbers,
+                    });
+                }
 
-                const isInvalid = validationResult.isInvalid;
-                const autoFixable = validationResult.isAutoFixable;
+                // A redundant tag is fixed by removing it, whatever is wrong with its value
+                const isInvalid = validationResult.isInvalid || Boolean(duplicateOf);
+                const autoFixable = validationResult.isAutoFixable || Boolean(duplicateOf);
                 // Only give a suggested fix if it is fixable
-                const suggestedFix = (isInvalid && autoFixable)
+                const suggestedFix = (isInvalid && autoFixable && !duplicateOf)
                     ? validationResult.suggestedNumbersList.join('; ')
                     : null;
                 totalNumbers += validationResult.numberOfValues;
 
+                addKindTotals(totalsByKind, {
+                    [policy.kind]: { checked: validationResult.numberOfValues, invalid: isInvalid ? 1 : 0 }
+                });
+
                 if (isInvalid) {
                     if (!invalidItemsMap.has(key)) {
                         invalidItemsMap.set(key, { ...baseItem, autoFixable: autoFixable });
@@ -408,6 +875,16 @@ function validateNumbers(elements, countryCode) {
 
                     item.invalidNumbers.set(tag, phoneTagValue);
                     item.suggestedFixes.set(tag, suggestedFix);
+                    if (duplicateOf) {
+                        item.redundantTags.set(tag, duplicateOf);
+                    } else if (validationResult.hasRepeatedNumber) {
+                        item.redundantTags.set(tag, tag);
+                    }
+                    if (suggestedFix && validationResult.normalizations.length > 0) {
+                        item.normalizations.set(tag, validationResult.normalizations);
+                    }
+                    // Whatever else is wrong with it, a redundant tag is removed
+                    item.issues.set(tag, duplicateOf ? ['redundantTag'] : validationResult.issues);
 
                     item.autoFixable = item.autoFixable && autoFixable;
                 }
@@ -418,20 +895,28 @@ function validateNumbers(elements, countryCode) {
     const invalidItemsArray = Array.from(invalidItemsMap.values()).map(item => ({
         ...item,
         invalidNumbers: Object.fromEntries(item.invalidNumbers),
-        suggestedFixes: Object.fromEntries(item.suggestedFixes)
+        suggestedFixes: Object.fromEntries(item.suggestedFixes),
+        redundantTags: Object.fromEntries(item.redundantTags),
+        normalizations: Object.fromEntries(item.normalizations),
+        issues: Object.fromEntries(item.issues)
     }));
 
-    return { invalidNumbers: invalidItemsArray, totalNumbers };
+    return { invalidNumbers: invalidItemsArray, totalNumbers, excludedNumbers, warnedNumbers, foreignNumbers, totalsByKind };
 }
 
 module.exports = {
     safeName,
+    getItemKey,
     validateNumbers,
     isDisused,
     getFeatureTypeName,
+    getPresetName,
     getFeatureIcon,
     stripExtension,
     processSingleNumber,
     validateSingleTag,
-    checkExclusions
+    getNumberTypeWarnings,
+    getRemovedTags,
+    checkExclusions,
+    preNormalizeNumber
 };
@@ -0,0 +1,180 @@
+const { COUNTRIES } = require('./constants');
+const { fetchAdminLevels, fetchOsmDataForDivision, fetchFullElements } = require('./osm-api');
+const { loadExtractIndex } = require('./osm-extract');
+const { isPointInRings, isPointInBoundingBox, getRepresentativePoint } = require('./geometry');
+const { DataUnavailableError } = require('./errors');
+const { getOverpassClient } = require('./overpass-client');
+const { getItemKey } = require('./data-processor');
+
+const EXTRACT_CONCURRENCY = 4;
+
+/**
+ * A data source provides the subdivisions and OSM elements that the build processes.
+ * Every backend returns elements in the same shape as the Overpass API with `out center`:
+ * `{ type, id, tags, lat, lon }` for nodes and `{ type, id, tags, center: {lat, lon} }`
+ * for ways and relations.
+ * @typedef {Object} DataSource
+ * @property {string} name - Name of the backend, for logging.
+ * @property {number} concurrency - How many subdivisions the build should process at once.
+ * @property {function(number, string, number): Promise<Array<{name: string, id: number}>>} fetchSubdivisions -
+ * Gets the subdivisions at an admin level within a division, given the division's relation ID and name.
+ * @property {function({name: string, id: number}): Promise<Array<Object>>} fetchElements -
+ * Gets all elements with phone tags within a subdivision.
+ * @property {function(Array<{type: string, id: number}>): Promise<Array<Object>>} fetchFullElements -
+ * Gets the current version of some elements in full, as needed to modify them: like the elements
+ * above, but with their `version`, and `nodes` for ways and `members` for relations, as from
+ * Overpass with `out meta`.
+ *
+ * All methods throw a `DataUnavailableError` if the data can't be fetched, so that a
+ * failure is never mistaken for an area with no phone numbers.
+ */
+
+/**
+ * Creates a data source that queries the Overpass API.
+ * @returns {DataSource}
+ */
+function createOverpassDataSource() {
+    return {
+        name: 'overpass',
+        // Enough to keep every endpoint busy; the client enforces each endpoint's own limit
+        get concurrency() {
+            return getOverpassClient().concurrency;
+        },
+        fetchSubdivisions: fetchAdminLevels,
+        fetchElements: fetchOsmDataForDivision,
+        fetchFullElements: fetchFullElements,
+    };
+}
+
+/**
+ * Works out which boundary relations the build needs from an extract, so that
+ * only those are kept in memory: every division and hardcoded subdivision by ID,
+ * plus every boundary at one of the subdivision admin levels.
+ * @param {Object} countries - The countries to build, in the format of `COUNTRIES`.
+ * @returns {{ids: Set<number>, adminLevels: Set<number>}}
+ */
+function getBoundaryFilter(countries) {
+    const ids = new Set();
+    const adminLevels = new Set();
+
+    for (const countryData of Object.values(countries)) {
+        if (countryData.divisions) {
+            Object.values(countryData.divisions).forEach(id => ids.add(id));
+            adminLevels.add(countryData.subdivisionAdminLevel);
+        }
+        if (countryData.divisionMap) {
+            for (const divisionMap of Object.values(countryData.divisionMap)) {
+                Object.values(divisionMap).forEach(id => ids.add(id));
+            }
+        }
+    }
+
+    return { ids, adminLevels };
+}
+
+/**
+ * Creates a data source that reads from a local `.osm.pbf` or `.osm` XML extract,
+ * such as a Geofabrik country file, instead of querying Overpass.
+ *
+ * Subdivisions are found from the boundary relations in the same file, and elements
+ * are assigned to a subdivision if their location (or centre, for ways and relations)
+ * falls within its boundary polygon.
+ *
+ * The extract is only read once, the first time data is requested.
+ * @param {string} filePath - Path to the extract.
+ * @param {Object} [countries=COUNTRIES] - The countries that will be built, used to limit which boundaries are loaded.
+ * @returns {DataSource}
+ */
+function createExtractDataSource(filePath, countries = COUNTRIES) {
+    let indexPromise = null;
+
+    const getIndex = () => {
+        if (!indexPromise) {
+            indexPromise = loadExtractIndex(filePath, getBoundaryFilter(countries));
+        }
+        return indexPromise;
+    };
+
+    /**
+     * Gets the boundary for a relation ID.
+     * @param {Map<number, Object>} boundaries
+     * @param {number} id
+     * @param {string} name
+     * @returns {Object}
+     * @throws {DataUnavailableError} If the boundary is missing from the extract.
+     */
+    const getBoundary = (boundaries, id, name) => {
+        const boundary = boundaries.get(id);
+        if (!boundary) {
+            throw new DataUnavailableError(`Boundary for ${name} (ID: ${id}) not found in ${filePath}.`, { area: name });
+        }
+        return boundary;
+    };
+
+    return {
+        name: 'extract',
+        // The work is mostly on the main thread, so this only overlaps it with writing reports
+        concurrency: EXTRACT_CONCURRENCY,
+
+        async fetchSubdivisions(divisionId, divisionName, adminLevel) {
+            console.log(`Finding all subdivisions for ${divisionName} (ID: ${divisionId}) in ${filePath}...`);
+            const { boundaries } = await getIndex();
+            const division = getBoundary(boundaries, divisionId, divisionName);
+
+            const subdivisions = [];
+            for (const boundary of boundaries.values()) {
+                if (Number(boundary.tags.admin_level) !== adminLevel || !boundary.tags.name) {
+                    continue;
+                }
+                const point = getRepresentativePoint(boundary.rings);
+                if (point && isPointInBoundingBox(point.lat, point.lon, division.bbox)
+                    && isPointInRings(point.lat, point.lon, division.rings)) {
+                    subdivisions.push({ name: boundary.tags.name, id: boundary.id });
+                }
+            }
+
+            return [...new Map(subdivisions.map(item => [item.name, item])).values()];
+        },
+
+        async fetchElements(subdivision) {
+            console.log(`Collecting data for division: ${subdivision.name} (ID: ${subdivision.id}) from ${filePath}...`);
+            const { boundaries, elements } = await getIndex();
+            const boundary = getBoundary(boundaries, subdivision.id, subdivision.name);
+
+            return elements.filter(element => {
+                const lat = element.lat ?? element.center.lat;
+                const lon = element.lon ?? element.center.lon;
+                return isPointInBoundingBox(lat, lon, boundary.bbox)
+                    && isPointInRings(lat, lon, boundary.rings);
+            });
+        },
+
+        // Elements read from an extract are already complete, as of the extract's date
+        async fetchFullElements(wanted) {
+            const { elements } = await getIndex();
+            const keys = new Set(wanted.map(getItemKey));
+            return elements.filter(element => keys.has(getItemKey(element)));
+        },
+    };
+}
+
+/**
+ * Creates the data source to use for a build.
+ * @param {Object} [options]
+ * @param {string} [options.extract] - Path to a local OSM extract. If not given, Overpass is used.
+ * @param {Object} [options.countries] - The countries that will be built.
+ * @returns {DataSource}
+ */
+function createDataSource({ extract, countries } = {}) {
+    if (extract) {
+        return createExtractDataSource(extract, countries);
+    }
+    return createOverpassDataSource();
+}
+
+module.exports = {
+    createDataSource,
+    createOverpassDataSource,
+    createExtractDataSource,
+    getBoundaryFilter,
+};
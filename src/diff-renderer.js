@@ -1,5 +1,5 @@
 const { diffChars } = require('diff');
-const { UNIVERSAL_SPLIT_CAPTURE_REGEX } = require('./constants.js');
+const { UNIVERSAL_SPLIT_CAPTURE_REGEX, INVISIBLE_CHAR_REGEX } = require('./constants.js');
 const { escapeHTML } = require('./html-utils.js');
 
 // We need custom diff logic, because if diffChars is used alone then it marks characters as
@@ -60,9 +60,7 @@ function consolidatePlusSigns(parts) {
  * @returns {string} The string with all specified invisible characters replaced by '␣'.
  */
 function replaceInvisibleChars(text) {
-    // The pattern targets the common zero-width, joiner, and directional marks.
-    const invisibleCharPattern = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
-    return text.replace(invisibleCharPattern, '␣');
+    return text.replace(INVISIBLE_CHAR_REGEX, '␣');
 }
 
 
@@ -72,12 +70,16 @@ function replaceInvisibleChars(text) {
  * Performs a two-way diff on phone numbers
  * @param {string} original - The phone number to be fixed.
  * @param {string} suggested - The fixed phone number.
+ * @param {string} [separators=' -'] - The characters the country's format profile writes between
+ * digits, from `getDiffSeparators`. Other characters in the original are taken as formatting to remove.
  * @returns {{
  * originalDiff: Array<{value: string, added: boolean, removed: boolean}>, 
  * suggestedDiff: Array<{value: string, added: boolean, removed: boolean}>
  * }} The diff objects for rendering two separate lines.
  */
-function diffPhoneNumbers(original, suggested) {
+function diffPhoneNumbers(original, suggested, separators = ' -') {
+    const acceptedCharRegex = new RegExp(`[+\\d${separators.replace(/[\\\]^-]/g, '\\$&')}]`);
+
     // --- 1. Semantic Diff (Digits only) ---
     const normalizedOriginal = normalize(original);
     const normalizedSuggested = normalize(suggested);
@@ -168,7 +170,7 @@ function diffPhoneNumbers(original, suggested) {
             // Non-digit, non-common character, happens when characters were removed from the old string
             if (
                 originalRemainderNew.includes(char)
-                && !(/[-+ \d]/.test(originalRemainderNew[0])) // Check that character is acceptable
+                && !acceptedCharRegex.test(originalRemainderNew[0]) // Check that character is acceptable
             ) {
                 while (originalRemainderNew[0] != char && originalRemainderNew[0] != commonDigits[commonPointerNew]) {
                     originalRemainderNew = originalRemainderNew.slice(1);
@@ -222,9 +224,10 @@ function mergeDiffs(diffResult) {
  * handling multiple numbers separated by various delimiters.
  * @param {string} oldString - The original phone number string(s).
  * @param {string} newString - The suggested phone number string(s).
+ * @param {string} [separators=' -'] - The characters the country's format profile writes between digits.
  * @returns {{oldDiff: string, newDiff: string}} - An object containing the HTML for both diffs.
  */
-function getDiffHtml(oldString, newString) {
+function getDiffHtml(oldString, newString, separators = ' -') {
     const oldStringCleaned = replaceInvisibleChars(oldString)
     const newStringCleaned = replaceInvisibleChars(newString)
     // Split and initial filter for both strings
@@ -254,7 +257,7 @@ function getDiffHtml(oldString, newString) {
 
         if (isPhoneNumber) {
             // --- This is a phone number segment ---
-            const { originalDiff, suggestedDiff } = diffPhoneNumbers(oldSegment, newSegment);
+            const { originalDiff, suggestedDiff } = diffPhoneNumbers(oldSegment, newSegment, separators);
             allOriginalDiff = [...allOriginalDiff, ...originalDiff];
             allSuggestedDiff = [...allSuggestedDiff, ...suggestedDiff]
         } else {
@@ -0,0 +1,36 @@
+/**
+ * Thrown when the OSM data for an area could not be fetched or read.
+ * The build catches this so that the area can be reported as unavailable,
+ * rather than as having no invalid numbers.
+ */
+class DataUnavailableError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.area] - Name of the division or subdivision that is unavailable.
+     * @param {Error} [options.cause] - The underlying error.
+     */
+    constructor(message, { area, cause } = {}) {
+        super(message, { cause });
+        this.name = 'DataUnavailableError';
+        this.area = area;
+    }
+}
+
+/**
+ * Thrown when the build is given invalid command-line options.
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+module.exports = {
+    DataUnavailableError,
+    UsageError,
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+
+// One file per country, named by its country code, e.g. `FR.json`
+const EXCLUSIONS_DIR = path.join(__dirname, '..', 'exclusions');
+
+const ELEMENT_TYPES = ['node', 'way', 'relation'];
+
+// The compiled rules of each country, loaded when first needed
+const rulesByCountry = new Map();
+
+/**
+ * Gets the number as written, without the characters commonly used to group its digits.
+ * @param {string} numberStr
+ * @returns {string} E.g. `+33 1-23.45` becomes `+3312345`.
+ */
+function compactNumber(numberStr) {
+    return numberStr.replace(/[\s\-.()\/]/g, '');
+}
+
+/**
+ * Checks that a value is a non-empty array of strings.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Compiles a tag predicate into a function of the tags. A predicate is one of:
+ * - `{ key, value }`, which matches if the tag has that value, or one of them if `value` is a list,
+ *   or any value if `value` is left out
+ * - `{ all: [predicates] }`, which matches if every predicate does
+ * - `{ any: [predicates] }`, which matches if one of them does
+ * - `{ not: predicate }`, which matches if the predicate doesn't
+ * @param {Object} predicate
+ * @param {string} source - Where the predicate is from, for error messages.
+ * @returns {function(Object): boolean}
+ */
+function compileTagPredicate(predicate, source) {
+    if (!predicate || typeof predicate !== 'object' || Array.isArray(predicate)) {
+        throw new Error(`${source}: a tag predicate must be an object`);
+    }
+
+    if ('all' in predicate || 'any' in predicate) {
+        const list = predicate.all ?? predicate.any;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`${source}: "all" and "any" need a list of predicates`);
+        }
+        const predicates = list.map(item => compileTagPredicate(item, source));
+        return 'all' in predicate
+            ? tags => predicates.every(matches => matches(tags))
+            : tags => predicates.some(matches => matches(tags));
+    }
+
+    if ('not' in predicate) {
+        const inner = compileTagPredicate(predicate.not, source);
+        return tags => !inner(tags);
+    }
+
+    if (typeof predicate.key !== 'string') {
+        throw new Error(`${source}: a tag predicate needs a "key", "all", "any" or "not"`);
+    }
+    const { key, value } = predicate;
+    if (value === undefined) {
+        return tags => tags[key] !== undefined;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (!isStringList(values)) {
+        throw new Error(`${source}: the value of a tag predicate must be a string or a list of strings`);
+    }
+    return tags => values.includes(tags[key]);
+}
+
+/**
+ * Compiles the number matcher of a rule into a function. A number matches if it matches any of:
+ * - `exact`: national numbers, without spaces, e.g. `3631`
+ * - `prefix`: starts of the national number, or of the international number if they start with `+`
+ * - `regex`: a regular expression, tested against the number as written without spaces, dashes,
+ *   dots, slashes or brackets
+ * @param {Object} numbers
+ * @param {string} source - Where the matcher is from, for error messages.
+ * @returns {function({numberStr: string, phoneNumber: Object}): boolean}
+ */
+function compileNumberMatcher(numbers, source) {
+    const { exact, prefix, regex } = numbers;
+    if (exact === undefined && prefix === undefined && regex === undefined) {
+        throw new Error(`${source}: "numbers" needs "exact", "prefix" or "regex"`);
+    }
+    if ((exact !== undefined && !isStringList(exact)) || (prefix !== undefined && !isStringList(prefix))) {
+        throw new Error(`${source}: "exact" and "prefix" must be lists of strings`);
+    }
+
+    let pattern = null;
+    if (regex !== undefined) {
+        try {
+            pattern = new RegExp(regex);
+        } catch (error) {
+            throw new Error(`${source}: invalid regex: ${error.message}`);
+        }
+    }
+
+    return ({ numberStr, phoneNumber }) => {
+        const national = phoneNumber.nationalNumber ?? '';
+        if (exact && exact.includes(national)) {
+            return true;
+        }
+        if (prefix && prefix.some(start => (start.startsWith('+') ? phoneNumber.number ?? '' : national).startsWith(start))) {
+            return true;
+        }
+        return Boolean(pattern && pattern.test(compactNumber(numberStr)));
+    };
+}
+
+/**
+ * Checks and compiles the rules of a country. Rules with `foreign` set only stop a valid number
+ * from another country being listed as foreign; the number is still checked as usual.
+ * @param {Array<Object>} rules - The rules, as in the country's file.
+ * @param {string} source - Where the rules are from, for error messages.
+ * @param {number} [now=Date.now()] - Rules that expired before this are left out.
+ * @returns {Array<{id: string, reason: string, foreign: boolean, matches: function(Object): boolean}>}
+ */
+function compileExclusionRules(rules, source, now = Date.now()) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${source}: "rules" must be a list`);
+    }
+
+    const ids = new Set();
+    const compiled = [];
+    for (const rule of rules) {
+        const ruleSource = `${source} (${rule && rule.id ? rule.id : 'rule without an id'})`;
+        if (!rule || typeof rule.id !== 'string' || typeof rule.reason !== 'string' || !rule.reason) {
+            throw new Error(`${ruleSource}: every rule needs an "id" and a "reason"`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`${ruleSource}: the id is used more than once`);
+        }
+        ids.add(rule.id);
+
+        // Without one of these a rule could accept every number in the country
+        if (!rule.numbers && !rule.elements) {
+            throw new Error(`${ruleSource}: a rule needs "numbers" or "elements"`);
+        }
+
+        const matchesNumber = rule.numbers ? compileNumberMatcher(rule.numbers, ruleSource) : () => true;
+        const matchesTags = rule.tags ? compileTagPredicate(rule.tags, ruleSource) : () => true;
+
+        let elements = null;
+        if (rule.elements) {
+            if (!isStringList(rule.elements) || !rule.elements.every(element => ELEMENT_TYPES.includes(element.split('/')[0]))) {
+                throw new Error(`${ruleSource}: "elements" must be a list like ["node/123", "way/456"]`);
+            }
+            elements = new Set(rule.elements);
+        }
+
+        if (rule.foreign !== undefined && typeof rule.foreign !== 'boolean') {
+            throw new Error(`${ruleSource}: "foreign" must be true or false`);
+        }
+
+        if (rule.expires !== undefined) {
+            const expires = Date.parse(rule.expires);
+            if (Number.isNaN(expires)) {
+                throw new Error(`${ruleSource}: "expires" must be a date, like 2026-12-31`);
+            }
+            if (expires < now) {
+                console.warn(`${ruleSource} expired on ${rule.expires}, and can be removed.`);
+                continue;
+            }
+        }
+
+        compiled.push({
+            id: rule.id,
+            reason: rule.reason,
+            foreign: Boolean(rule.foreign),
+            matches: ({ numberStr, phoneNumber, tags, element }) =>
+                (!elements || Boolean(element && elements.has(`${element.type}/${element.id}`)))
+                && matchesTags(tags)
+                && matchesNumber({ numberStr, phoneNumber }),
+        });
+    }
+    return compiled;
+}
+
+/**
+ * Gets the compiled rules of a country, reading its file the first time.
+ * @param {string} countryCode
+ * @returns {Array<Object>} The rules, or none if the country has no file.
+ */
+function getExclusionRules(countryCode) {
+    if (!rulesByCountry.has(countryCode)) {
+        const filePath = path.join(EXCLUSIONS_DIR, `${countryCode}.json`);
+        let rules = [];
+        if (fs.existsSync(filePath)) {
+            let content;
+            try {
+                content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`${filePath}: ${error.message}`);
+            }
+            rules = compileExclusionRules(content.rules, filePath);
+        }
+        rulesByCountry.set(countryCode, rules);
+    }
+    return rulesByCountry.get(countryCode);
+}
+
+/**
+ * Finds the first rule of a country that accepts a number.
+ * @param {Array<Object>} rules - From `compileExclusionRules` or `getExclusionRules`.
+ * @param {{numberStr: string, phoneNumber: Object, tags: Object, element: ({type: string, id: number}|null)}} context -
+ * The number as written and as parsed by libphonenumber-js, and the tags and ID of its element.
+ * @returns {{id: string, reason: string}|null}
+ */
+function findExclusionRule(rules, context) {
+    const rule = rules.find(candidate => candidate.matches(context));
+    return rule ? { id: rule.id, reason: rule.reason } : null;
+}
+
+module.exports = {
+    EXCLUSIONS_DIR,
+    compileExclusionRules,
+    getExclusionRules,
+    findExclusionRule,
+};
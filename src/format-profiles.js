@@ -0,0 +1,85 @@
+const { parsePhoneNumber, getCountryCallingCode } = require('libphonenumber-js');
+const { COUNTRIES, FORMAT_PROFILES } = require('./constants');
+
+const DEFAULT_FORMAT_PROFILE = 'international';
+
+// What a profile uses for any option it leaves out
+const PROFILE_DEFAULTS = {
+    groupSeparator: ' ',
+    ignoredSeparators: [],
+    nationalFormatTypes: [],
+};
+
+/**
+ * Gets the format profile of a country: the one named by its `formatProfile` in `COUNTRIES`, or
+ * for a country that isn't there, the one that is the `defaultFor` it, or else the default.
+ * @param {string} countryCode
+ * @returns {{name: string, groupSeparator: string, ignoredSeparators: Array<string>, nationalFormatTypes: Array<string>}}
+ */
+function getFormatProfile(countryCode) {
+    const country = Object.values(COUNTRIES).find(candidate => candidate.countryCode === countryCode);
+    const name = country
+        ? country.formatProfile || DEFAULT_FORMAT_PROFILE
+        : Object.keys(FORMAT_PROFILES).find(key => (FORMAT_PROFILES[key].defaultFor || []).includes(countryCode)) || DEFAULT_FORMAT_PROFILE;
+
+    if (!FORMAT_PROFILES[name]) {
+        throw new Error(`Unknown format profile "${name}" for ${countryCode}`);
+    }
+    return { name, ...PROFILE_DEFAULTS, ...FORMAT_PROFILES[name] };
+}
+
+/**
+ * Formats a number as a country's profile prefers, without any extension. Numbers from other
+ * countries are always in the international format.
+ * @param {Object} phoneNumber - The parsed phone number object from libphonenumber-js.
+ * @param {string} countryCode - The country being checked.
+ * @param {Object} profile - From `getFormatProfile`.
+ * @param {string|undefined} numberType - The type of the number, such as `TOLL_FREE`, if known.
+ * @returns {string} E.g. `+1 213-373-4253` for a US number with dashes.
+ */
+function formatNumber(phoneNumber, countryCode, profile, numberType) {
+    const coreNumber = parsePhoneNumber(phoneNumber.number);
+    if (phoneNumber.countryCallingCode !== getCountryCallingCode(countryCode)) {
+        return coreNumber.format('INTERNATIONAL');
+    }
+
+    if (numberType && profile.nationalFormatTypes.includes(numberType)) {
+        return coreNumber.format('NATIONAL')
+            .replace(/[()]/g, '')
+            .trim()
+            .split(/\s+/)
+            .join(profile.groupSeparator);
+    }
+
+    // The country calling code is always followed by a space
+    const [countryCallingCode, ...groups] = coreNumber.format('INTERNATIONAL').split(' ');
+    return `${countryCallingCode} ${groups.join(profile.groupSeparator)}`;
+}
+
+/**
+ * Makes the pattern of the characters that don't make a number invalid, wherever they are:
+ * whitespace, and the profile's ignored separators.
+ * @param {Object} profile - From `getFormatProfile`.
+ * @returns {RegExp} A global pattern, for removing them.
+ */
+function getIgnoredSeparatorRegex(profile) {
+    const separators = profile.ignoredSeparators.map(separator => separator.replace(/[\\\]^-]/g, '\\$&')).join('');
+    return new RegExp(`[\\s${separators}]`, 'g');
+}
+
+/**
+ * Gets the characters that a profile writes between digits, for the diff to treat as formatting.
+ * @param {Object} profile - From `getFormatProfile`.
+ * @returns {string}
+ */
+function getDiffSeparators(profile) {
+    return [...new Set([' ', profile.groupSeparator, ...profile.ignoredSeparators])].join('');
+}
+
+module.exports = {
+    DEFAULT_FORMAT_PROFILE,
+    getFormatProfile,
+    formatNumber,
+    getIgnoredSeparatorRegex,
+    getDiffSeparators,
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { getItemKey } = require('./data-processor');
+
+/**
+ * Gets the name of a subdivision's GeoJSON file, which is next to its report.
+ * @param {string} slug - The subdivision slug.
+ * @returns {string}
+ */
+function getGeoJsonFileName(slug) {
+    return `${slug}.geojson`;
+}
+
+/**
+ * Checks whether an invalid item has a location, and so can be shown on a map.
+ * @param {{lat: number|undefined, lon: number|undefined}} item
+ * @returns {boolean}
+ */
+function hasLocation(item) {
+    return typeof item.lat === 'number' && typeof item.lon === 'number';
+}
+
+/**
+ * Creates a GeoJSON FeatureCollection of invalid items, with a point for each item at its
+ * location (or centre, for ways and relations). Items without a location are left out.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @returns {Object}
+ */
+function createGeoJson(invalidNumbers) {
+    const features = invalidNumbers
+        .filter(hasLocation)
+        .map(item => ({
+            type: 'Feature',
+            id: getItemKey(item),
+            geometry: { type: 'Point', coordinates: [item.lon, item.lat] },
+            properties: {
+                key: getItemKey(item),
+                type: item.type,
+                id: item.id,
+                name: item.name ?? null,
+                osmUrl: item.osmUrl,
+                autoFixable: item.autoFixable,
+                invalidNumbers: item.invalidNumbers,
+                suggestedFixes: item.suggestedFixes,
+            },
+        }));
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Writes the GeoJSON of a subdivision's invalid items next to its report.
+ * @param {string} divisionDir - The directory of the subdivision's report.
+ * @param {string} slug - The subdivision slug.
+ * @param {Array<Object>} invalidNumbers
+ */
+async function writeGeoJson(divisionDir, slug, invalidNumbers) {
+    await fs.promises.writeFile(path.join(divisionDir, getGeoJsonFileName(slug)), JSON.stringify(createGeoJson(invalidNumbers)));
+}
+
+module.exports = {
+    getGeoJsonFileName,
+    hasLocation,
+    createGeoJson,
+    writeGeoJson,
+};
@@ -0,0 +1,193 @@
+/**
+ * Joins the member ways of a boundary relation into closed rings.
+ * Ways are matched on their end node IDs, reversing them where needed. Any chain that
+ * cannot be closed (e.g. because the extract clipped the boundary) is closed by joining
+ * its last node back to its first, so that it can still be used for point-in-polygon tests.
+ * @param {Array<Array<number>>} wayNodeLists - The node ID lists of each member way.
+ * @returns {Array<Array<number>>} A list of closed rings, each a list of node IDs.
+ */
+function assembleRings(wayNodeLists) {
+    const remaining = wayNodeLists.filter(nodes => nodes && nodes.length > 1).map(nodes => [...nodes]);
+    const rings = [];
+
+    while (remaining.length > 0) {
+        let ring = remaining.shift();
+
+        let extended = true;
+        while (ring[0] !== ring[ring.length - 1] && extended) {
+            extended = false;
+            const last = ring[ring.length - 1];
+
+            for (let i = 0; i < remaining.length; i++) {
+                const candidate = remaining[i];
+                if (candidate[0] === last) {
+                    ring = ring.concat(candidate.slice(1));
+                } else if (candidate[candidate.length - 1] === last) {
+                    ring = ring.concat([...candidate].reverse().slice(1));
+                } else {
+                    continue;
+                }
+                remaining.splice(i, 1);
+                extended = true;
+                break;
+            }
+        }
+
+        if (ring[0] !== ring[ring.length - 1]) {
+            ring.push(ring[0]);
+        }
+        rings.push(ring);
+    }
+
+    return rings;
+}
+
+/**
+ * Checks whether a point lies inside a set of rings, using the even-odd rule.
+ * Inner rings (holes) are handled naturally by the even-odd rule, so outer and inner
+ * rings can be passed together without distinguishing their roles.
+ * @param {number} lat - Latitude of the point.
+ * @param {number} lon - Longitude of the point.
+ * @param {Array<Array<{lat: number, lon: number}>>} rings - Closed rings of coordinates.
+ * @returns {boolean} True if the point is inside.
+ */
+function isPointInRings(lat, lon, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            const crosses = (a.lat > lat) !== (b.lat > lat)
+                && lon < (b.lon - a.lon) * (lat - a.lat) / (b.lat - a.lat) + a.lon;
+            if (crosses) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Calculates the bounding box of a list of coordinates.
+ * @param {Array<{lat: number, lon: number}>} coords - The coordinates.
+ * @returns {{minLat: number, minLon: number, maxLat: number, maxLon: number}|null} The bounding box, or null if there are no coordinates.
+ */
+function getBoundingBox(coords) {
+    if (!coords || coords.length === 0) {
+        return null;
+    }
+    const bbox = { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity };
+    for (const { lat, lon } of coords) {
+        bbox.minLat = Math.min(bbox.minLat, lat);
+        bbox.minLon = Math.min(bbox.minLon, lon);
+        bbox.maxLat = Math.max(bbox.maxLat, lat);
+        bbox.maxLon = Math.max(bbox.maxLon, lon);
+    }
+    return bbox;
+}
+
+/**
+ * Checks whether a point lies within a bounding box (inclusive).
+ * @param {number} lat
+ * @param {number} lon
+ * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bbox
+ * @returns {boolean}
+ */
+function isPointInBoundingBox(lat, lon, bbox) {
+    return lat >= bbox.minLat && lat <= bbox.maxLat && lon >= bbox.minLon && lon <= bbox.maxLon;
+}
+
+/**
+ * Calculates the centre of the bounding box of a list of coordinates.
+ * This matches the `center` that Overpass returns for ways and relations with `out center`.
+ * @param {Array<{lat: number, lon: number}>} coords - The coordinates.
+ * @returns {{lat: number, lon: number}|null} The centre, or null if there are no coordinates.
+ */
+function getCenter(coords) {
+    const bbox = getBoundingBox(coords);
+    if (!bbox) {
+        return null;
+    }
+    return {
+        lat: (bbox.minLat + bbox.maxLat) / 2,
+        lon: (bbox.minLon + bbox.maxLon) / 2
+    };
+}
+
+/**
+ * Finds a point that represents a polygon, for testing whether it lies within another polygon.
+ * The area-weighted centroid of the largest ring is used if it falls inside the rings,
+ * otherwise (for strongly concave shapes) the midpoint of the first edge that gives an
+ * inside point when nudged towards the centroid is used.
+ * @param {Array<Array<{lat: number, lon: number}>>} rings - Closed rings of coordinates.
+ * @returns {{lat: number, lon: number}|null} A point inside the polygon, or null if none was found.
+ */
+function getRepresentativePoint(rings) {
+    const largest = rings.reduce((best, ring) => {
+        const area = Math.abs(getSignedArea(ring));
+        return (!best || area > best.area) ? { ring, area } : best;
+    }, null);
+    if (!largest || largest.area === 0) {
+        return null;
+    }
+
+    const centroid = getCentroid(largest.ring);
+    if (isPointInRings(centroid.lat, centroid.lon, rings)) {
+        return centroid;
+    }
+
+    const ring = largest.ring;
+    for (let i = 1; i < ring.length; i++) {
+        const mid = {
+            lat: (ring[i - 1].lat + ring[i].lat) / 2,
+            lon: (ring[i - 1].lon + ring[i].lon) / 2
+        };
+        const nudged = {
+            lat: mid.lat + (centroid.lat - mid.lat) * 0.001,
+            lon: mid.lon + (centroid.lon - mid.lon) * 0.001
+        };
+        if (isPointInRings(nudged.lat, nudged.lon, rings)) {
+            return nudged;
+        }
+    }
+    return null;
+}
+
+/**
+ * Calculates the signed area of a closed ring in square degrees (shoelace formula).
+ * @param {Array<{lat: number, lon: number}>} ring
+ * @returns {number}
+ */
+function getSignedArea(ring) {
+    let area = 0;
+    for (let i = 1; i < ring.length; i++) {
+        area += ring[i - 1].lon * ring[i].lat - ring[i].lon * ring[i - 1].lat;
+    }
+    return area / 2;
+}
+
+/**
+ * Calculates the area-weighted centroid of a closed ring.
+ * @param {Array<{lat: number, lon: number}>} ring
+ * @returns {{lat: number, lon: number}}
+ */
+function getCentroid(ring) {
+    const area = getSignedArea(ring);
+    let lat = 0;
+    let lon = 0;
+    for (let i = 1; i < ring.length; i++) {
+        const cross = ring[i - 1].lon * ring[i].lat - ring[i].lon * ring[i - 1].lat;
+        lon += (ring[i - 1].lon + ring[i].lon) * cross;
+        lat += (ring[i - 1].lat + ring[i].lat) * cross;
+    }
+    return { lat: lat / (6 * area), lon: lon / (6 * area) };
+}
+
+module.exports = {
+    assembleRings,
+    isPointInRings,
+    getBoundingBox,
+    isPointInBoundingBox,
+    getCenter,
+    getRepresentativePoint,
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump this if the shape of a record changes, and teach readHistory to convert old records
+const HISTORY_VERSION = 1;
+
+const HISTORY_DIR = 'history';
+
+/**
+ * Gets the path of a country's history file.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @returns {string}
+ */
+function getHistoryPath(outputDir, countrySlug) {
+    return path.join(outputDir, HISTORY_DIR, `${countrySlug}.jsonl`);
+}
+
+/**
+ * Picks the counts that are kept in the history from a stats object.
+ * @param {{invalidCount: number, autoFixableCount: number, totalNumbers: number}} stats
+ * @returns {{invalidCount: number, autoFixableCount: number, totalNumbers: number}}
+ */
+function pickCounts(stats) {
+    return {
+        invalidCount: stats.invalidCount,
+        autoFixableCount: stats.autoFixableCount,
+        totalNumbers: stats.totalNumbers,
+    };
+}
+
+/**
+ * Creates the history record of one build of a country.
+ * Subdivisions are keyed by `<divisionSlug>/<slug>`. If any division or subdivision was
+ * unavailable, the record is marked incomplete, because its country totals are too low.
+ * @param {Object} countryStats - The country stats object built in `main.js`.
+ * @param {number} timestamp - When the build ran, in milliseconds since the epoch.
+ * @returns {Object} The record.
+ */
+function createHistoryRecord(countryStats, timestamp) {
+    const subdivisions = {};
+    let complete = (countryStats.unavailableDivisions || []).length === 0;
+
+    for (const divisionStats of Object.values(countryStats.groupedDivisionStats)) {
+        for (const stats of divisionStats) {
+            if (stats.dataUnavailable) {
+                complete = false;
+                continue;
+            }
+            subdivisions[getSubdivisionKey(stats)] = pickCounts(stats);
+        }
+    }
+
+    return {
+        version: HISTORY_VERSION,
+        timestamp: timestamp,
+        complete: complete,
+        ...pickCounts(countryStats),
+        subdivisions: subdivisions,
+    };
+}
+
+/**
+ * Gets the key of a subdivision in a history record.
+ * @param {{divisionSlug: string, slug: string}} stats
+ * @returns {string}
+ */
+function getSubdivisionKey(stats) {
+    return `${stats.divisionSlug}/${stats.slug}`;
+}
+
+/**
+ * Reads a country's history, oldest first. Lines that can't be parsed, or that were
+ * written by a newer version, are skipped.
+ * @param {string} outputDir
+ * @param {string} countrySlug
+ * @returns {Array<Object>} The records.
+ */
+function readHistory(outputDir, countrySlug) {
+    const filePath = getHistoryPath(outputDir, countrySlug);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            const record = JSON.parse(line);
+            if (record.version === HISTORY_VERSION) {
+                records.push(record);
+            }
+        } catch (error) {
+            console.warn(`Skipping unreadable line in ${filePath}:`, error.message);
+        }
+    }
+    return records.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Appends a record to a country's history.
+ * @param {string} outputDir
+ * @param {string} countrySlug
+ * @param {Object} record - From `createHistoryRecord`.
+ */
+function appendHistory(outputDir, countrySlug, record) {
+    const filePath = getHistoryPath(outputDir, countrySlug);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Gets the series of counts over time for a country, from its complete records.
+ * @param {Array<Object>} records
+ * @returns {Array<{timestamp: number, invalidCount: number, autoFixableCount: number}>}
+ */
+function getCountrySeries(records) {
+    return records
+        .filter(record => record.complete)
+        .map(record => ({
+            timestamp: record.timestamp,
+            invalidCount: record.invalidCount,
+            autoFixableCount: record.autoFixableCount,
+        }));
+}
+
+/**
+ * Gets the series of counts over time for one subdivision.
+ * @param {Array<Object>} records
+ * @param {{divisionSlug: string, slug: string}} stats - Identifies the subdivision.
+ * @returns {Array<{timestamp: number, invalidCount: number, autoFixableCount: number}>}
+ */
+function getSubdivisionSeries(records, stats) {
+    const key = getSubdivisionKey(stats);
+    return records
+        .filter(record => record.subdivisions[key])
+        .map(record => ({
+            timestamp: record.timestamp,
+            invalidCount: record.subdivisions[key].invalidCount,
+            autoFixableCount: record.subdivisions[key].autoFixableCount,
+        }));
+}
+
+/**
+ * Gets the counts of one subdivision from the last build that fetched it.
+ * @param {Array<Object>} records - Oldest first, as from `readHistory`.
+ * @param {{divisionSlug: string, slug: string}} stats - Identifies the subdivision.
+ * @returns {{timestamp: number, invalidCount: number, autoFixableCount: number, totalNumbers: number}|null}
+ * The counts, or null if no build has fetched it.
+ */
+function getLastSubdivisionCounts(records, stats) {
+    const key = getSubdivisionKey(stats);
+    const record = records.filter(candidate => candidate.subdivisions[key]).at(-1);
+    return record ? { timestamp: record.timestamp, ...pickCounts(record.subdivisions[key]) } : null;
+}
+
+/**
+ * Gets the series of counts over time for all countries together, with one point per day
+ * on which any country was built. Each country contributes its latest complete record on or
+ * before that day, so countries built on different days can still be added up. Days before
+ * every country has a record are left out, so that the total never jumps because a country
+ * was added.
+ * Countries without any complete record are left out.
+ * @param {Array<Array<Object>>} histories - The records of each country.
+ * @returns {Array<{timestamp: number, invalidCount: number, autoFixableCount: number}>}
+ */
+function getGlobalSeries(histories) {
+    const seriesByCountry = histories.map(getCountrySeries).filter(series => series.length > 0);
+    if (seriesByCountry.length === 0) {
+        return [];
+    }
+
+    const endOfDay = timestamp => {
+        const date = new Date(timestamp);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 23, 59, 59, 999);
+    };
+    const days = [...new Set(seriesByCountry.flat().map(point => endOfDay(point.timestamp)))].sort((a, b) => a - b);
+
+    const global = [];
+    for (const day of days) {
+        const latest = seriesByCountry.map(series => series.filter(point => point.timestamp <= day).at(-1));
+        if (latest.some(point => !point)) {
+            continue;
+        }
+        global.push({
+            timestamp: Math.max(...latest.map(point => point.timestamp)),
+            invalidCount: latest.reduce((sum, point) => sum + point.invalidCount, 0),
+            autoFixableCount: latest.reduce((sum, point) => sum + point.autoFixableCount, 0),
+        });
+    }
+    return global;
+}
+
+module.exports = {
+    HISTORY_VERSION,
+    HISTORY_DIR,
+    getHistoryPath,
+    createHistoryRecord,
+    readHistory,
+    appendHistory,
+    getCountrySeries,
+    getSubdivisionSeries,
+    getLastSubdivisionCounts,
+    getGlobalSeries,
+};
@@ -0,0 +1,85 @@
+const { translate } = require('./i18n');
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+
+/**
+ * Formats a timestamp as a short date in a locale.
+ * @param {number} timestamp
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatDate(timestamp, locale) {
+    return new Date(timestamp).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Creates a small line chart of invalid and fixable counts over time, as an inline SVG
+ * in a card. Each point has a tooltip with its date and counts.
+ * @param {Array<{timestamp: number, invalidCount: number, autoFixableCount: number}>} series - Oldest first.
+ * @param {string} locale
+ * @returns {string} The chart HTML, or an empty string if there are fewer than two points.
+ */
+function createTrendChart(series, locale) {
+    if (!series || series.length < 2) {
+        return '';
+    }
+
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const minTime = series[0].timestamp;
+    const maxTime = series.at(-1).timestamp;
+    const maxValue = Math.max(1, ...series.map(point => Math.max(point.invalidCount, point.autoFixableCount)));
+
+    const x = timestamp => PADDING.left + (maxTime > minTime ? (timestamp - minTime) / (maxTime - minTime) : 0.5) * plotWidth;
+    const y = value => PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+    const round = value => Math.round(value * 10) / 10;
+
+    const invalidLabel = translate('invalidNumbers', locale);
+    const fixableLabel = translate('potentiallyFixable', locale);
+
+    const line = (key, className) => {
+        const points = series.map(point => `${round(x(point.timestamp))},${round(y(point[key]))}`).join(' ');
+        return `<polyline class="${className}" fill="none" stroke-width="2" points="${points}" />`;
+    };
+
+    const markers = series.map(point => {
+        const tooltip = `${formatDate(point.timestamp, locale)}: ${invalidLabel} ${point.invalidCount.toLocaleString(locale)}, ${fixableLabel} ${point.autoFixableCount.toLocaleString(locale)}`;
+        return `
+            <g>
+                <title>${tooltip}</title>
+                <circle class="trend-point-invalid" cx="${round(x(point.timestamp))}" cy="${round(y(point.invalidCount))}" r="3" />
+                <circle class="trend-point-fixable" cx="${round(x(point.timestamp))}" cy="${round(y(point.autoFixableCount))}" r="3" />
+            </g>`;
+    }).join('');
+
+    const baseline = PADDING.top + plotHeight;
+
+    return `
+        <div class="card">
+            <div class="trend-header">
+                <h2 class="card-title">${translate('trendTitle', locale)}</h2>
+                <div class="trend-legend">
+                    <span class="trend-legend-item"><span class="trend-swatch-invalid"></span>${invalidLabel}</span>
+                    <span class="trend-legend-item"><span class="trend-swatch-fixable"></span>${fixableLabel}</span>
+                </div>
+            </div>
+            <svg class="trend-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${translate('trendTitle', locale)}">
+                <line class="trend-axis" x1="${PADDING.left}" y1="${baseline}" x2="${CHART_WIDTH - PADDING.right}" y2="${baseline}" />
+                <line class="trend-axis" x1="${PADDING.left}" y1="${PADDING.top}" x2="${PADDING.left}" y2="${baseline}" />
+                <text class="trend-axis-label" x="${PADDING.left - 6}" y="${PADDING.top + 4}" text-anchor="end">${maxValue.toLocaleString(locale)}</text>
+                <text class="trend-axis-label" x="${PADDING.left - 6}" y="${baseline}" text-anchor="end">0</text>
+                <text class="trend-axis-label" x="${PADDING.left}" y="${CHART_HEIGHT - 6}" text-anchor="start">${formatDate(minTime, locale)}</text>
+                <text class="trend-axis-label" x="${CHART_WIDTH - PADDING.right}" y="${CHART_HEIGHT - 6}" text-anchor="end">${formatDate(maxTime, locale)}</text>
+                ${line('invalidCount', 'trend-line-invalid')}
+                ${line('autoFixableCount', 'trend-line-fixable')}
+                ${markers}
+            </svg>
+        </div>
+    `;
+}
+
+module.exports = {
+    createTrendChart,
+};
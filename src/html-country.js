@@ -2,7 +2,8 @@ const { promises: fsPromises } = require('fs');
 const path = require('path');
 const { PUBLIC_DIR } = require('./constants');
 const { translate } = require('./i18n');
-const {favicon, themeButton, createFooter, createStatsBox} = require('./html-utils');
+const {favicon, themeButton, createFooter, createStatsBox, createSpreadsheetLink, createFeedLink, escapeHTML} = require('./html-utils');
+const { createTrendChart } = require('./html-chart');
 
 /**
  * Creates the renderListScript for the country index page.
@@ -22,12 +23,14 @@ function createRenderListScript(groupedDivisionStats, locale) {
         invalidPercentage: translate('invalidPercentage', locale),
         invalidCount: translate('invalidCount', locale),
         name: translate('name', locale),
-        noSubdivisionsFound: translate('noSubdivisionsFound', locale)
+        noSubdivisionsFound: translate('noSubdivisionsFound', locale),
+        dataUnavailable: translate('dataUnavailable', locale),
+        previousReport: translate('previousReport', locale)
     };
 
     return `
     <script>
-        const groupedDivisionStats = ${JSON.stringify(groupedDivisionStats)};
+        const groupedDivisionStats = ${JSON.stringify(groupedDivisionStats).replace(/</g, '\\u003c')};
         const listContainer = document.getElementById('division-list');
         const sortButtons = document.querySelectorAll('.sort-btn');
         const hideEmptyCheckbox = document.getElementById('hide-empty');
@@ -37,9 +40,22 @@ function createRenderListScript(groupedDivisionStats, locale) {
         const T_CLIENT = {
             invalidNumbersOutOf: \`${T.invalidNumbersOutOf}\`,
             invalid: \`${T.invalid}\`,
-            noSubdivisionsFound: \`${T.noSubdivisionsFound}\`
+            noSubdivisionsFound: \`${T.noSubdivisionsFound}\`,
+            dataUnavailable: \`${T.dataUnavailable}\`,
+            previousReport: \`${T.previousReport}\`
         };
 
+        /**
+         * Escapes text, such as a subdivision name, for use in HTML.
+         * @param {string} text
+         * @returns {string}
+         */
+        function escapeHTML(text) {
+            const span = document.createElement('span');
+            span.textContent = text;
+            return span.innerHTML;
+        }
+
         /**
          * Formats a number using the current locale for consistent display.
          * @param {number} num - The number to format.
@@ -59,6 +75,10 @@ function createRenderListScript(groupedDivisionStats, locale) {
             let groupTotal = 0;
             let groupFixable = 0;
             groupedDivisionStats[divisionName].forEach(stat => {
+                // Subdivisions that could not be fetched have no counts and are left out of the totals
+                if (stat.dataUnavailable) {
+                    return;
+                }
                 groupInvalid += stat.invalidCount;
                 groupTotal += stat.totalNumbers;
                 groupFixable += stat.autoFixableCount;
@@ -99,6 +119,35 @@ function createRenderListScript(groupedDivisionStats, locale) {
             return svg;
         }
 
+        /**
+         * Creates the list item for a subdivision whose data could not be fetched in this build.
+         * It links to the report from the last successful build, if there is one.
+         * @param {Object} subdivision - The subdivision stats, with \`dataUnavailable\` set.
+         * @returns {HTMLLIElement}
+         */
+        function createUnavailableListItem(subdivision) {
+            const li = document.createElement('li');
+            li.className = 'report-list-item';
+
+            const previousLink = subdivision.hasPreviousReport
+                ? \`<a href="\${subdivision.divisionSlug}/\${subdivision.slug}.html" class="footer-link">\${T_CLIENT.previousReport}</a>\`
+                : '';
+
+            li.innerHTML = \`
+                <div class="list-item-main-link">
+                    <div class="unavailable-indicator"></div>
+                    <div class="subdivision-item-container">
+                        <h3 class="list-item-sub-title">\${escapeHTML(subdivision.name)}</h3>
+                        <p class="country-description">\${previousLink}</p>
+                    </div>
+                </div>
+                <div class="summary-right-side">
+                    <p class="unavailable-label">\${T_CLIENT.dataUnavailable}</p>
+                </div>
+            \`;
+            return li;
+        }
+
         /**
          * Renders the list of divisions and subdivisions based on the current sort order
          * and filter settings. It handles both grouped and flat list layouts.
@@ -147,7 +196,7 @@ function createRenderListScript(groupedDivisionStats, locale) {
                 let sortedData = [...groupedDivisionStats[divisionName]];
 
                 if (hideEmptyCheckbox.checked) {
-                    sortedData = sortedData.filter(subdivision => subdivision.invalidCount > 0);
+                    sortedData = sortedData.filter(subdivision => subdivision.dataUnavailable || subdivision.invalidCount > 0);
                 }
 
                 if (sortedData.length > 0) {
@@ -170,6 +219,10 @@ function createRenderListScript(groupedDivisionStats, locale) {
                     // --- End Group Stats Calculation ---
 
                     sortedData.sort((a, b) => {
+                        // Unavailable subdivisions have nothing to sort on, so they go last unless sorting by name
+                        if (currentSort !== 'name' && Boolean(a.dataUnavailable) !== Boolean(b.dataUnavailable)) {
+                            return a.dataUnavailable ? 1 : -1;
+                        }
                         if (currentSort === 'percentage') {
                             const percentageA = a.totalNumbers > 0 ? (a.invalidCount / a.totalNumbers) : 0;
                             const percentageB = b.totalNumbers > 0 ? (b.invalidCount / b.totalNumbers) : 0;
@@ -260,6 +313,10 @@ function createRenderListScript(groupedDivisionStats, locale) {
 
                     // --- LIST ITEM RENDERING (Common Logic) ---
                     sortedData.forEach(subdivision => {
+                        if (subdivision.dataUnavailable) {
+                            ul.appendChild(createUnavailableListItem(subdivision));
+                            return;
+                        }
                         const subdivisionSlug = subdivision.slug;
                         const percentage = subdivision.totalNumbers > 0 ? (subdivision.invalidCount / subdivision.totalNumbers) * 100 : 0;
                         const invalidPercentage = Math.max(0, Math.min(100, percentage));
@@ -285,7 +342,7 @@ function createRenderListScript(groupedDivisionStats, locale) {
                             <a href="\${subdivision.divisionSlug}/\${subdivisionSlug}.html" class="list-item-main-link">
                                 <div class="color-indicator" data-percentage="\${invalidPercentage}"></div>
                                 <div class="subdivision-item-container">
-                                    <h3 class="list-item-sub-title">\${subdivision.name}</h3>
+                                    <h3 class="list-item-sub-title">\${escapeHTML(subdivision.name)}</h3>
                                     <p class="country-description">\${itemStatsLine}</p>
                                 </div>
                             </a>
@@ -325,12 +382,45 @@ function createRenderListScript(groupedDivisionStats, locale) {
     `;
 }
 
+/**
+ * Creates a notice listing the divisions and subdivisions whose data could not be fetched,
+ * so that readers know they are missing from the totals.
+ * @param {Object} countryData
+ * @param {string} locale
+ * @returns {string} The notice HTML, or an empty string if nothing is unavailable.
+ */
+function createUnavailableNotice(countryData, locale) {
+    const unavailableSubdivisions = Object.values(countryData.groupedDivisionStats)
+        .flat()
+        .filter(subdivision => subdivision.dataUnavailable)
+        .map(subdivision => subdivision.name);
+    const unavailableAreas = [...(countryData.unavailableDivisions || []), ...unavailableSubdivisions];
+
+    if (unavailableAreas.length === 0) {
+        return '';
+    }
+
+    return `
+            <div class="unavailable-notice">
+                <h2 class="unavailable-notice-title">${translate('dataUnavailable', locale)}</h2>
+                <p>${translate('dataUnavailableDescription', locale)}</p>
+                <ul class="unavailable-notice-list">
+                    ${unavailableAreas.map(name => `<li>${escapeHTML(name)}</li>`).join('')}
+                </ul>
+            </div>
+    `;
+}
+
 /**
  * Generates the country index page with a list of its subdivisions.
  * @param {Object} countryData
  * @param {Object} translations
+ * @param {string} [outputDir=PUBLIC_DIR] - The directory the site is written to.
+ * @param {Array<Object>} [trend=[]] - The country's counts over time, from `history.js`.
+ * @param {string|null} [csvFile=null] - The name of the CSV file with every invalid number, if there is one.
+ * @param {string|null} [feedFile=null] - The name of the feed of newly invalid numbers, if there is one.
  */
-async function generateCountryIndexHtml(countryData, translations) {
+async function generateCountryIndexHtml(countryData, translations, outputDir = PUBLIC_DIR, trend = [], csvFile = null, feedFile = null) {
     const locale = countryData.locale;
     const htmlContent = `
     <!DOCTYPE html>
@@ -338,9 +428,10 @@ async function generateCountryIndexHtml(countryData, translations) {
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${translate('countryReportTitle', locale, [countryData.name])}</title>
+        <title>${translate('countryReportTitle', locale, [escapeHTML(countryData.name)])}</title>
         ${favicon}
         <link href="../styles.css" rel="stylesheet">
+        ${feedFile ? `<link rel="alternate" type="application/atom+xml" href="${feedFile}">` : ''}
         <script src="../theme.js"></script>
     </head>
     <body class="body-styles">
@@ -356,9 +447,13 @@ async function generateCountryIndexHtml(countryData, translations) {
                     ${themeButton}
                 </div>
                 <h1 class="page-title">${translate('osmPhoneNumberValidation', locale)}</h1>
-                <p class="report-subtitle">${translate('reportSubtitle', locale, [countryData.name])}</p>
+                <p class="report-subtitle">${translate('reportSubtitle', locale, [escapeHTML(countryData.name)])}</p>
             </header>
-            ${createStatsBox(countryData.totalNumbers, countryData.invalidCount, countryData.autoFixableCount, locale)}
+            ${createStatsBox(countryData.totalNumbers, countryData.invalidCount, countryData.autoFixableCount, locale, countryData.totalsByKind)}
+            ${csvFile ? createSpreadsheetLink(csvFile, locale) : ''}
+            ${feedFile ? createFeedLink(feedFile, locale) : ''}
+            ${createUnavailableNotice(countryData, locale)}
+            ${createTrendChart(trend, locale)}
             <div class="card">
                 <div class="card-header">
                     <h2 class="card-title">${translate('divisionalReports', locale)}</h2>
@@ -387,7 +482,7 @@ async function generateCountryIndexHtml(countryData, translations) {
     </body>
     </html>
     `;
-    pageFileName = path.join(PUBLIC_DIR, countryData.slug, 'index.html')
+    const pageFileName = path.join(outputDir, countryData.slug, 'index.html')
     await fsPromises.writeFile(pageFileName, htmlContent);
     console.log(`Report for ${countryData.name} generated at ${pageFileName}.`);
 }
@@ -2,15 +2,18 @@ const { promises: fsPromises } = require('fs');
 const path = require('path');
 const { PUBLIC_DIR } = require('./constants');
 const { translate } = require('./i18n');
-const {favicon, themeButton, createFooter} = require('./html-utils')
+const {favicon, themeButton, createFooter, escapeHTML} = require('./html-utils')
+const { createTrendChart } = require('./html-chart');
 
 /**
  * Generates the main index.html file listing all country reports.
  * @param {Array<Object>} countryStats - Array of country statistic objects, including country.locale.
  * @param {string} locale - The primary locale for the main page structure (e.g., 'en').
  * @param {Object} translations
+ * @param {string} [outputDir=PUBLIC_DIR] - The directory the site is written to.
+ * @param {Array<Object>} [trend=[]] - The counts of all countries over time, from `history.js`.
  */
-async function generateMainIndexHtml(countryStats, locale, translations) {
+async function generateMainIndexHtml(countryStats, locale, translations, outputDir = PUBLIC_DIR, trend = []) {
 
     const listContent = countryStats.map(country => {
         const safeCountryName = country.slug;
@@ -34,7 +37,7 @@ async function generateMainIndexHtml(countryStats, locale, translations) {
                 <div class="country-link-content">
                     <div class="color-indicator" data-percentage="${invalidPercentage}"></div>
                     <div class="country-link-text-container">
-                        <h3 class="country-name">${country.name}</h3>
+                        <h3 class="country-name">${escapeHTML(country.name)}</h3>
                         <p class="country-description">${description}</p>
                     </div>
                 </div>
@@ -67,6 +70,7 @@ async function generateMainIndexHtml(countryStats, locale, translations) {
                 </div>
                 <p class="report-subtitle">${translate('reportSubtitle', locale)}</p>
             </header>
+            ${createTrendChart(trend, locale)}
             <div class="card">
                 <div class="card-header">
                     <h2 class="card-title">${translate('countryReports', locale)}</h2>
@@ -83,7 +87,7 @@ async function generateMainIndexHtml(countryStats, locale, translations) {
     </body>
     </html>
     `;
-    await fsPromises.writeFile(path.join(PUBLIC_DIR, 'index.html'), htmlContent);
+    await fsPromises.writeFile(path.join(outputDir, 'index.html'), htmlContent);
     console.log('Main index.html generated.');
 }
 
@@ -0,0 +1,213 @@
+const { MAP_TILES, MAP_LIBRARIES } = require('./constants');
+const { translate } = require('./i18n');
+
+// The same colours as the fixable label and the invalid count
+const FIXABLE_COLOUR = '#ca8a04';
+const INVALID_COLOUR = '#dc2626';
+
+let tiles = { ...MAP_TILES };
+let libraryUrl = MAP_LIBRARIES.url;
+
+/**
+ * Sets the tiles used by the report maps, and where Leaflet is loaded from.
+ * @param {Object} [options]
+ * @param {string|null} [options.tileUrl] - A Leaflet tile URL template. Defaults to `MAP_TILES.url`.
+ * @param {string|null} [options.attribution] - Defaults to `MAP_TILES.attribution`.
+ * @param {string|null} [options.libraryUrl] - The URL the paths in `MAP_LIBRARIES` are relative to.
+ * Defaults to `MAP_LIBRARIES.url`.
+ */
+function configureMap({ tileUrl, attribution, libraryUrl: url } = {}) {
+    tiles = {
+        url: tileUrl || MAP_TILES.url,
+        attribution: attribution || MAP_TILES.attribution,
+    };
+    libraryUrl = url || MAP_LIBRARIES.url;
+}
+
+/**
+ * Lists the Leaflet files with their full URLs, from the configured library URL.
+ * @param {Array<{path: string, integrity: string}>} files - From `MAP_LIBRARIES`.
+ * @returns {Array<{url: string, integrity: string}>}
+ */
+function getLibraryFiles(files) {
+    const base = libraryUrl.replace(/\/+$/, '');
+    return files.map(file => ({ url: `${base}/${file.path}`, integrity: file.integrity }));
+}
+
+/**
+ * Converts a value to JSON that is safe to put inside a script tag.
+ * @param {*} value
+ * @returns {string}
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Creates the parts of a report that switch between the list and a map of the invalid items.
+ * The map is a Leaflet map of the subdivision's GeoJSON. Leaflet and the GeoJSON are only fetched
+ * when the map tab is first opened. Nearby points are clustered, and each point's popup has the same title and
+ * buttons as the item in the list, copied from it so that the editor settings apply.
+ * @param {string|null} geoJsonFile - The GeoJSON file, relative to the report, or null for no map.
+ * @param {string} locale
+ * @returns {{tabs: string, mapView: string, script: string}} The tab buttons, the map view and the
+ * script that runs them. All are empty if there is no map.
+ */
+function createMapContent(geoJsonFile, locale) {
+    if (!geoJsonFile) {
+        return { tabs: '', mapView: '', script: '' };
+    }
+
+    const tabs = `
+        <div class="report-tabs" role="tablist">
+            <button class="report-tab report-tab-active" data-report-tab="list" role="tab">${translate('listView', locale)}</button>
+            <button class="report-tab" data-report-tab="map" role="tab">${translate('mapView', locale)}</button>
+        </div>`;
+
+    const mapView = `
+        <div id="map-view" class="card hidden">
+            <div class="map-legend">
+                <span class="map-legend-item"><span class="map-legend-fixable"></span>${translate('fixable', locale)}</span>
+                <span class="map-legend-item"><span class="map-legend-invalid"></span>${translate('needsManualFix', locale)}</span>
+            </div>
+            <div id="report-map" class="report-map"></div>
+        </div>`;
+
+    const script = `
+    <script>
+        // ----------------------------------------------------------------------------------------------------------------------
+        // CLIENT-SIDE LOGIC FOR THE MAP
+        // ----------------------------------------------------------------------------------------------------------------------
+
+        const MAP_TILES = ${toScriptJson(tiles)};
+        const MAP_STYLES = ${toScriptJson(getLibraryFiles(MAP_LIBRARIES.styles))};
+        const MAP_SCRIPTS = ${toScriptJson(getLibraryFiles(MAP_LIBRARIES.scripts))};
+        const MAP_GEOJSON_FILE = ${toScriptJson(geoJsonFile)};
+        const MAP_LOAD_ERROR = ${toScriptJson(translate('mapLoadError', locale))};
+        let reportMap = null;
+        let reportMapLoading = null;
+
+        /**
+         * Creates the popup for a point from the item in the list with the same key.
+         * @param {Object} feature - The GeoJSON feature.
+         * @returns {HTMLElement}
+         */
+        function createMapPopup(feature) {
+            const listItem = document.getElementById(feature.properties.key);
+            const popup = document.createElement('div');
+            popup.className = 'map-popup';
+            if (!listItem) {
+                // Leaflet would read a string as HTML
+                popup.textContent = feature.properties.name || feature.properties.key;
+                return popup;
+            }
+            popup.append(
+                listItem.querySelector('.list-item-title').cloneNode(true),
+                listItem.querySelector('.list-item-actions-container').cloneNode(true)
+            );
+            return popup;
+        }
+
+        /**
+         * Adds a Leaflet file to the head, checked against its integrity hash.
+         * @param {string} tagName - 'link' or 'script'.
+         * @param {{url: string, integrity: string}} file
+         * @returns {Promise<void>} Resolves once the file has loaded.
+         */
+        function loadMapFile(tagName, file) {
+            return new Promise((resolve, reject) => {
+                const element = document.createElement(tagName);
+                if (tagName === 'link') {
+                    element.rel = 'stylesheet';
+                    element.href = file.url;
+                } else {
+                    element.src = file.url;
+                }
+                element.integrity = file.integrity;
+                element.crossOrigin = 'anonymous';
+                element.addEventListener('load', () => resolve());
+                element.addEventListener('error', () => reject(new Error(\`Could not load \${file.url}\`)));
+                document.head.appendChild(element);
+            });
+        }
+
+        /**
+         * Loads the Leaflet styles and scripts. The scripts are loaded one after another, since
+         * the clustering plugin needs Leaflet.
+         * @returns {Promise<void>}
+         */
+        async function loadMapLibraries() {
+            const styles = Promise.all(MAP_STYLES.map(file => loadMapFile('link', file)));
+            for (const file of MAP_SCRIPTS) {
+                await loadMapFile('script', file);
+            }
+            await styles;
+        }
+
+        /**
+         * Loads Leaflet, creates the map and loads the points. It is only done once the map is
+         * visible, since Leaflet needs to know the size of the map.
+         */
+        async function initReportMap() {
+            try {
+                await loadMapLibraries();
+                reportMap = L.map('report-map');
+                L.tileLayer(MAP_TILES.url, { attribution: MAP_TILES.attribution, maxZoom: 19 }).addTo(reportMap);
+
+                const response = await fetch(MAP_GEOJSON_FILE);
+                if (!response.ok) {
+                    throw new Error(\`HTTP \${response.status}\`);
+                }
+                const data = await response.json();
+
+                const clusters = L.markerClusterGroup();
+                clusters.addLayer(L.geoJSON(data, {
+                    pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+                        radius: 8,
+                        weight: 2,
+                        color: '#ffffff',
+                        fillOpacity: 0.9,
+                        fillColor: feature.properties.autoFixable ? '${FIXABLE_COLOUR}' : '${INVALID_COLOUR}'
+                    }),
+                    onEachFeature: (feature, layer) => layer.bindPopup(() => createMapPopup(feature))
+                }));
+                reportMap.addLayer(clusters);
+                reportMap.fitBounds(clusters.getBounds(), { maxZoom: 17, padding: [20, 20] });
+            } catch (error) {
+                console.error('Could not load the map.', error);
+                document.getElementById('report-map').innerHTML = MAP_LOAD_ERROR;
+            }
+        }
+
+        /**
+         * Shows either the list or the map.
+         * @param {string} tab - 'list' or 'map'.
+         */
+        function showReportTab(tab) {
+            document.getElementById('list-view').classList.toggle('hidden', tab !== 'list');
+            document.getElementById('map-view').classList.toggle('hidden', tab !== 'map');
+            document.querySelectorAll('[data-report-tab]').forEach(button => {
+                button.classList.toggle('report-tab-active', button.dataset.reportTab === tab);
+            });
+
+            if (tab === 'map') {
+                if (!reportMapLoading) {
+                    reportMapLoading = initReportMap();
+                } else if (reportMap) {
+                    reportMap.invalidateSize();
+                }
+            }
+        }
+
+        document.querySelectorAll('[data-report-tab]').forEach(button => {
+            button.addEventListener('click', () => showReportTab(button.dataset.reportTab));
+        });
+    </script>`;
+
+    return { tabs, mapView, script };
+}
+
+module.exports = {
+    configureMap,
+    createMapContent,
+};
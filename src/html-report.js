@@ -1,10 +1,17 @@
 const { promises: fsPromises, readFileSync, existsSync } = require('fs');
 const path = require('path');
-const { PUBLIC_DIR, OSM_EDITORS, ALL_EDITOR_IDS, DEFAULT_EDITORS_DESKTOP, DEFAULT_EDITORS_MOBILE, ICONS_DIR } = require('./constants');
-const { safeName, getFeatureTypeName, getFeatureIcon, isDisused } = require('./data-processor');
+const { PUBLIC_DIR, OSM_EDITORS, ALL_EDITOR_IDS, DEFAULT_EDITORS_DESKTOP, DEFAULT_EDITORS_MOBILE, ICONS_DIR, ISSUE_CODES } = require('./constants');
+const { safeName, getItemKey, getFeatureTypeName, getPresetName, getFeatureIcon, isDisused, getRemovedTags } = require('./data-processor');
 const { translate } = require('./i18n');
 const { getDiffHtml } = require('./diff-renderer');
-const { favicon, themeButton, createFooter, createStatsBox, escapeHTML } = require('./html-utils')
+const { favicon, themeButton, createFooter, createStatsBox, getKindLabel, createSpreadsheetLink, createFeedLink, escapeHTML } = require('./html-utils')
+const { createTrendChart } = require('./html-chart');
+const { createMapContent } = require('./html-map');
+const { getGeoJsonFileName, hasLocation } = require('./geojson');
+const { getCsvFileName } = require('./csv-export');
+const { getFeedFileName } = require('./atom-feed');
+const { getKeyPolicy, getPhoneKeys } = require('./phone-keys');
+const { getFormatProfile, getDiffSeparators } = require('./format-profiles');
 
 // Global map to store unique icons that need to be in the SVG sprite
 // Stores: { iconName: { content: <path/g data>, viewBox: '0 0 24 24' } }
@@ -58,30 +65,62 @@ function generateSvgSprite() {
     `;
 }
 
+/**
+ * Creates the label of a phone tag, with the kind of key unless it is a plain phone number.
+ * @param {string} key - The tag key, e.g. `contact:whatsapp`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createKeyLabel(key, locale) {
+    const policy = getKeyPolicy(key);
+    const kindLabel = policy && policy.kind !== 'phone'
+        ? ` <span class="label label-kind">${getKindLabel(policy.kind, locale)}</span>`
+        : '';
+    return `<span class="list-item-phone-label">${escapeHTML(key)}</span>${kindLabel}`;
+}
+
 /**
  * Creates the HTML grid for displaying an invalid phone number tag and its suggested fix.
- * It generates a diff view if a fix is available.
- * @param {Object} item - The invalid item object, containing `invalidNumbers` and `suggestedFixes`.
+ * It generates a diff view if a fix is available, and suggests removing redundant tags.
+ * @param {Object} item - The invalid item object, containing `invalidNumbers`, `suggestedFixes`,
+ * `redundantTags`, `normalizations` and `issues`.
  * @param {string} locale - The current locale for translations.
+ * @param {Object} formatProfile - The country's format profile, from `getFormatProfile`.
  * @returns {string} The HTML string for the details grid.
  */
-function createDetailsGrid(item, locale) {
+function createDetailsGrid(item, locale, formatProfile) {
+    const removedTags = getRemovedTags(item);
+    const redundantTags = item.redundantTags || {};
+
     const detailsGrid = Object.keys(item.invalidNumbers).map(key => {
         const originalNumber = item.invalidNumbers[key];
         const suggestedFix = item.suggestedFixes[key];
+        const redundantLabel = redundantTags[key]
+            ? ` <span class="label label-redundant">${translate('redundant', locale)}</span>`
+            : '';
 
         let originalNumberHtml;
         let suggestedFixHtml = '';
 
-        if (suggestedFix) {
-            const { oldDiff, newDiff } = getDiffHtml(originalNumber, suggestedFix);
+        if (removedTags.includes(key)) {
+            originalNumberHtml = `<span class="fixed-item-value">${escapeHTML(originalNumber)}</span>`;
+            suggestedFixHtml = `
+                <div class="list-item-phone-label-container">
+                    <span class="list-item-phone-label">${translate('suggestedFix', locale)}</span>
+                </div>
+                <div class="list-item-phone-value-container">
+                    <span>${translate('removeDuplicateTag', locale, [escapeHTML(redundantTags[key])])}</span>
+                </div>
+            `;
+        } else if (suggestedFix) {
+            const { oldDiff, newDiff } = getDiffHtml(originalNumber, suggestedFix, getDiffSeparators(formatProfile));
             originalNumberHtml = `<span>${oldDiff}</span>`;
             suggestedFixHtml = `
                 <div class="list-item-phone-label-container">
                     <span class="list-item-phone-label">${translate('suggestedFix', locale)}</span>
                 </div>
                 <div class="list-item-phone-value-container">
-                    <span>${newDiff}</span>
+                    <span>${newDiff}</span>${createNormalizationNote((item.normalizations || {})[key], locale)}
                 </div>
             `;
         } else {
@@ -92,12 +131,13 @@ function createDetailsGrid(item, locale) {
         return `
             <div class="list-item-details-grid">
                 <div class="list-item-phone-label-container">
-                    <span class="list-item-phone-label">${key}</span>
+                    ${createKeyLabel(key, locale)}${redundantLabel}
                 </div>
                 <div class="list-item-phone-value-container">
                     ${originalNumberHtml}
                 </div>
                 ${suggestedFixHtml}
+                ${createIssueList((item.issues || {})[key], locale)}
             </div>
         `;
     }).join('<hr class="phone-separator-line">');
@@ -105,6 +145,190 @@ function createDetailsGrid(item, locale) {
     return detailsGrid;
 }
 
+/**
+ * Gets the short name of an issue code, or its explanation.
+ * @param {string} code - One of the `ISSUE_CODES`.
+ * @param {string} locale
+ * @param {boolean} [isDescription=false] - Whether to get the explanation.
+ * @returns {string}
+ */
+function getIssueText(code, locale, isDescription = false) {
+    const key = `issue${code.charAt(0).toUpperCase()}${code.slice(1)}${isDescription ? 'Description' : ''}`;
+    return translate(key, locale);
+}
+
+/**
+ * Creates the list explaining why a tag is invalid.
+ * @param {Array<string>|undefined} issues - The tag's codes, from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string} The HTML string, empty if there are none.
+ */
+function createIssueList(issues, locale) {
+    if (!issues || issues.length === 0) {
+        return '';
+    }
+    const listItems = issues.map(code => `
+        <li data-issue="${code}">
+            <span class="issue-name">${getIssueText(code, locale)}:</span> ${getIssueText(code, locale, true)}
+        </li>`).join('');
+    return `<ul class="issue-list">${listItems}</ul>`;
+}
+
+/**
+ * Gets the issue codes of all of an item's tags, each once.
+ * @param {Object} item - The invalid item object.
+ * @returns {Array<string>}
+ */
+function getItemIssues(item) {
+    const issues = Object.values(item.issues || {}).flat();
+    return ISSUE_CODES.filter(code => issues.includes(code));
+}
+
+/**
+ * Creates one of the menus of the filter bar.
+ * @param {string} filter - The name of the filter, as in the URL hash.
+ * @param {string} anyText - The text of the first option, which doesn't filter.
+ * @param {Array<{value: string, text: string, count: (number|undefined)}>} options
+ * @param {string} locale
+ * @returns {string}
+ */
+function createFilterSelect(filter, anyText, options, locale) {
+    const optionsHtml = options.map(({ value, text, count }) => {
+        const countText = count === undefined ? '' : ` (${count.toLocaleString(locale)})`;
+        return `<option value="${escapeHTML(value)}">${escapeHTML(text)}${countText}</option>`;
+    }).join('');
+    return `
+                <select class="filter-select" data-filter="${filter}" aria-label="${escapeHTML(anyText)}">
+                    <option value="">${escapeHTML(anyText)}</option>
+                    ${optionsHtml}
+                </select>`;
+}
+
+/**
+ * Counts the items with each value, and makes them the options of a filter, in order of the values.
+ * @param {Array<Object>} invalidNumbers - List of invalid items.
+ * @param {function(Object): Array<string>} getValues - Gets an item's values.
+ * @param {Array<string>} values - The values in the order to list them.
+ * @param {function(string): string} [getText] - Gets the text of a value, the value itself by default.
+ * @returns {Array<{value: string, text: string, count: number}>} The values that items have.
+ */
+function countFilterOptions(invalidNumbers, getValues, values, getText = value => value) {
+    return values
+        .map(value => ({
+            value: value,
+            text: getText(value),
+            count: invalidNumbers.filter(item => getValues(item).includes(value)).length,
+        }))
+        .filter(({ count }) => count > 0);
+}
+
+/**
+ * Creates the bar for searching and filtering the invalid items, by their names and numbers, tag
+ * keys, feature types, issues, whether they can be fixed automatically, are disused or have a
+ * website. The filters only offer the values that items in the report have. The page's script
+ * keeps the chosen filters in the URL hash, so that a filtered view can be shared.
+ * @param {Array<Object>} invalidNumbers - List of invalid items.
+ * @param {string} locale
+ * @returns {string} The HTML string, empty if there are no invalid items.
+ */
+function createFilterBar(invalidNumbers, locale) {
+    if (invalidNumbers.length === 0) {
+        return '';
+    }
+
+    const allKeys = Object.fromEntries(invalidNumbers.flatMap(item => Object.keys(item.invalidNumbers)).map(key => [key, true]));
+    const presetNames = [...new Set(invalidNumbers.map(item => getPresetName(item, locale)))]
+        .sort((a, b) => a.localeCompare(b, locale));
+
+    const keyOptions = countFilterOptions(invalidNumbers, item => Object.keys(item.invalidNumbers), getPhoneKeys(allKeys));
+    const typeOptions = countFilterOptions(invalidNumbers, item => [getPresetName(item, locale)], presetNames);
+    const issueOptions = countFilterOptions(invalidNumbers, getItemIssues, ISSUE_CODES, code => getIssueText(code, locale));
+    const yesNoOptions = (yesKey, noKey) => [
+        { value: 'yes', text: translate(yesKey, locale) },
+        { value: 'no', text: translate(noKey, locale) },
+    ];
+
+    return `
+        <div class="filter-bar" role="search" aria-label="${translate('filterHeader', locale)}">
+            <input type="search" class="filter-search" data-filter="q" placeholder="${translate('filterSearchPlaceholder', locale)}" aria-label="${translate('filterSearchPlaceholder', locale)}">
+            <div class="filter-select-container">
+                ${createFilterSelect('key', translate('filterAllKeys', locale), keyOptions, locale)}
+                ${createFilterSelect('type', translate('filterAllTypes', locale), typeOptions, locale)}
+                ${createFilterSelect('issue', translate('allIssues', locale), issueOptions, locale)}
+                ${createFilterSelect('fixable', translate('filterFixableAny', locale), yesNoOptions('filterFixableYes', 'filterFixableNo'), locale)}
+                ${createFilterSelect('disused', translate('filterDisusedAny', locale), yesNoOptions('filterDisusedYes', 'filterDisusedNo'), locale)}
+                ${createFilterSelect('website', translate('filterWebsiteAny', locale), yesNoOptions('filterWebsiteYes', 'filterWebsiteNo'), locale)}
+            </div>
+            <div class="filter-status">
+                <span id="filter-count" class="filter-count" aria-live="polite"></span>
+                <button type="button" id="filter-clear" class="filter-clear hidden">${translate('filterClear', locale)}</button>
+            </div>
+        </div>`;
+}
+
+/**
+ * Creates the box with the user's progress through the invalid items, shown under the stats box.
+ * The page's script counts the items marked done or skipped, which are kept in the browser's
+ * localStorage under the report's ID, and exports and imports them as a file.
+ * @param {Array<Object>} invalidNumbers - List of invalid items.
+ * @param {string} reportId - Identifies the report in the saved progress, e.g. `belgium/brussels/ixelles`.
+ * @param {string} locale
+ * @returns {string} The HTML string, empty if there are no invalid items.
+ */
+function createProgressBox(invalidNumbers, reportId, locale) {
+    if (invalidNumbers.length === 0) {
+        return '';
+    }
+
+    return `
+        <div id="progress-box" class="progress-box" data-report="${escapeHTML(reportId)}">
+            <h2 class="progress-box-header">${translate('progressHeader', locale)}</h2>
+            <div class="progress-box-counts">
+                <div>
+                    <p id="progress-done" class="progress-box-number-done">0</p>
+                    <p class="stats-box-label">${translate('progressDone', locale)}</p>
+                </div>
+                <div>
+                    <p id="progress-skipped" class="progress-box-number">0</p>
+                    <p class="stats-box-label">${translate('progressSkipped', locale)}</p>
+                </div>
+                <div>
+                    <p id="progress-remaining" class="progress-box-number">${invalidNumbers.length.toLocaleString(locale)}</p>
+                    <p class="stats-box-label">${translate('progressRemaining', locale)}</p>
+                </div>
+            </div>
+            <div class="progress-bar">
+                <div id="progress-bar-done" class="progress-bar-done" style="width: 0%"></div>
+                <div id="progress-bar-skipped" class="progress-bar-skipped" style="width: 0%"></div>
+            </div>
+            <p class="progress-box-description">${translate('progressDescription', locale)}</p>
+            <div class="progress-box-actions">
+                <button type="button" id="progress-export" class="progress-action">${translate('progressExport', locale)}</button>
+                <label class="progress-action">
+                    ${translate('progressImport', locale)}
+                    <input type="file" id="progress-import" accept=".json,application/json" class="hidden">
+                </label>
+            </div>
+        </div>`;
+}
+
+/**
+ * Creates the note explaining the changes to a value that the diff can't show as formatting, such
+ * as digits from another script becoming 0-9.
+ * @param {Array<string>|undefined} normalizations - The codes from `preNormalizeNumber`.
+ * @param {string} locale
+ * @returns {string} The HTML string, empty if there are none.
+ */
+function createNormalizationNote(normalizations, locale) {
+    if (!normalizations || normalizations.length === 0) {
+        return '';
+    }
+    const changes = normalizations
+        .map(code => translate(`normalization${code.charAt(0).toUpperCase()}${code.slice(1)}`, locale))
+        .join('; ');
+    return `<p class="normalization-note">${translate('normalizationsApplied', locale)} ${changes}</p>`;
+}
+
 /**
  * Reads an SVG file, cleans it, extracts the viewBox, and returns the inner content.
  * @param {string} iconPath - The full path to the SVG file.
@@ -212,16 +436,21 @@ function getIconHtml(iconName) {
  * Creates the HTML content for a single invalid number item.
  * @param {Object} item - The invalid number data item.
  * @param {string} locale - The locale for the text
+ * @param {boolean} [isNew=false] - Whether the item was not invalid in the last build.
+ * @param {Object} [formatProfile=getFormatProfile(null)] - The country's format profile, for the diff.
  * @returns {string}
  */
-function createListItem(item, locale) {
+function createListItem(item, locale, isNew = false, formatProfile = getFormatProfile(null)) {
 
     const josmFixBaseUrl = 'http://127.0.0.1:8111/load_object';
     const josmEditUrl = `${josmFixBaseUrl}?objects=${item.type[0]}${item.id}`;
 
     // Construct JOSM fix URL including all fixable values, if the whole thing is fixable
     // if it is not fixable, no link is made or shown
-    const fixes = Object.entries(item.suggestedFixes);
+    // Redundant tags are given an empty value, which JOSM takes as removing them
+    const removedTags = getRemovedTags(item);
+    const fixes = Object.entries(item.suggestedFixes)
+        .map(([key, value]) => [key, removedTags.includes(key) ? '' : value]);
 
     const encodedTags = fixes.map(([key, value]) => {
         const encodedKey = encodeURIComponent(key);
@@ -247,12 +476,12 @@ function createListItem(item, locale) {
         // Use a standard target="_blank" for non-JOSM/non-GEO links
         const target = isJosm ? '' : (editorId === 'Geo' ? '' : 'target="_blank"');
 
-        // JOSM requires an onclick handler; others use a direct href
+        // JOSM links are sent by the page's script, see openInJosm; others use a direct href
         const href = isJosm ? '#' : url;
-        const onClick = isJosm ? `onclick="openInJosm('${url}', event)"` : '';
+        const josmUrl = isJosm ? `data-josm-url="${escapeHTML(url)}"` : '';
 
         return `
-            <a href="${href}" ${target} ${onClick} 
+            <a href="${href}" ${target} ${josmUrl} 
                 data-editor-id="${editorId}"
                 class="btn btn-editor">
                 ${text}
@@ -262,7 +491,7 @@ function createListItem(item, locale) {
 
     // Generate JOSM Fix Button (special case)
     const josmFixButton = josmFixUrl ?
-        `<a href="#" onclick="openInJosm('${josmFixUrl}', event)" 
+        `<a href="#" data-josm-url="${escapeHTML(josmFixUrl)}" 
             data-editor-id="josm-fix"
             class="btn btn-josm-fix">
             ${translate('fixInJOSM', locale)}
@@ -276,12 +505,37 @@ function createListItem(item, locale) {
         `<a href="${item.website}" class="btn btn-website" target="_blank">${translate('website', locale)}</a>` :
         '';
     const disusedLabel = isDisused(item) ? `<span class="label label-disused">${translate('disused', locale)}</span>` : '';
+    const newLabel = isNew ? `<span class="label label-new">${translate('newItem', locale)}</span>` : '';
+
+    // Marking an item is handled by the page's script, see createProgressBox
+    const progressButtons = `
+        <button type="button" class="btn btn-progress" data-progress="done" aria-pressed="false">${translate('markDone', locale)}</button>
+        <button type="button" class="btn btn-progress" data-progress="skipped" aria-pressed="false">${translate('markSkipped', locale)}</button>
+    `;
 
     const iconName = getFeatureIcon(item, locale);
     const iconHtml = getIconHtml(iconName);
 
+    // What the filter bar matches, see createFilterBar. Numbers are also given without spaces, so
+    // that they can be found however they are typed.
+    const numbers = [...Object.values(item.invalidNumbers), ...Object.values(item.suggestedFixes)].filter(Boolean);
+    const searchText = [item.name, getPresetName(item, locale), ...numbers, ...numbers.map(number => number.replace(/\s/g, ''))]
+        .filter(Boolean)
+        .join(' ')
+        .toLocaleLowerCase(locale);
+    const yesNo = value => value ? 'yes' : 'no';
+    const filterAttributes = [
+        `data-search="${escapeHTML(searchText)}"`,
+        `data-key="${escapeHTML(Object.keys(item.invalidNumbers).join(' '))}"`,
+        `data-type="${escapeHTML(getPresetName(item, locale))}"`,
+        `data-issue="${getItemIssues(item).join(' ')}"`,
+        `data-fixable="${yesNo(item.autoFixable)}"`,
+        `data-disused="${yesNo(isDisused(item))}"`,
+        `data-website="${yesNo(item.website)}"`,
+    ].join(' ');
+
     return `
-        <li class="report-list-item">
+        <li class="report-list-item" id="${getItemKey(item)}" ${filterAttributes}>
             <div class="list-item-content-wrapper">
                 <a class="list-item-icon-circle-preview" href="${item.osmUrl}" target="_blank" rel="noopener noreferrer">
                     ${iconHtml}
@@ -289,9 +543,10 @@ function createListItem(item, locale) {
                 <div class="list-item-details-wrapper">
                     <div class="list-item-header">
                         <h3 class="list-item-title">${escapeHTML(getFeatureTypeName(item, locale))}</h3>
+                        ${newLabel}
                         ${disusedLabel}
                     </div>
-                    ${createDetailsGrid(item, locale)}
+                    ${createDetailsGrid(item, locale, formatProfile)}
                 </div>
             </div>
 
@@ -300,27 +555,270 @@ function createListItem(item, locale) {
                 ${fixableLabel}
                 ${josmFixButton}
                 ${editorButtons} 
+                ${progressButtons}
             </div>
         </li>
     `;
 }
 
 /**
- * Generates the HTML report for a single subdivision.
- * @param {string} countryName
- * @param {Object} subdivisionStats - The subdivision statistics object.
- * @param {Array<Object>} invalidNumbers - List of invalid items.
+ * Creates the HTML content for an item that was invalid in the last build but isn't any more.
+ * @param {Object} item - The item as saved by `saveSnapshot`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createFixedListItem(item, locale) {
+    const osmUrl = `https://www.openstreetmap.org/${item.type}/${item.id}`;
+    const iconHtml = getIconHtml(getFeatureIcon(item, locale));
+
+    const previousValues = Object.entries(item.invalidNumbers).map(([key, value]) => `
+        <div class="list-item-details-grid">
+            <div class="list-item-phone-label-container">
+                ${createKeyLabel(key, locale)}
+            </div>
+            <div class="list-item-phone-value-container">
+                <span class="fixed-item-value">${escapeHTML(value)}</span>
+            </div>
+        </div>
+    `).join('<hr class="phone-separator-line">');
+
+    return `
+        <li class="report-list-item" id="${getItemKey(item)}">
+            <div class="list-item-content-wrapper">
+                <a class="list-item-icon-circle-preview" href="${osmUrl}" target="_blank" rel="noopener noreferrer">
+                    ${iconHtml}
+                </a>
+                <div class="list-item-details-wrapper">
+                    <div class="list-item-header">
+                        <h3 class="list-item-title">${escapeHTML(getFeatureTypeName(item, locale))}</h3>
+                    </div>
+                    ${previousValues}
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Creates the summary of what changed since the last build, and the list of items fixed since then.
+ * @param {Object|null} diff - From `diffRuns`.
+ * @param {string} locale
+ * @returns {{summary: string, fixedSection: string}} Both are empty if there is no last build.
+ */
+function createRunDiffContent(diff, locale) {
+    if (!diff) {
+        return { summary: '', fixedSection: '' };
+    }
+
+    const previousDate = new Date(diff.previousTimestamp).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+    const summary = `<p class="run-diff-summary">${translate('runDiffSummary', locale, [
+        previousDate,
+        diff.newKeys.size.toLocaleString(locale),
+        diff.fixed.length.toLocaleString(locale),
+        diff.stillOpenCount.toLocaleString(locale)
+    ])}</p>`;
+
+    const fixedSection = diff.fixed.length === 0 ? '' : `
+        <div class="section-header-container">
+            <h2 class="section-header">${translate('recentlyFixedHeader', locale)}</h2>
+            <p class="section-description">${translate('recentlyFixedDescription', locale)}</p>
+        </div>
+        <ul class="report-list">
+            ${diff.fixed.map(item => createFixedListItem(item, locale)).join('')}
+        </ul>`;
+
+    return { summary, fixedSection };
+}
+
+/**
+ * Creates a list item for one tag of an element, with notes about it. It has no id, since the
+ * element may also be listed as invalid for another tag.
+ * @param {{osmUrl: string, tag: string, value: string}} item - An excluded or warned number from `validateNumbers`.
+ * @param {Array<string>} notes - The notes, as HTML.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createTagListItem(item, notes, locale) {
+    const iconHtml = getIconHtml(getFeatureIcon(item, locale));
+
+    return `
+        <li class="report-list-item">
+            <div class="list-item-content-wrapper">
+                <a class="list-item-icon-circle-preview" href="${item.osmUrl}" target="_blank" rel="noopener noreferrer">
+                    ${iconHtml}
+                </a>
+                <div class="list-item-details-wrapper">
+                    <div class="list-item-header">
+                        <h3 class="list-item-title">${escapeHTML(getFeatureTypeName(item, locale))}</h3>
+                    </div>
+                    <div class="list-item-details-grid">
+                        <div class="list-item-phone-label-container">
+                            ${createKeyLabel(item.tag, locale)}
+                        </div>
+                        <div class="list-item-phone-value-container">
+                            <span>${escapeHTML(item.value)}</span>
+                        </div>
+                    </div>
+                    ${notes.join('')}
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Creates a list item for a number accepted by an exclusion rule, with the reason it was accepted.
+ * @param {Object} item - An excluded number from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createExcludedListItem(item, locale) {
+    const reasons = [...new Set(item.exclusions.map(exclusion => exclusion.reason))]
+        .map(reason => `<p class="excluded-item-reason">${escapeHTML(reason)}</p>`);
+    return createTagListItem(item, reasons, locale);
+}
+
+/**
+ * Creates the section listing the numbers accepted by exclusion rules, if there are any.
+ * @param {Array<Object>} excludedNumbers - The excluded numbers from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createExcludedSection(excludedNumbers, locale) {
+    if (excludedNumbers.length === 0) {
+        return '';
+    }
+    return `
+        <div class="section-header-container">
+            <h2 class="section-header">${translate('excludedNumbersHeader', locale)}</h2>
+            <p class="section-description">${translate('excludedNumbersDescription', locale)}</p>
+        </div>
+        <ul class="report-list">
+            ${excludedNumbers.map(item => createExcludedListItem(item, locale)).join('')}
+        </ul>`;
+}
+
+/**
+ * Creates a list item for a number whose type may not suit its key or its element.
+ * @param {Object} item - A warned number from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createWarningListItem(item, locale) {
+    const warnings = item.warnings.map(code => {
+        const message = translate(`warning${code.charAt(0).toUpperCase()}${code.slice(1)}`, locale);
+        return `<p class="warning-item-message"><span class="label label-warning">${translate('warningLabel', locale)}</span> ${message}</p>`;
+    });
+    return createTagListItem(item, warnings, locale);
+}
+
+/**
+ * Creates the section listing the numbers with number type warnings, if there are any. They are
+ * valid, so they are kept apart from the formatting errors.
+ * @param {Array<Object>} warnedNumbers - The warned numbers from `validateNumbers`.
  * @param {string} locale
- * @param {Object} translations
+ * @returns {string}
  */
-async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers, locale, translations) {
+function createWarningSection(warnedNumbers, locale) {
+    if (warnedNumbers.length === 0) {
+        return '';
+    }
+    return `
+        <div class="section-header-container">
+            <h2 class="section-header">${translate('numberTypeWarningsHeader', locale)}</h2>
+            <p class="section-description">${translate('numberTypeWarningsDescription', locale)}</p>
+        </div>
+        <ul class="report-list">
+            ${warnedNumbers.map(item => createWarningListItem(item, locale)).join('')}
+        </ul>`;
+}
+
+/**
+ * Gets the name of a country in a locale.
+ * @param {string} country - The region code, e.g. `NL`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function getCountryDisplayName(country, locale) {
+    return new Intl.DisplayNames([locale], { type: 'region' }).of(country);
+}
+
+/**
+ * Creates a list item for a tag with numbers from other countries.
+ * @param {Object} item - A foreign number from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createForeignListItem(item, locale) {
+    const numbers = item.numbers.map(({ country, internationalNumber }) =>
+        `<p class="foreign-item-number">${translate('foreignNumberFrom', locale, [escapeHTML(getCountryDisplayName(country, locale)), escapeHTML(internationalNumber)])}</p>`);
+    return createTagListItem(item, numbers, locale);
+}
+
+/**
+ * Creates the section listing the tags with numbers from other countries, if there are any.
+ * This is for information, since a foreign number is often right.
+ * @param {Array<Object>} foreignNumbers - The foreign numbers from `validateNumbers`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createForeignSection(foreignNumbers, locale) {
+    if (foreignNumbers.length === 0) {
+        return '';
+    }
+    return `
+        <div class="section-header-container">
+            <h2 class="section-header">${translate('foreignNumbersHeader', locale)}</h2>
+            <p class="section-description">${translate('foreignNumbersDescription', locale)}</p>
+        </div>
+        <ul class="report-list">
+            ${foreignNumbers.map(item => createForeignListItem(item, locale)).join('')}
+        </ul>`;
+}
+
+/**
+ * Generates the HTML report for a single subdivision.
+ * @param {Object} report
+ * @param {string} report.countryName
+ * @param {Object} report.subdivisionStats - The subdivision statistics object.
+ * @param {Array<Object>} report.invalidNumbers - List of invalid items.
+ * @param {string} report.locale
+ * @param {Object} report.translations
+ * @param {string|null} [report.countryCode=null] - The country's code, for its format profile.
+ * @param {string} [report.outputDir=PUBLIC_DIR] - The directory the site is written to.
+ * @param {Array<Object>} [report.trend=[]] - The subdivision's counts over time, from `history.js`.
+ * @param {Object|null} [report.diff=null] - The changes since the last build, from `diffRuns`.
+ * @param {string|null} [report.osmChangeFile=null] - The name of the osmChange file with every autofixable item, if there is one.
+ * @param {Array<Object>} [report.excludedNumbers=[]] - The numbers accepted by exclusion rules, from `validateNumbers`.
+ * @param {Array<Object>} [report.warnedNumbers=[]] - The numbers with number type warnings, from `validateNumbers`.
+ * @param {Array<Object>} [report.foreignNumbers=[]] - The numbers from other countries, from `validateNumbers`.
+ */
+async function generateHtmlReport({
+    countryName,
+    subdivisionStats,
+    invalidNumbers,
+    locale,
+    translations,
+    countryCode = null,
+    outputDir = PUBLIC_DIR,
+    trend = [],
+    diff = null,
+    osmChangeFile = null,
+    excludedNumbers = [],
+    warnedNumbers = [],
+    foreignNumbers = [],
+}) {
 
     // Clear the map at the start of report generation for a new page.
+    // Everything up to writing the file is synchronous, so reports generated
+    // concurrently by the worker pool never share the map.
     iconSvgData.clear();
 
     const subdivisionSlug = path.join(subdivisionStats.divisionSlug, subdivisionStats.slug);
     const safeCountryName = safeName(countryName);
-    const filePath = path.join(PUBLIC_DIR, safeCountryName, `${subdivisionSlug}.html`);
+    const filePath = path.join(outputDir, safeCountryName, `${subdivisionSlug}.html`);
+    // Not the page's path, which depends on where the site is hosted
+    const reportId = `${safeCountryName}/${subdivisionStats.divisionSlug}/${subdivisionStats.slug}`;
 
     const autofixableNumbers = invalidNumbers.filter(item => item.autoFixable);
     const manualFixNumbers = invalidNumbers.filter(item => !item.autoFixable);
@@ -328,16 +826,26 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
     const anyInvalid = manualFixNumbers.length > 0
     const anyFixable = autofixableNumbers.length > 0
 
-    const fixableListContent = autofixableNumbers.map(item => createListItem(item, locale)).join('');
-    const invalidListContent = manualFixNumbers.map(item => createListItem(item, locale)).join('');
+    const isNew = item => Boolean(diff && diff.newKeys.has(getItemKey(item)));
+    const formatProfile = getFormatProfile(countryCode);
+    const fixableListContent = autofixableNumbers.map(item => createListItem(item, locale, isNew(item), formatProfile)).join('');
+    const invalidListContent = manualFixNumbers.map(item => createListItem(item, locale, isNew(item), formatProfile)).join('');
+    const runDiffContent = createRunDiffContent(diff, locale);
 
     // Generate the sprite after all list items have been processed
     const svgSprite = generateSvgSprite();
 
+    const osmChangeLink = osmChangeFile ? `
+            <div class="osm-change-container">
+                <a href="${osmChangeFile}" download class="btn btn-josm-fix">${translate('downloadOsmChange', locale)}</a>
+                <p class="osm-change-description">${translate('downloadOsmChangeDescription', locale)}</p>
+            </div>` : '';
+
     const fixableSectionAndHeader = `
         <div class="section-header-container">
             <h2 class="section-header">${translate('fixableNumbersHeader', locale)}</h2>
             <p class="section-description">${translate('fixableNumbersDescription', locale)}</p>
+            ${osmChangeLink}
         </div>
         <ul class="report-list">
             ${fixableListContent}
@@ -360,6 +868,11 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
                 anyInvalid ? invalidSectionAndHeader :
                     noInvalidContent
 
+    // The GeoJSON, CSV and feed are written next to the report by the build
+    const feedFile = getFeedFileName(subdivisionStats.slug);
+    const geoJsonFile = invalidNumbers.some(hasLocation) ? getGeoJsonFileName(subdivisionStats.slug) : null;
+    const mapContent = createMapContent(geoJsonFile, locale);
+
     // Dynamically create the list of all editor IDs for the client-side script
     const allEditorIdsClient = JSON.stringify(ALL_EDITOR_IDS);
 
@@ -369,10 +882,11 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${translate('countryReportTitle', locale, [countryName])}</title>
+        <title>${translate('countryReportTitle', locale, [escapeHTML(countryName)])}</title>
         ${favicon}
         <link href="../../styles.css" rel="stylesheet">
         <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css">
+        <link rel="alternate" type="application/atom+xml" href="${feedFile}">
         <script src="../../theme.js"></script>
     </head>
     <body class="body-styles">
@@ -400,8 +914,22 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
                 <h1 class="page-title">${translate('phoneNumberReport', locale)}</h1>
                 <h2 class="page-subtitle">${escapeHTML(subdivisionStats.name)}</h2>
             </header>
-            ${createStatsBox(subdivisionStats.totalNumbers, invalidNumbers.length, autofixableNumbers.length, locale)}
-            ${fixableAndInvalidSectionContent}
+            ${createStatsBox(subdivisionStats.totalNumbers, invalidNumbers.length, autofixableNumbers.length, locale, subdivisionStats.totalsByKind)}
+            ${createProgressBox(invalidNumbers, reportId, locale)}
+            ${anyFixable || anyInvalid ? createSpreadsheetLink(getCsvFileName(subdivisionStats.slug), locale) : ''}
+            ${createFeedLink(feedFile, locale)}
+            ${runDiffContent.summary}
+            ${createTrendChart(trend, locale)}
+            ${mapContent.tabs}
+            <div id="list-view" class="report-list-view">
+                ${createFilterBar(invalidNumbers, locale)}
+                ${fixableAndInvalidSectionContent}
+                ${createWarningSection(warnedNumbers, locale)}
+                ${createForeignSection(foreignNumbers, locale)}
+                ${runDiffContent.fixedSection}
+                ${createExcludedSection(excludedNumbers, locale)}
+            </div>
+            ${mapContent.mapView}
             <div class="footer-container">
                 ${createFooter(locale, translations, true)}
             </div>
@@ -427,6 +955,16 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
                     console.error('Could not connect to JOSM Remote Control. Please ensure JOSM is running.', error);
                 });
         }
+
+        // The JOSM links keep their URL in a data attribute rather than in an inline handler, since
+        // it has tag keys and values in it. The map's popups have copies of the links, so the clicks
+        // are handled here for the whole page.
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('[data-josm-url]');
+            if (link) {
+                openInJosm(link.dataset.josmUrl, event);
+            }
+        });
         
         // ----------------------------------------------------------------------------------------------------------------------
         // CLIENT-SIDE LOGIC FOR EDITOR SETTINGS
@@ -562,6 +1100,266 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
             });
         }
 
+        // ----------------------------------------------------------------------------------------------------------------------
+        // CLIENT-SIDE LOGIC FOR THE FILTER BAR
+        // ----------------------------------------------------------------------------------------------------------------------
+
+        const filterControls = document.querySelectorAll('[data-filter]');
+        const filterCount = document.getElementById('filter-count');
+        const filterClear = document.getElementById('filter-clear');
+
+        /**
+         * Gets the chosen filters, by the names used in the URL hash.
+         * @returns {URLSearchParams} Only the filters that are set.
+         */
+        function getFilters() {
+            const filters = new URLSearchParams();
+            filterControls.forEach(control => {
+                const value = control.value.trim();
+                if (value) {
+                    filters.set(control.dataset.filter, value);
+                }
+            });
+            return filters;
+        }
+
+        /**
+         * Checks whether an item matches the chosen filters. The search matches items with every
+         * word in their names or numbers, and the other filters the item's data attribute of the
+         * same name, which can have several values separated by spaces.
+         * @param {HTMLElement} item - A list item, with the data attributes set by createListItem.
+         * @param {URLSearchParams} filters - From getFilters.
+         * @returns {boolean}
+         */
+        function matchesFilters(item, filters) {
+            for (const [filter, value] of filters) {
+                if (filter === 'q') {
+                    const words = value.toLocaleLowerCase().split(/\\s+/);
+                    if (!words.every(word => item.dataset.search.includes(word))) {
+                        return false;
+                    }
+                } else if (filter === 'type') {
+                    if (item.dataset.type !== value) {
+                        return false;
+                    }
+                } else if (!(item.dataset[filter] || '').split(' ').includes(value)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Shows only the invalid items that match the chosen filters, and keeps the filters in the
+         * URL hash.
+         */
+        function applyFilters() {
+            const filters = getFilters();
+            const items = document.querySelectorAll('.report-list-item[data-search]');
+            let shownCount = 0;
+            items.forEach(item => {
+                const isShown = matchesFilters(item, filters);
+                item.classList.toggle('hidden', !isShown);
+                shownCount += isShown ? 1 : 0;
+            });
+
+            const isFiltered = filters.toString() !== '';
+            filterCount.textContent = isFiltered ? translate('filterShownCount', { '%n': shownCount }) : '';
+            filterClear.classList.toggle('hidden', !isFiltered);
+
+            // Leave a link to an item alone until the filters change
+            if (isFiltered || isFilterHash()) {
+                const hash = isFiltered ? '#' + filters.toString() : '';
+                history.replaceState(null, '', location.pathname + location.search + hash);
+            }
+        }
+
+        /**
+         * Checks whether the URL hash has filters, rather than being a link to an item.
+         * @returns {boolean}
+         */
+        function isFilterHash() {
+            return location.hash.includes('=');
+        }
+
+        /**
+         * Sets the filters from the URL hash, if it has them. Values that the report doesn't
+         * offer are left out.
+         */
+        function loadFiltersFromHash() {
+            if (!isFilterHash()) {
+                return;
+            }
+            const filters = new URLSearchParams(location.hash.slice(1));
+            filterControls.forEach(control => {
+                control.value = filters.get(control.dataset.filter) || '';
+                if (control.value === '' && control.tagName === 'SELECT') {
+                    control.selectedIndex = 0;
+                }
+            });
+        }
+
+        // ----------------------------------------------------------------------------------------------------------------------
+        // CLIENT-SIDE LOGIC FOR PROGRESS TRACKING
+        // ----------------------------------------------------------------------------------------------------------------------
+
+        // Saved as { version, reports: { reportId: { itemKey: 'done' | 'skipped' } } }, for every report
+        const PROGRESS_STORAGE_KEY = 'osm_report_progress';
+        const PROGRESS_VERSION = 1;
+        const PROGRESS_STATUSES = ['done', 'skipped'];
+        // The IDs of the items' list elements
+        const PROGRESS_ITEM_KEY = /^(node|way|relation)-\\d+$/;
+
+        const progressBox = document.getElementById('progress-box');
+        const reportId = progressBox ? progressBox.dataset.report : null;
+
+        /**
+         * Checks whether a value has the shape of the saved progress, e.g. from an imported file.
+         * @param {*} progress
+         * @returns {boolean}
+         */
+        function isProgress(progress) {
+            return Boolean(progress) && progress.version === PROGRESS_VERSION
+                && typeof progress.reports === 'object' && progress.reports !== null
+                && Object.values(progress.reports).every(marks => typeof marks === 'object' && marks !== null
+                    && Object.entries(marks).every(([itemKey, status]) => PROGRESS_ITEM_KEY.test(itemKey)
+                        && PROGRESS_STATUSES.includes(status)));
+        }
+
+        /**
+         * Loads the progress of every report from localStorage.
+         * @returns {Object} The saved progress, or none if there is none or it is unreadable.
+         */
+        function loadProgress() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+                if (isProgress(saved)) {
+                    return saved;
+                }
+            } catch (e) {
+                console.error("Error loading progress from localStorage:", e);
+            }
+            return { version: PROGRESS_VERSION, reports: {} };
+        }
+
+        /**
+         * Saves the progress of every report to localStorage.
+         * @param {Object} progress - From loadProgress.
+         */
+        function saveProgress(progress) {
+            try {
+                localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+            } catch (e) {
+                console.error("Error saving progress to localStorage:", e);
+            }
+        }
+
+        /**
+         * Marks an item of this report as done or skipped, or unmarks it if it already has that mark.
+         * @param {string} itemKey - The ID of the item's list element, e.g. \`node-123\`.
+         * @param {string} status - One of PROGRESS_STATUSES.
+         */
+        function toggleItemStatus(itemKey, status) {
+            const progress = loadProgress();
+            const marks = progress.reports[reportId] || (progress.reports[reportId] = {});
+            if (marks[itemKey] === status) {
+                delete marks[itemKey];
+            } else {
+                marks[itemKey] = status;
+            }
+            if (Object.keys(marks).length === 0) {
+                delete progress.reports[reportId];
+            }
+            saveProgress(progress);
+            applyProgress();
+        }
+
+        /**
+         * Forgets the marks of items that are no longer in this report, e.g. because they were fixed.
+         */
+        function pruneProgress() {
+            const progress = loadProgress();
+            const marks = progress.reports[reportId];
+            if (!marks) {
+                return;
+            }
+            const itemKeys = new Set(Array.from(document.querySelectorAll('.report-list-item[data-search]'), item => item.id));
+            Object.keys(marks)
+                .filter(itemKey => !itemKeys.has(itemKey))
+                .forEach(itemKey => { delete marks[itemKey]; });
+            if (Object.keys(marks).length === 0) {
+                delete progress.reports[reportId];
+            }
+            saveProgress(progress);
+        }
+
+        /**
+         * Greys out the items marked done or skipped, collapsing the done ones, and updates the counts
+         * and bar of the progress box.
+         */
+        function applyProgress() {
+            const marks = loadProgress().reports[reportId] || {};
+            const items = document.querySelectorAll('.report-list-item[data-search]');
+            const counts = { done: 0, skipped: 0 };
+            items.forEach(item => {
+                const status = marks[item.id];
+                PROGRESS_STATUSES.forEach(name => item.classList.toggle('item-' + name, status === name));
+                item.querySelectorAll('[data-progress]').forEach(button => {
+                    button.setAttribute('aria-pressed', String(button.dataset.progress === status));
+                });
+                if (status) {
+                    counts[status]++;
+                }
+            });
+
+            const locale = document.documentElement.lang;
+            const percentage = count => (items.length > 0 ? (count / items.length) * 100 : 0) + '%';
+            document.getElementById('progress-done').textContent = counts.done.toLocaleString(locale);
+            document.getElementById('progress-skipped').textContent = counts.skipped.toLocaleString(locale);
+            document.getElementById('progress-remaining').textContent = (items.length - counts.done - counts.skipped).toLocaleString(locale);
+            document.getElementById('progress-bar-done').style.width = percentage(counts.done);
+            document.getElementById('progress-bar-skipped').style.width = percentage(counts.skipped);
+        }
+
+        /**
+         * Downloads the progress of every report as a file, to import on another machine.
+         */
+        function exportProgress() {
+            const blob = new Blob([JSON.stringify(loadProgress(), null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'osm-phones-progress.json';
+            link.click();
+            // Some browsers start the download after the click returns
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        }
+
+        /**
+         * Adds the progress from an exported file to the saved progress. Where both mark an item,
+         * the file's mark is kept.
+         * @param {File} file
+         */
+        function importProgress(file) {
+            file.text()
+                .then(text => {
+                    const imported = JSON.parse(text);
+                    if (!isProgress(imported)) {
+                        throw new Error('Not a progress export');
+                    }
+                    const progress = loadProgress();
+                    for (const [id, marks] of Object.entries(imported.reports)) {
+                        progress.reports[id] = { ...progress.reports[id], ...marks };
+                    }
+                    saveProgress(progress);
+                    pruneProgress();
+                    applyProgress();
+                })
+                .catch(error => {
+                    console.error("Error importing progress:", error);
+                    alert(translate('progressImportError'));
+                });
+        }
+
         // 4. Initialization
         
         document.addEventListener('DOMContentLoaded', () => {
@@ -569,6 +1367,48 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
             createSettingsCheckboxes();
             applyEditorVisibility();
 
+            if (filterControls.length > 0) {
+                loadFiltersFromHash();
+                filterControls.forEach(control => control.addEventListener('input', applyFilters));
+                filterClear.addEventListener('click', () => {
+                    filterControls.forEach(control => { control.value = ''; });
+                    applyFilters();
+                });
+                window.addEventListener('hashchange', () => {
+                    if (isFilterHash()) {
+                        loadFiltersFromHash();
+                        applyFilters();
+                    }
+                });
+                // Browsers keep the choices when going back to the page
+                applyFilters();
+            }
+
+            if (progressBox) {
+                pruneProgress();
+                applyProgress();
+                document.querySelectorAll('.report-list-item [data-progress]').forEach(button => {
+                    button.addEventListener('click', () => {
+                        toggleItemStatus(button.closest('.report-list-item').id, button.dataset.progress);
+                    });
+                });
+                document.getElementById('progress-export').addEventListener('click', exportProgress);
+                const progressImport = document.getElementById('progress-import');
+                progressImport.addEventListener('change', () => {
+                    if (progressImport.files.length > 0) {
+                        importProgress(progressImport.files[0]);
+                    }
+                    // Lets the same file be imported again
+                    progressImport.value = '';
+                });
+                // Keeps other tabs of the same report up to date
+                window.addEventListener('storage', (event) => {
+                    if (event.key === PROGRESS_STORAGE_KEY) {
+                        applyProgress();
+                    }
+                });
+            }
+
             settingsToggle.addEventListener('click', (event) => {
                 settingsMenu.classList.toggle('hidden');
                 event.stopPropagation(); // Stop click from propagating to document listener
@@ -583,6 +1423,7 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
         });
 
     </script>
+    ${mapContent.script}
     </body>
     </html>
     `;
@@ -590,6 +1431,78 @@ async function generateHtmlReport(countryName, subdivisionStats, invalidNumbers,
     console.log(`Generated report for ${subdivisionStats.name} at ${filePath}`);
 }
 
+/**
+ * Generates the page of a subdivision whose data could not be fetched, when there is no report
+ * from an earlier build to keep, as in a deploy that builds the site from scratch. It has the
+ * counts of the last build that fetched the subdivision, from the history, so that the page
+ * linked from the country page is still there.
+ * @param {Object} report
+ * @param {string} report.countryName
+ * @param {Object} report.subdivisionStats - The subdivision's stats, with `dataUnavailable` set.
+ * @param {{timestamp: number, invalidCount: number, autoFixableCount: number, totalNumbers: number}|null} report.lastCounts -
+ * From `getLastSubdivisionCounts`, or null if no build has fetched the subdivision.
+ * @param {string} report.locale
+ * @param {Object} report.translations
+ * @param {string} [report.outputDir=PUBLIC_DIR] - The directory the site is written to.
+ * @param {Array<Object>} [report.trend=[]] - The subdivision's counts over time, from `history.js`.
+ */
+async function generateUnavailableReport({ countryName, subdivisionStats, lastCounts, locale, translations, outputDir = PUBLIC_DIR, trend = [] }) {
+    const filePath = path.join(outputDir, safeName(countryName), subdivisionStats.divisionSlug, `${subdivisionStats.slug}.html`);
+
+    const description = lastCounts
+        ? translate('unavailableReportDescription', locale, [
+            new Date(lastCounts.timestamp).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' })
+        ])
+        : translate('unavailableReportNoHistory', locale);
+    const statsBox = lastCounts
+        ? createStatsBox(lastCounts.totalNumbers, lastCounts.invalidCount, lastCounts.autoFixableCount, locale)
+        : '';
+
+    const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="${locale}" class="">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${translate('countryReportTitle', locale, [escapeHTML(countryName)])}</title>
+        ${favicon}
+        <link href="../../styles.css" rel="stylesheet">
+        <script src="../../theme.js"></script>
+    </head>
+    <body class="body-styles">
+        <div class="page-container">
+            <header class="page-header">
+                <div class="action-row">
+                    <a href="../" class="back-link">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-6 w-6 inline-block align-middle mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+                        </svg>
+                        <span class="align-middle">${translate('backToCountryPage', locale)}</span>
+                    </a>
+                    ${themeButton}
+                </div>
+                <h1 class="page-title">${translate('phoneNumberReport', locale)}</h1>
+                <h2 class="page-subtitle">${escapeHTML(subdivisionStats.name)}</h2>
+            </header>
+            <div class="unavailable-notice">
+                <h2 class="unavailable-notice-title">${translate('dataUnavailable', locale)}</h2>
+                <p>${description}</p>
+            </div>
+            ${statsBox}
+            ${createTrendChart(trend, locale)}
+            <div class="footer-container">
+                ${createFooter(locale, translations)}
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, htmlContent);
+    console.log(`Generated unavailable report for ${subdivisionStats.name} at ${filePath}`);
+}
+
 module.exports = {
     generateHtmlReport,
+    generateUnavailableReport,
 };
\ No newline at end of file
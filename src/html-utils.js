@@ -1,5 +1,6 @@
 const { translate } = require('./i18n');
 const { ICON_ATTRIBUTION } = require('./constants.js')
+const { getPhoneKinds } = require('./phone-keys');
 const githubLink = "https://github.com/arrival-spring/osm-phones/";
 
 /**
@@ -18,9 +19,11 @@ const themeButton = `<button id="theme-toggle" type="button" class="theme-toggle
  * @param {number} invalid - Number of invalid numbers
  * @param {number} fixable - Number of autofixable numbers
  * @param {string} locale - Locale to display numbers in
+ * @param {Object<string, {checked: number, invalid: number}>} [totalsByKind={}] - The totals by kind
+ * of key, from `validateNumbers`. They are only shown if more than one kind of key was checked.
  * @returns {string}
  */
-function createStatsBox(total, invalid, fixable, locale) {
+function createStatsBox(total, invalid, fixable, locale, totalsByKind = {}) {
     const percentageOptions = {
         minimumFractionDigits: 2,
         maximumFractionDigits: 2,
@@ -51,10 +54,40 @@ function createStatsBox(total, invalid, fixable, locale) {
                 <p class="stats-box-label">${translate('potentiallyFixable', locale)}</p>
                 <p class="stats-box-percentage">${translate('fixablePercentageOfInvalid', locale, [formattedFixablePercentage])}</p>
             </div>
+            ${createKindTotals(totalsByKind, locale)}
         </div>
     `;
 }
 
+/**
+ * Creates the line of the stats box with the totals by kind of key, e.g. fax or WhatsApp.
+ * @param {Object<string, {checked: number, invalid: number}>} totalsByKind
+ * @param {string} locale
+ * @returns {string} The HTML, or nothing if only one kind of key was checked.
+ */
+function createKindTotals(totalsByKind, locale) {
+    const kinds = getPhoneKinds().filter(kind => totalsByKind[kind] && totalsByKind[kind].checked > 0);
+    if (kinds.length < 2) {
+        return '';
+    }
+    const totals = kinds.map(kind => `<span class="stats-box-kind">${translate('kindTotal', locale, [
+        getKindLabel(kind, locale),
+        totalsByKind[kind].invalid.toLocaleString(locale),
+        totalsByKind[kind].checked.toLocaleString(locale)
+    ])}</span>`).join('');
+    return `<p class="stats-box-kinds">${totals}</p>`;
+}
+
+/**
+ * Gets the translated name of a kind of key.
+ * @param {string} kind - A kind from `PHONE_KEY_POLICIES`, e.g. `fax`.
+ * @param {string} locale
+ * @returns {string}
+ */
+function getKindLabel(kind, locale) {
+    return translate(`kind${kind.charAt(0).toUpperCase()}${kind.slice(1)}`, locale);
+}
+
 
 /**
  * Generates the HTML for icon attributions.
@@ -195,6 +228,33 @@ function createFooter(locale = 'en-GB', translations, includeIconAttribution = f
     `
 }
 
+/**
+ * Creates the link to download a page's invalid numbers as a CSV file.
+ * @param {string} csvFile - The name of the CSV file, relative to the page.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createSpreadsheetLink(csvFile, locale) {
+    return `
+        <div class="spreadsheet-container">
+            <a href="${csvFile}" download class="spreadsheet-link">${translate('downloadCsv', locale)}</a>
+            <p class="spreadsheet-description">${translate('downloadCsvDescription', locale)}</p>
+        </div>`;
+}
+
+/**
+ * Creates the link to subscribe to a page's feed of newly invalid numbers.
+ * @param {string} feedFile - The name of the Atom feed, relative to the page.
+ * @param {string} locale
+ * @returns {string}
+ */
+function createFeedLink(feedFile, locale) {
+    return `
+        <p class="feed-link-container">
+            <a href="${feedFile}" type="application/atom+xml" class="feed-link">${translate('subscribeFeed', locale)}</a>
+        </p>`;
+}
+
 /**
  * Escapes special HTML characters in a string.
  * @param {string} str - The string to escape.
@@ -220,6 +280,9 @@ module.exports = {
     themeButton,
     favicon,
     createStatsBox,
+    getKindLabel,
     createFooter,
+    createSpreadsheetLink,
+    createFeedLink,
     escapeHTML,
 };
\ No newline at end of file
@@ -36,11 +36,26 @@ function translate(key, locale, args = []) {
         output = output.replace('%i', args[0]).replace('%f', args[1]).replace('%t', args[2]);
     } else if ((key === 'invalidPercentageOfTotal' || key === 'fixablePercentageOfInvalid') && args.length === 1) {
         output = output.replace('%p', `${args[0]}%`);
-    } else if ((key === 'reportSubtitleForCountry' || key === 'countryReportTitle') && args.length === 1) {
+    } else if ((key === 'reportSubtitleForCountry' || key === 'countryReportTitle' || key === 'feedTitle') && args.length === 1) {
         // Positional replacement: %c is country name
         output = output.replace('%c', args[0]);
     } else if ((key === 'editIn') && args.length === 1) {
         output = output.replace('%e', args[0]);
+    } else if (key === 'foreignNumberFrom' && args.length === 2) {
+        // Positional replacement: %c is the country, %n is the number in international format
+        output = output.replace('%c', args[0]).replace('%n', args[1]);
+    } else if (key === 'removeDuplicateTag' && args.length === 1) {
+        // Positional replacement: %k is the tag with the same numbers
+        output = output.replace('%k', args[0]);
+    } else if (key === 'kindTotal' && args.length === 3) {
+        // Positional replacement: %k is the kind of key, %i is invalid, %t is checked
+        output = output.replace('%k', args[0]).replace('%i', args[1]).replace('%t', args[2]);
+    } else if (key === 'unavailableReportDescription' && args.length === 1) {
+        // Positional replacement: %d is the date of the last build that fetched the area
+        output = output.replace('%d', args[0]);
+    } else if (key === 'runDiffSummary' && args.length === 4) {
+        // Positional replacement: %d is the date of the last build, %n is new, %f is fixed, %o is still open
+        output = output.replace('%d', args[0]).replace('%n', args[1]).replace('%f', args[2]).replace('%o', args[3]);
     }
 
     // Handle Time Ago templates (using %n)
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { getItemKey, getRemovedTags } = require('./data-processor');
+
+// Bump this, and the `const` in api-schema.json, when a field is removed or changes meaning.
+// Adding a field doesn't need a new version.
+const API_VERSION = 1;
+
+const SCHEMA_FILE = 'api-schema.json';
+
+/**
+ * Converts an invalid item from `validateNumbers` to its JSON form.
+ * @param {Object} item
+ * @returns {Object}
+ */
+function toApiItem(item) {
+    const removedTags = getRemovedTags(item);
+    return {
+        key: getItemKey(item),
+        type: item.type,
+        id: item.id,
+        osmUrl: item.osmUrl,
+        name: item.name ?? null,
+        lat: item.lat ?? null,
+        lon: item.lon ?? null,
+        autoFixable: item.autoFixable,
+        invalidTags: Object.entries(item.invalidNumbers).map(([tag, value]) => ({
+            tag: tag,
+            value: value,
+            suggestedFix: item.suggestedFixes[tag] ?? null,
+            ...(removedTags.includes(tag) && { duplicateOf: item.redundantTags[tag] }),
+            ...(item.normalizations && item.normalizations[tag] && { normalizations: item.normalizations[tag] }),
+            ...(item.issues && item.issues[tag] && { issues: item.issues[tag] }),
+        })),
+    };
+}
+
+/**
+ * Creates the JSON document for a subdivision report.
+ * @param {{name: string, slug: string}} country
+ * @param {Object} subdivisionStats - The subdivision stats object built in `main.js`.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @param {number} fetchedAt - When the data was fetched, in milliseconds since the epoch.
+ * @returns {Object}
+ */
+function createSubdivisionDocument(country, subdivisionStats, invalidNumbers, fetchedAt) {
+    return {
+        apiVersion: API_VERSION,
+        kind: 'subdivision',
+        generatedAt: new Date(fetchedAt).toISOString(),
+        country: { name: country.name, slug: country.slug },
+        subdivision: subdivisionStats,
+        items: invalidNumbers.map(toApiItem),
+    };
+}
+
+/**
+ * Creates the JSON document for a country, with the same stats as its index page.
+ * @param {Object} countryStats - The country stats object built in `main.js`.
+ * @param {number} timestamp - When the build ran, in milliseconds since the epoch.
+ * @returns {Object}
+ */
+function createCountryDocument(countryStats, timestamp) {
+    return {
+        apiVersion: API_VERSION,
+        kind: 'country',
+        generatedAt: new Date(timestamp).toISOString(),
+        country: countryStats,
+    };
+}
+
+/**
+ * Creates the JSON document listing every country, with the same stats as the main index page.
+ * @param {Array<Object>} countryStats
+ * @param {number} timestamp - When the build ran, in milliseconds since the epoch.
+ * @returns {Object}
+ */
+function createIndexDocument(countryStats, timestamp) {
+    return {
+        apiVersion: API_VERSION,
+        kind: 'index',
+        generatedAt: new Date(timestamp).toISOString(),
+        countries: countryStats,
+    };
+}
+
+/**
+ * Writes a JSON document.
+ * @param {string} filePath
+ * @param {Object} document
+ */
+async function writeDocument(filePath, document) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(document, null, 2));
+}
+
+/**
+ * Gets the path of the JSON for a subdivision, next to its HTML report.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @param {string} divisionSlug
+ * @param {string} slug
+ * @returns {string}
+ */
+function getSubdivisionJsonPath(outputDir, countrySlug, divisionSlug, slug) {
+    return path.join(outputDir, countrySlug, divisionSlug, `${slug}.json`);
+}
+
+/**
+ * Writes the JSON for a subdivision next to its HTML report.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {{name: string, slug: string}} country
+ * @param {Object} subdivisionStats
+ * @param {Array<Object>} invalidNumbers
+ * @param {number} fetchedAt
+ */
+async function writeSubdivisionJson(outputDir, country, subdivisionStats, invalidNumbers, fetchedAt) {
+    const filePath = getSubdivisionJsonPath(outputDir, country.slug, subdivisionStats.divisionSlug, subdivisionStats.slug);
+    await writeDocument(filePath, createSubdivisionDocument(country, subdivisionStats, invalidNumbers, fetchedAt));
+}
+
+/**
+ * Writes the JSON for a country next to its index page.
+ * @param {string} outputDir
+ * @param {Object} countryStats
+ */
+async function writeCountryJson(outputDir, countryStats) {
+    await writeDocument(path.join(outputDir, countryStats.slug, 'index.json'), createCountryDocument(countryStats, Date.now()));
+}
+
+/**
+ * Writes the JSON listing every country next to the main index page, along with the schema.
+ * @param {string} outputDir
+ * @param {Array<Object>} countryStats
+ */
+async function writeIndexJson(outputDir, countryStats) {
+    await writeDocument(path.join(outputDir, 'index.json'), createIndexDocument(countryStats, Date.now()));
+    await fs.promises.copyFile(path.join(__dirname, SCHEMA_FILE), path.join(outputDir, SCHEMA_FILE));
+}
+
+module.exports = {
+    API_VERSION,
+    createSubdivisionDocument,
+    createCountryDocument,
+    createIndexDocument,
+    getSubdivisionJsonPath,
+    writeSubdivisionJson,
+    writeCountryJson,
+    writeIndexJson,
+};
@@ -1,12 +1,26 @@
 const fs = require('fs');
 const path = require('path');
-const { PUBLIC_DIR, COUNTRIES } = require('./constants');
-const { fetchAdminLevels, fetchOsmDataForDivision } = require('./osm-api');
+const { COUNTRIES } = require('./constants');
+const { USAGE, parseCliArgs, matchesFilter, selectCountries } = require('./cli');
+const { createDataSource } = require('./data-source');
+const { configureCache } = require('./overpass-cache');
+const { DataUnavailableError, UsageError } = require('./errors');
+const { createWorkerPool, mapInPool } = require('./worker-pool');
+const { getManifestKey, openBuildManifest } = require('./build-manifest');
+const { createOsmChange } = require('./osm-change');
+const { writeMapRouletteChallenges } = require('./maproulette');
+const { writeGeoJson } = require('./geojson');
+const { addKindTotals } = require('./phone-keys');
+const { getCountryCsvPath, writeSubdivisionCsv, writeCountryCsv } = require('./csv-export');
+const { getCountryFeedPath, getFeedEntriesPath, createFeedEntries, addFeedEntries, writeSubdivisionFeed, writeCountryFeed } = require('./atom-feed');
+const { configureMap } = require('./html-map');
+const { writeSubdivisionJson, writeCountryJson, writeIndexJson } = require('./json-api');
+const { getSnapshotPath, readSnapshot, saveSnapshot, diffRuns } = require('./run-diff');
+const { createHistoryRecord, readHistory, appendHistory, getCountrySeries, getSubdivisionSeries, getLastSubdivisionCounts, getGlobalSeries } = require('./history');
 const { safeName, validateNumbers } = require('./data-processor');
 const { generateCountryIndexHtml } = require('./html-country')
 const { generateMainIndexHtml } = require('./html-index')
-const { generateHtmlReport } = require('./html-report')
-const { escapeHTML } = require('./html-utils')
+const { generateHtmlReport, generateUnavailableReport } = require('./html-report')
 const { getTranslations } = require('./i18n');
 
 const CLIENT_KEYS = [
@@ -16,15 +30,11 @@ const CLIENT_KEYS = [
     'timeAgoHour',
     'timeAgoHoursPlural',
     'timeAgoError',
-    'dataSourcedTemplate'
+    'dataSourcedTemplate',
+    'filterShownCount',
+    'progressImportError'
 ];
 
-const BUILD_TYPE = process.env.BUILD_TYPE;
-
-// A test build will only fetch and process numbers for one subdivision of one division of one country
-// (the first found of each, using the constants file)
-const testMode = BUILD_TYPE === 'simplified';
-
 /**
  * Filters the full translations object to include only keys needed by the client.
  * @param {Object} fullTranslations - The complete dictionary for a locale.
@@ -42,154 +52,509 @@ function filterClientTranslations(fullTranslations) {
 }
 
 /**
- * The main function to orchestrate the entire build process for the validation reports.
- * It performs the following steps:
- * 1. Sets up the output directory ('public').
- * 2. Copies static assets (like JS and CSS) to the output directory.
- * 3. Iterates through each country defined in `constants.js`.
- * 4. For each country, it fetches administrative divisions and their subdivisions.
- * 5. For each subdivision, it fetches OSM data, validates phone numbers, and generates a detailed HTML report.
- * 6. It aggregates statistics for each country and generates a country-level index page.
- * 7. Finally, it generates the main `index.html` page that links to all country reports.
- * The build can be run in a 'simplified' test mode by setting the BUILD_TYPE environment variable.
+ * Gets the subdivisions of a division, either from the data source or from the
+ * hardcoded `divisionMap` in `constants.js`.
+ * @param {import('./data-source').DataSource} dataSource
+ * @param {Object} countryData - The country's entry in `COUNTRIES`.
+ * @param {string} divisionName - The (escaped) division name.
+ * @returns {Promise<Array<{name: string, id: number}>>}
+ * @throws {DataUnavailableError} If the subdivisions could not be fetched.
  */
-async function main() {
-    if (!fs.existsSync(PUBLIC_DIR)) {
-        fs.mkdirSync(PUBLIC_DIR);
+async function getSubdivisions(dataSource, countryData, divisionName) {
+    if (countryData.divisions) {
+        const divisionId = countryData.divisions[divisionName];
+        return await dataSource.fetchSubdivisions(divisionId, divisionName, countryData.subdivisionAdminLevel);
+    } else if (countryData.divisionMap) {
+        console.log(`Using hardcoded subdivisions for ${divisionName}...`);
+        const divisionMap = countryData.divisionMap[divisionName];
+        if (divisionMap) {
+            return Object.entries(divisionMap).map(([name, id]) => ({
+                name: name,
+                id: id
+            }));
+        }
+        return [];
+    } else {
+        console.error(`Data for ${countryData.name} set up incorreectly, no divisions or divisionMap found`)
+        return [];
     }
+}
 
-    fs.copyFileSync(path.join(__dirname, 'theme.js'), path.join(PUBLIC_DIR, 'theme.js'));
-    fs.copyFileSync(path.join(__dirname, 'backgroundColor.js'), path.join(PUBLIC_DIR, 'backgroundColor.js'));
+/**
+ * Writes an osmChange file with the suggested fixes of every autofixable item in a subdivision,
+ * next to its report. The current version of each element is fetched first, since osmChange
+ * needs the whole element. Any file from an earlier build is removed if there is nothing to write.
+ * @param {import('./data-source').DataSource} dataSource
+ * @param {string} divisionDir - The directory of the subdivision's report.
+ * @param {string} slug - The subdivision slug.
+ * @param {Array<Object>} autofixableNumbers - The autofixable items from `validateNumbers`.
+ * @returns {Promise<string|null>} The file name, or null if no file was written.
+ */
+async function writeOsmChangeFile(dataSource, divisionDir, slug, autofixableNumbers) {
+    const fileName = `${slug}.osc`;
+    const filePath = path.join(divisionDir, fileName);
+
+    let fullElements = [];
+    if (autofixableNumbers.length > 0) {
+        try {
+            fullElements = await dataSource.fetchFullElements(autofixableNumbers);
+        } catch (error) {
+            if (!(error instanceof DataUnavailableError)) {
+                throw error;
+            }
+            // The report is still complete without it, so this doesn't fail the build
+            console.error(`No osmChange file for ${slug}: ${error.message}`);
+        }
+    }
 
-    console.log('Starting full build process...');
+    const { xml, count } = createOsmChange(autofixableNumbers, fullElements);
+    if (count === 0) {
+        fs.rmSync(filePath, { force: true });
+        return null;
+    }
+    fs.writeFileSync(filePath, xml);
+    return fileName;
+}
 
-    const countryStats = [];
+/**
+ * State shared by every part of one build.
+ * @typedef {Object} BuildContext
+ * @property {Object} options - The build options from `parseCliArgs`.
+ * @property {import('./data-source').DataSource} dataSource
+ * @property {{run: Function}} pool - The worker pool from `createWorkerPool`.
+ * @property {Object} manifest - The build manifest from `openBuildManifest`. It is not written to in a dry run.
+ */
 
-    const defaultLocale = 'en-GB';
-    const fullDefaultTranslations = getTranslations(defaultLocale);
-    const clientDefaultTranslations = filterClientTranslations(fullDefaultTranslations);
+/**
+ * Fetches, validates and writes the report for one subdivision, as HTML, JSON and GeoJSON, along
+ * with an osmChange file of its autofixable items.
+ * The report marks the items that are new since the last build and lists those fixed since then,
+ * using the invalid items saved by the last build.
+ * When resuming, a subdivision completed within the resume window is not fetched again,
+ * and its stats are taken from the build manifest instead.
+ * @param {BuildContext} build
+ * @param {Object} countryData - The country's entry in `COUNTRIES`.
+ * @param {string} rawDivisionName - The division name, as in `constants.js`.
+ * @param {{name: string, id: number}} subdivision
+ * @param {Object} clientTranslations
+ * @param {Array<Object>} history - The country's history records, for the trend chart, and the
+ * last counts of a subdivision whose data is unavailable.
+ * @returns {Promise<{stats: Object, failure: Object|null}>} The subdivision stats and, if its
+ * data could not be fetched, the failure to report.
+ */
+async function processSubdivision(build, countryData, rawDivisionName, subdivision, clientTranslations, history) {
+    const { options, dataSource, manifest } = build;
+    const countryName = countryData.name;
+    const divisionSlug = safeName(rawDivisionName);
+    const slug = safeName(subdivision.name);
+    const manifestKey = getManifestKey(safeName(countryName), divisionSlug, slug);
+
+    if (options.resume) {
+        const completed = manifest.getCompleted(manifestKey, options.resumeWindow, !options.statsOnly);
+        if (completed) {
+            console.log(`Skipping ${subdivision.name}, completed at ${new Date(completed.fetchedAt).toISOString()}.`);
+            return { stats: completed.stats, failure: null };
+        }
+    }
 
-    for (const countryKey in COUNTRIES) {
-        const countryData = COUNTRIES[countryKey];
-        const countryName = escapeHTML(countryData.name);
-        const locale = countryData.locale;
-
-        const fullTranslations = getTranslations(locale);
-        const clientTranslations = filterClientTranslations(fullTranslations);
-
-        console.log(`Starting fetching divisions for ${countryName}...`);
-
-        const countryDir = path.join(PUBLIC_DIR, safeName(countryName));
-        if (!fs.existsSync(countryDir)) {
-            fs.mkdirSync(countryDir, { recursive: true });
-        }
-
-        let totalInvalidCount = 0;
-        let totalAutofixableCount = 0;
-        let totalTotalNumbers = 0;
-        const groupedDivisionStats = {};
-
-        const divisions = countryData.divisions ?? countryData.divisionMap;
-
-        let divisionCount = 0;
-        for (const rawDivisionName in divisions) {
-            const divisionName = escapeHTML(rawDivisionName);
-            console.log(`Processing subdivisions for ${divisionName}...`);
-
-            const subdivisions = await (async () => {
-                if (countryData.divisions) {
-                    const divisionId = countryData.divisions[divisionName];
-                    return await fetchAdminLevels(divisionId, divisionName, countryData.subdivisionAdminLevel);
-                } else if (countryData.divisionMap) {
-                    console.log(`Using hardcoded subdivisions for ${divisionName}...`);
-                    const divisionMap = countryData.divisionMap[divisionName];
-                    if (divisionMap) {
-                        return Object.entries(divisionMap).map(([name, id]) => ({
-                            name: name,
-                            id: id
-                        }));
-                    }
-                    return [];
-                } else {
-                    console.error(`Data for ${countryName} set up incorreectly, no divisions or divisionMap found`)
-                    return [];
-                }
-            })();
+    let elements;
+    try {
+        elements = await dataSource.fetchElements(subdivision);
+    } catch (error) {
+        if (!(error instanceof DataUnavailableError)) {
+            throw error;
+        }
+        console.error(`Data unavailable for ${subdivision.name}: ${error.message}`);
+
+        // The report from the last successful build is kept. A deploy builds the site from
+        // scratch, so there the page is written again with the last counts from the history.
+        const unavailableStats = {
+            name: subdivision.name,
+            divisionSlug: divisionSlug,
+            slug: slug,
+            dataUnavailable: true,
+        };
+        const previousReport = path.join(options.outputDir, safeName(countryName), divisionSlug, `${slug}.html`);
+        if (!options.statsOnly && !fs.existsSync(previousReport)) {
+            await generateUnavailableReport({
+                countryName,
+                subdivisionStats: unavailableStats,
+                lastCounts: getLastSubdivisionCounts(history, unavailableStats),
+                locale: countryData.locale,
+                translations: clientTranslations,
+                outputDir: options.outputDir,
+                trend: getSubdivisionSeries(history, unavailableStats),
+            });
+        }
+        return {
+            stats: { ...unavailableStats, hasPreviousReport: fs.existsSync(previousReport) },
+            failure: { country: countryName, area: subdivision.name, message: error.message }
+        };
+    }
 
-            groupedDivisionStats[divisionName] = [];
+    const fetchedAt = Date.now();
+    const { invalidNumbers, totalNumbers, excludedNumbers, warnedNumbers, foreignNumbers, totalsByKind } = validateNumbers(elements, countryData.countryCode);
+
+    const autoFixableCount = invalidNumbers.filter(item => item.autoFixable).length;
+
+    const stats = {
+        name: subdivision.name,
+        divisionSlug: divisionSlug,
+        slug: slug,
+        invalidCount: invalidNumbers.length,
+        autoFixableCount: autoFixableCount,
+        totalNumbers: totalNumbers,
+        totalsByKind: totalsByKind
+    };
+
+    const snapshotPath = getSnapshotPath(options.outputDir, safeName(countryName), divisionSlug, slug);
+    const diff = diffRuns(readSnapshot(snapshotPath), invalidNumbers);
+
+    // The feed is kept up to date even when no pages are written, since the snapshot is too
+    const reportPath = `${safeName(countryName)}/${divisionSlug}/${slug}.html`;
+    const feedEntries = addFeedEntries(
+        getFeedEntriesPath(options.outputDir, safeName(countryName), divisionSlug, slug),
+        diff ? createFeedEntries(invalidNumbers, diff.newKeys, reportPath, fetchedAt, countryData.locale) : []
+    );
+
+    let outputPath = null;
+    if (!options.statsOnly) {
+        const divisionDir = path.join(options.outputDir, safeName(countryName), divisionSlug);
+        if (!fs.existsSync(divisionDir)) {
+            fs.mkdirSync(divisionDir, { recursive: true });
+        }
 
-            if (!subdivisions || subdivisions.length === 0) {
-                console.error(`No subdivisions to process for ${divisionName}.`);
-                continue
-            }
+        const trend = [...getSubdivisionSeries(history, stats), { timestamp: fetchedAt, invalidCount: stats.invalidCount, autoFixableCount: autoFixableCount }];
+        const osmChangeFile = await writeOsmChangeFile(dataSource, divisionDir, slug, invalidNumbers.filter(item => item.autoFixable));
+        await generateHtmlReport({
+            countryName,
+            subdivisionStats: stats,
+            invalidNumbers,
+            locale: countryData.locale,
+            translations: clientTranslations,
+            countryCode: countryData.countryCode,
+            outputDir: options.outputDir,
+            trend,
+            diff,
+            osmChangeFile,
+            excludedNumbers,
+            warnedNumbers,
+            foreignNumbers,
+        });
+        await writeSubdivisionJson(options.outputDir, { name: countryName, slug: safeName(countryName) }, stats, invalidNumbers, fetchedAt);
+        await writeGeoJson(divisionDir, slug, invalidNumbers);
+        await writeSubdivisionCsv(divisionDir, slug, invalidNumbers, countryData.locale, { division: rawDivisionName, subdivision: subdivision.name });
+        await writeSubdivisionFeed(
+            options.outputDir,
+            { name: countryName, slug: safeName(countryName) },
+            { name: subdivision.name, divisionSlug, slug },
+            feedEntries,
+            countryData.locale,
+            fetchedAt
+        );
+        outputPath = path.join(safeName(countryName), divisionSlug, `${slug}.html`);
+    }
 
-            console.log(`Processing phone numbers for ${subdivisions.length} subdivisions in ${divisionName}.`);
+    saveSnapshot(snapshotPath, invalidNumbers, fetchedAt);
+    manifest.recordCompleted(manifestKey, { fetchedAt, elementCount: elements.length, stats, outputPath });
 
-            let subdivisionCount = 0;
-            for (const subdivision of subdivisions) {
+    return { stats, failure: null };
+}
+
+/**
+ * Builds every subdivision report for a country, and then its index page.
+ *
+ * The fetching and processing of divisions and subdivisions is queued on the shared worker pool,
+ * so it runs concurrently with other divisions and countries. The results are collected in the
+ * order of `constants.js` and the fetched subdivision lists, and only then added up, so the
+ * output is the same as a sequential build.
+ *
+ * Only the divisions and subdivisions matching the `--division` and `--subdivision` options
+ * are built. In a dry run the subdivisions are listed instead of being fetched.
+ *
+ * A full build appends the country's counts to its history in the output directory, and writes
+ * its MapRoulette challenges, combined CSV and feed. Filtered, simplified and dry-run builds only
+ * read the history, and leave these as they were, since they don't cover the whole country.
+ * @param {BuildContext} build
+ * @param {Object} countryData - The country's entry in `COUNTRIES`.
+ * @returns {Promise<{stats: Object, failures: Array<Object>, plan: Object, history: Array<Object>}>}
+ * The country stats, the areas that failed, the subdivisions of each division that were (or in a
+ * dry run would be) fetched, all in order, and the country's history including this build.
+ */
+async function buildCountry(build, countryData) {
+    const { options, dataSource, pool, manifest } = build;
+    const countryName = countryData.name;
+    const locale = countryData.locale;
+
+    const fullTranslations = getTranslations(locale);
+    const clientTranslations = filterClientTranslations(fullTranslations);
 
-                const elements = await fetchOsmDataForDivision(subdivision);
-                const { invalidNumbers, totalNumbers } = validateNumbers(elements, countryData.countryCode);
+    console.log(`Starting fetching divisions for ${countryName}...`);
 
-                const autoFixableCount = invalidNumbers.filter(item => item.autoFixable).length;
+    const countryDir = path.join(options.outputDir, safeName(countryName));
+    if (!options.dryRun && !options.statsOnly && !fs.existsSync(countryDir)) {
+        fs.mkdirSync(countryDir, { recursive: true });
+    }
 
-                const stats = {
-                    name: escapeHTML(subdivision.name),
-                    divisionSlug: safeName(rawDivisionName),
-                    slug: safeName(subdivision.name),
-                    invalidCount: invalidNumbers.length,
-                    autoFixableCount: autoFixableCount,
-                    totalNumbers: totalNumbers
-                };
+    const history = readHistory(options.outputDir, safeName(countryName));
 
-                groupedDivisionStats[divisionName].push(stats);
+    const divisions = countryData.divisions ?? countryData.divisionMap;
 
-                totalInvalidCount += invalidNumbers.length;
-                totalAutofixableCount += autoFixableCount;
-                totalTotalNumbers += totalNumbers;
+    // Do one subdivision for one division in one country in test mode
+    const rawDivisionNames = Object.keys(divisions)
+        .filter(rawDivisionName => matchesFilter(rawDivisionName, options.division))
+        .slice(0, options.simplified ? 1 : undefined);
 
-                const divisionDir = path.join(countryDir, stats.divisionSlug)
-                if (!fs.existsSync(divisionDir)) {
-                    fs.mkdirSync(divisionDir, { recursive: true });
-                }
+    const divisionResults = await Promise.all(rawDivisionNames.map(async rawDivisionName => {
+        console.log(`Processing subdivisions for ${rawDivisionName}...`);
 
-                await generateHtmlReport(countryName, stats, invalidNumbers, locale, clientTranslations);
+        const divisionKey = getManifestKey(safeName(countryName), safeName(rawDivisionName));
 
-                // Do one subdivision for one division in one country in test mode
-                // count is here in case of needing to change it to test something
-                subdivisionCount++;
-                if (testMode && subdivisionCount >= 1) {
-                    break;
+        let subdivisions = options.resume ? manifest.getSubdivisions(divisionKey, options.resumeWindow) : null;
+        try {
+            if (!subdivisions) {
+                subdivisions = await pool.run(() => getSubdivisions(dataSource, countryData, rawDivisionName));
+                if (!options.dryRun) {
+                    manifest.recordSubdivisions(divisionKey, subdivisions);
                 }
             }
-            divisionCount++;
-            if (testMode && divisionCount >= 1) {
-                break;
+        } catch (error) {
+            if (!(error instanceof DataUnavailableError)) {
+                throw error;
             }
+            console.error(`Data unavailable for ${rawDivisionName}: ${error.message}`);
+            return {
+                divisionName: rawDivisionName,
+                unavailable: true,
+                subdivisions: [],
+                results: [],
+                failure: { country: countryName, area: rawDivisionName, message: error.message }
+            };
         }
 
-        const stats = {
-            name: countryName,
-            slug: safeName(countryName),
-            locale: locale,
-            invalidCount: totalInvalidCount,
-            autoFixableCount: totalAutofixableCount,
-            totalNumbers: totalTotalNumbers,
-            groupedDivisionStats: groupedDivisionStats
+        subdivisions = (subdivisions || [])
+            .filter(subdivision => matchesFilter(subdivision.name, options.subdivision))
+            .slice(0, options.simplified ? 1 : undefined);
+
+        if (subdivisions.length === 0) {
+            console.error(`No subdivisions to process for ${rawDivisionName}.`);
+            return { divisionName: rawDivisionName, unavailable: false, subdivisions, results: [] };
         }
 
-        countryStats.push(stats);
+        if (options.dryRun) {
+            return { divisionName: rawDivisionName, unavailable: false, subdivisions, results: [] };
+        }
 
-        await generateCountryIndexHtml(stats, clientTranslations);
+        console.log(`Processing phone numbers for ${subdivisions.length} subdivisions in ${rawDivisionName}.`);
+
+        const results = await mapInPool(pool, subdivisions, subdivision =>
+            processSubdivision(build, countryData, rawDivisionName, subdivision, clientTranslations, history));
+
+        return { divisionName: rawDivisionName, unavailable: false, subdivisions, results };
+    }));
+
+    let totalInvalidCount = 0;
+    let totalAutofixableCount = 0;
+    let totalTotalNumbers = 0;
+    const totalsByKind = {};
+    const groupedDivisionStats = {};
+    const unavailableDivisions = [];
+    const failures = [];
+    const plan = {};
+
+    for (const { divisionName, unavailable, subdivisions, results, failure } of divisionResults) {
+        groupedDivisionStats[divisionName] = [];
+        plan[divisionName] = subdivisions;
+        if (unavailable) {
+            unavailableDivisions.push(divisionName);
+            failures.push(failure);
+        }
 
-        if (testMode) {
-            break;
+        for (const { stats, failure } of results) {
+            groupedDivisionStats[divisionName].push(stats);
+            if (failure) {
+                failures.push(failure);
+                continue;
+            }
+            totalInvalidCount += stats.invalidCount;
+            totalAutofixableCount += stats.autoFixableCount;
+            totalTotalNumbers += stats.totalNumbers;
+            addKindTotals(totalsByKind, stats.totalsByKind);
         }
     }
 
-    await generateMainIndexHtml(countryStats, defaultLocale, clientDefaultTranslations);
+    const stats = {
+        name: countryName,
+        slug: safeName(countryName),
+        locale: locale,
+        invalidCount: totalInvalidCount,
+        autoFixableCount: totalAutofixableCount,
+        totalNumbers: totalTotalNumbers,
+        totalsByKind: totalsByKind,
+        groupedDivisionStats: groupedDivisionStats,
+        unavailableDivisions: unavailableDivisions
+    }
+
+    if (options.dryRun) {
+        return { stats, failures, plan, history };
+    }
+
+    const record = createHistoryRecord(stats, Date.now());
+    const coversCountry = !options.simplified && !options.division && !options.subdivision;
+    const updatedHistory = coversCountry ? [...history, record] : history;
+    if (coversCountry) {
+        appendHistory(options.outputDir, stats.slug, record);
+    }
 
-    console.log('Full build process completed successfully.');
+    if (!options.statsOnly) {
+        if (coversCountry) {
+            writeCountryCsv(options.outputDir, stats);
+            writeCountryFeed(options.outputDir, stats, record.timestamp);
+        }
+        // A filtered build still links the CSV and feed of the last full build
+        const csvPath = getCountryCsvPath(options.outputDir, stats.slug);
+        const csvFile = fs.existsSync(csvPath) ? path.basename(csvPath) : null;
+        const feedPath = getCountryFeedPath(options.outputDir, stats.slug);
+        const feedFile = fs.existsSync(feedPath) ? path.basename(feedPath) : null;
+        await generateCountryIndexHtml(stats, clientTranslations, options.outputDir, getCountrySeries(updatedHistory), csvFile, feedFile);
+        await writeCountryJson(options.outputDir, stats);
+        if (coversCountry) {
+            writeMapRouletteChallenges(options.outputDir, stats);
+        }
+    }
+
+    return { stats, failures, plan, history: updatedHistory };
+}
+
+/**
+ * Prints the subdivisions that a dry run would fetch.
+ * @param {Array<{stats: Object, plan: Object}>} countryResults
+ */
+function printDryRun(countryResults) {
+    let count = 0;
+    for (const { stats, plan } of countryResults) {
+        console.log(`\n${stats.name}`);
+        for (const [divisionName, subdivisions] of Object.entries(plan)) {
+            console.log(`  ${divisionName}`);
+            for (const subdivision of subdivisions) {
+                console.log(`    ${subdivision.name} (${safeName(subdivision.name)}, relation ${subdivision.id})`);
+                count++;
+            }
+        }
+    }
+    console.log(`\n${count} subdivision(s) would be fetched.`);
+}
+
+/**
+ * Writes the stats of a `--stats-only` build to `stats.json` in the output directory.
+ * @param {Array<Object>} countryStats
+ * @param {string} outputDir
+ */
+function writeStatsFile(countryStats, outputDir) {
+    const filePath = path.join(outputDir, 'stats.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        countries: countryStats
+    }, null, 2));
+    console.log(`Stats written to ${filePath}.`);
 }
 
-main();
+/**
+ * The main function to orchestrate the entire build process for the validation reports.
+ * It performs the following steps:
+ * 1. Sets up the output directory ('public', or the --output option).
+ * 2. Copies static assets (like JS and CSS) to the output directory.
+ * 3. Iterates through each country defined in `constants.js`, or the one given by --country.
+ * 4. For each country, it fetches administrative divisions and their subdivisions.
+ * 5. For each subdivision, it fetches OSM data, validates phone numbers, and generates a detailed HTML report.
+ *    Data comes from Overpass, or from a local extract if --extract or OSM_EXTRACT is set.
+ *    Subdivisions are processed concurrently, up to the combined limit of the Overpass endpoints
+ *    (or --concurrency, if set).
+ * 6. It aggregates statistics for each country and generates a country-level index page.
+ * 7. Finally, it generates the main `index.html` page that links to all country reports.
+ * Every page has a JSON version next to it, in the format described by `api-schema.json`.
+ * If the data for a division or subdivision can't be fetched, it is marked as unavailable on the
+ * country page (keeping any previous report), left out of the totals, and the build exits non-zero
+ * after listing what failed.
+ * Progress is recorded in a build manifest in the output directory, so that an interrupted build
+ * can be resumed with --resume.
+ * The counts of each full build are added to a history in the output directory, which is shown
+ * as trend charts on every page.
+ * See `cli.js` for the options, including dry runs and stats-only builds.
+ * The build can be run in a 'simplified' test mode by setting the BUILD_TYPE environment variable.
+ * @param {Array<string>} argv - The command-line arguments.
+ */
+async function main(argv) {
+    const options = parseCliArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    // A test build only does the first country
+    const countries = selectCountries(COUNTRIES, options.country).slice(0, options.simplified ? 1 : undefined);
+    const writesHtml = !options.dryRun && !options.statsOnly;
+
+    if (!options.dryRun && !fs.existsSync(options.outputDir)) {
+        fs.mkdirSync(options.outputDir, { recursive: true });
+    }
+
+    if (writesHtml) {
+        fs.copyFileSync(path.join(__dirname, 'theme.js'), path.join(options.outputDir, 'theme.js'));
+        fs.copyFileSync(path.join(__dirname, 'backgroundColor.js'), path.join(options.outputDir, 'backgroundColor.js'));
+    }
+
+    console.log(options.dryRun ? 'Starting dry run...' : 'Starting full build process...');
+
+    configureCache({ ttlSeconds: options.cacheTtl, replay: options.replay });
+    configureMap({ tileUrl: options.tileUrl, attribution: options.tileAttribution, libraryUrl: options.mapLibraryUrl });
+    const dataSource = createDataSource({ extract: options.extract });
+    const pool = createWorkerPool(options.concurrency || dataSource.concurrency);
+    console.log(`Using ${dataSource.name} data source, processing up to ${pool.limit} subdivisions at once.`);
+
+    const manifest = openBuildManifest(options.outputDir);
+    if (options.resume) {
+        console.log(`Resuming from ${manifest.filePath}, skipping subdivisions completed in the last ${options.resumeWindow} seconds.`);
+    }
+    const build = { options, dataSource, pool, manifest };
+
+    const defaultLocale = 'en-GB';
+    const fullDefaultTranslations = getTranslations(defaultLocale);
+    const clientDefaultTranslations = filterClientTranslations(fullDefaultTranslations);
+
+    const countryResults = await Promise.all(countries.map(countryData => buildCountry(build, countryData)));
+
+    const countryStats = countryResults.map(result => result.stats);
+    const failures = countryResults.flatMap(result => result.failures);
+
+    if (options.dryRun) {
+        printDryRun(countryResults);
+    } else if (options.statsOnly) {
+        writeStatsFile(countryStats, options.outputDir);
+    } else {
+        const trend = getGlobalSeries(countryResults.map(result => result.history));
+        await generateMainIndexHtml(countryStats, defaultLocale, clientDefaultTranslations, options.outputDir, trend);
+        await writeIndexJson(options.outputDir, countryStats);
+    }
+
+    if (failures.length > 0) {
+        console.error(`Build completed, but data was unavailable for ${failures.length} area(s):`);
+        for (const failure of failures) {
+            console.error(`  - ${failure.country} / ${failure.area}: ${failure.message}`);
+        }
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(options.dryRun ? 'Dry run completed.' : 'Full build process completed successfully.');
+}
+
+// Exit code 1 is reserved for builds that completed with some data unavailable
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+        console.error('Build failed:', error);
+    }
+    process.exit(2);
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { getSubdivisionJsonPath } = require('./json-api');
+
+const MAPROULETTE_DIR = 'maproulette';
+
+// The record separator that starts each line of line-by-line GeoJSON (RFC 7464)
+const RECORD_SEPARATOR = '\u001e';
+
+/**
+ * Creates a MapRoulette task for an invalid item. The feature has the OSM ID, the invalid tags
+ * with their values, and any suggested fixes as `suggestedFix:<tag>`, for use in task instructions.
+ * Autofixable items also get the fix as cooperative work, so that MapRoulette can offer it as a
+ * tag fix for the mapper to review and apply. Tags that repeat another are removed by the fix.
+ * @param {Object} item - An item from the subdivision JSON, see `json-api.js`.
+ * @returns {Object} A GeoJSON FeatureCollection with one feature.
+ */
+function createTask(item) {
+    const osmId = `${item.type}/${item.id}`;
+    const properties = {
+        '@id': osmId,
+        osmUrl: item.osmUrl,
+        invalidTags: item.invalidTags.map(({ tag }) => tag).join(';'),
+    };
+    if (item.name) {
+        properties.name = item.name;
+    }
+    for (const { tag, value, suggestedFix } of item.invalidTags) {
+        properties[tag] = value;
+        if (suggestedFix) {
+            properties[`suggestedFix:${tag}`] = suggestedFix;
+        }
+    }
+
+    const task = {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            id: osmId,
+            geometry: { type: 'Point', coordinates: [item.lon, item.lat] },
+            properties: properties,
+        }],
+    };
+
+    if (item.autoFixable) {
+        const fixes = item.invalidTags
+            .filter(({ suggestedFix }) => suggestedFix)
+            .map(({ tag, suggestedFix }) => [tag, suggestedFix]);
+        const removedTags = item.invalidTags
+            .filter(({ duplicateOf }) => duplicateOf)
+            .map(({ tag }) => tag);
+        const operations = [];
+        if (fixes.length > 0) {
+            operations.push({ operation: 'setTags', data: Object.fromEntries(fixes) });
+        }
+        if (removedTags.length > 0) {
+            operations.push({ operation: 'unsetTags', data: removedTags });
+        }
+        task.cooperativeWork = {
+            meta: { version: 2, type: 1 },
+            operations: [{
+                operationType: 'modifyElement',
+                data: {
+                    id: osmId,
+                    operations: operations,
+                },
+            }],
+        };
+    }
+
+    return task;
+}
+
+/**
+ * Creates a MapRoulette challenge file in line-by-line GeoJSON, with one task per line.
+ * Items without a location are left out, since a task needs one.
+ * @param {Array<Object>} items - Items from the subdivision JSON.
+ * @returns {string}
+ */
+function createChallenge(items) {
+    return items
+        .filter(item => item.lat !== null && item.lon !== null)
+        .map(item => `${RECORD_SEPARATOR}${JSON.stringify(createTask(item))}\n`)
+        .join('');
+}
+
+/**
+ * Reads the invalid items of a subdivision from its JSON.
+ * @param {string} outputDir
+ * @param {string} countrySlug
+ * @param {{divisionSlug: string, slug: string}} stats
+ * @returns {Array<Object>} The items, or none if the JSON is missing or unreadable.
+ */
+function readSubdivisionItems(outputDir, countrySlug, stats) {
+    const filePath = getSubdivisionJsonPath(outputDir, countrySlug, stats.divisionSlug, stats.slug);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).items;
+    } catch (error) {
+        console.warn(`Leaving ${stats.name} out of the MapRoulette challenges, could not read ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Writes a pair of challenges to a directory: `invalid.geojson` for the items that need a mapper
+ * to find the right number, and `fixable.geojson` for the tag fixes. Empty challenges aren't written.
+ * @param {string} dir
+ * @param {Array<Object>} items
+ */
+function writeChallenges(dir, items) {
+    const challenges = {
+        'invalid.geojson': createChallenge(items.filter(item => !item.autoFixable)),
+        'fixable.geojson': createChallenge(items.filter(item => item.autoFixable)),
+    };
+    for (const [fileName, content] of Object.entries(challenges)) {
+        if (content) {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, fileName), content);
+        }
+    }
+}
+
+/**
+ * Writes the MapRoulette challenges of a country, for the whole country in `<country>/maproulette/`
+ * and for each division in `<country>/maproulette/<division>/`. They are made from the subdivision
+ * JSON, so subdivisions skipped by a resumed build are still included. Subdivisions whose data was
+ * unavailable are left out. Challenges from an earlier build are removed first.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {Object} countryStats - The country stats object built in `main.js`.
+ */
+function writeMapRouletteChallenges(outputDir, countryStats) {
+    const dir = path.join(outputDir, countryStats.slug, MAPROULETTE_DIR);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const countryItems = [];
+    for (const divisionStats of Object.values(countryStats.groupedDivisionStats)) {
+        const available = divisionStats.filter(stats => !stats.dataUnavailable);
+        if (available.length === 0) {
+            continue;
+        }
+        const items = available.flatMap(stats => readSubdivisionItems(outputDir, countryStats.slug, stats));
+        writeChallenges(path.join(dir, available[0].divisionSlug), items);
+        countryItems.push(...items);
+    }
+    writeChallenges(dir, countryItems);
+}
+
+module.exports = {
+    createTask,
+    createChallenge,
+    writeMapRouletteChallenges,
+};
@@ -1,83 +1,72 @@
-const { OVERPASS_API_URL, PHONE_TAGS } = require('./constants');
+const { buildOverpassTagFilters } = require('./phone-keys');
+const { getCachedResponse, saveCachedResponse } = require('./overpass-cache');
+const { getOverpassClient } = require('./overpass-client');
+const { DataUnavailableError } = require('./errors');
 
 /**
- * Fetches administrative subdivisions for a given parent area from the Overpass API.
- * This function is recursive and will retry on certain API errors (429, 504).
+ * Checks that an Overpass response is complete. Overpass answers with HTTP 200 and a
+ * `remark` when a query times out or runs out of memory part way through, in which case
+ * `elements` is empty or incomplete and must not be treated as real data.
+ * @param {Object} data - The raw Overpass JSON.
+ * @throws {Error} If the response reports a runtime error or has no elements list.
+ */
+function checkOverpassResponse(data) {
+    if (data.remark && /error/i.test(data.remark)) {
+        throw new Error(`Overpass reported: ${data.remark}`);
+    }
+    if (!Array.isArray(data.elements)) {
+        throw new Error('Overpass response has no elements.');
+    }
+}
+
+/**
+ * Converts the raw Overpass response for a subdivision query into a list of unique subdivisions.
+ * @param {Object} data - The raw Overpass JSON.
+ * @returns {Array<{name: string, id: number}>}
+ */
+function getUniqueSubdivisions(data) {
+    const subdivisions = data.elements.map(el => ({
+        name: el.tags.name,
+        id: el.id
+    }));
+
+    return [...new Map(subdivisions.map(item => [item.name, item])).values()];
+}
+
+/**
+ * Builds the Overpass query for the administrative subdivisions of a division.
+ * The query text is also the key for the on-disk cache, so recorded fixtures can be
+ * looked up with the same function.
  * @param {number} divisionId - The OSM relation ID of the parent division.
- * @param {string} divisionName - The name of the division (for logging).
  * @param {number} admin_level - The administrative level of the subdivisions to fetch.
- * @param {number} [retries=3] - Number of retries left.
- * @returns {Promise<Array<{name: string, id: number}>>} A promise that resolves to an array of subdivision objects.
+ * @returns {string} The Overpass QL query.
  */
-async function fetchAdminLevels(divisionId, divisionName, admin_level, retries = 3) {
-    console.log(`Fetching all subdivisions for ${divisionName} (ID: ${divisionId})...`);
-    const { default: fetch } = await import('node-fetch');
-
+function buildSubdivisionsQuery(divisionId, admin_level) {
     const queryTimeout = 180;
     const areaId = divisionId + 3600000000;
 
-    const query = `
+    return `
         [out:json][timeout:${queryTimeout}];
         area(${areaId})->.division;
         rel(area.division)["admin_level"="${admin_level}"]["boundary"="administrative"]["name"];
         out body;
     `;
-
-    try {
-        const response = await fetch(OVERPASS_API_URL, {
-            method: 'POST',
-            body: `data=${encodeURIComponent(query)}`,
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        });
-
-        if (response.status === 429 || response.status === 504) {
-            if (retries > 0) {
-                const retryAfter = response.headers.get('Retry-After') || 60;
-                console.warn(`Overpass API rate limit or gateway timeout hit (error ${response.status}). Retrying in ${retryAfter} seconds... (${retries} retries left)`);
-                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                return fetchAdminLevels(divisionId, divisionName, admin_level, retries - 1);
-            } else {
-                throw new Error(`Overpass API response error: ${response.statusText}`);
-            }
-        }
-
-        if (!response.ok) {
-            throw new Error(`Overpass API response error: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const subdivisions = data.elements.map(el => ({
-            name: el.tags.name,
-            id: el.id
-        }));
-
-        const uniqueSubdivisions = [...new Map(subdivisions.map(item => [item.name, item])).values()];
-        return uniqueSubdivisions;
-    } catch (error) {
-        console.error(`Error fetching subdivisions for ${divisionName}:`, error);
-        return [];
-    }
 }
 
 /**
- * Fetches all OSM elements that have one of the specified phone tags within a given division's area.
- * This function is recursive and will retry on certain API errors (429, 504).
+ * Builds the Overpass query for all elements with phone tags within a division.
  * @param {{name: string, id: number}} division - The division object, containing its name and OSM relation ID.
- * @param {number} [retries=3] - Number of retries left.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of OSM element objects.
+ * @returns {string} The Overpass QL query.
  */
-async function fetchOsmDataForDivision(division, retries = 3) {
-    console.log(`Fetching data for division: ${division.name} (ID: ${division.id})...`);
-    const { default: fetch } = await import('node-fetch');
-
+function buildElementsQuery(division) {
     const areaId = division.id + 3600000000;
     const queryTimeout = 600;
 
-    const tagQuery = PHONE_TAGS
-        .map(tag => `nwr(area.division)["${tag}"~".*"];`)
+    const tagQuery = buildOverpassTagFilters()
+        .map(filter => `nwr(area.division)${filter};`)
         .join('\n');
 
-    const overpassQuery = `
+    return `
         [out:json][timeout:${queryTimeout}];
         area(${areaId})->.division;
         (
@@ -85,35 +74,125 @@ async function fetchOsmDataForDivision(division, retries = 3) {
         );
         out center;
     `;
+}
+
+/**
+ * Builds the Overpass query for the full current version of some elements, with their
+ * version, node locations, way nodes and relation members, as needed for an osmChange file.
+ * @param {Array<{type: string, id: number}>} elements
+ * @returns {string} The Overpass QL query.
+ */
+function buildFullElementsQuery(elements) {
+    const queryTimeout = 180;
+    const overpassTypes = { node: 'node', way: 'way', relation: 'rel' };
+
+    const idQuery = Object.entries(overpassTypes)
+        .map(([type, overpassType]) => {
+            const ids = elements.filter(element => element.type === type).map(element => element.id);
+            return ids.length > 0 ? `${overpassType}(id:${ids.join(',')});` : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+
+    return `
+        [out:json][timeout:${queryTimeout}];
+        (
+          ${idQuery}
+        );
+        out meta;
+    `;
+}
+
+/**
+ * Fetches administrative subdivisions for a given parent area from the Overpass API.
+ * Responses are read from and recorded to the on-disk Overpass cache.
+ * @param {number} divisionId - The OSM relation ID of the parent division.
+ * @param {string} divisionName - The name of the division (for logging).
+ * @param {number} admin_level - The administrative level of the subdivisions to fetch.
+ * @returns {Promise<Array<{name: string, id: number}>>} A promise that resolves to an array of subdivision objects.
+ * @throws {DataUnavailableError} If the subdivisions could not be fetched.
+ */
+async function fetchAdminLevels(divisionId, divisionName, admin_level) {
+    console.log(`Fetching all subdivisions for ${divisionName} (ID: ${divisionId})...`);
+    const query = buildSubdivisionsQuery(divisionId, admin_level);
+
+    const cachedData = getCachedResponse(query);
+    if (cachedData) {
+        return getUniqueSubdivisions(cachedData);
+    }
+
+    try {
+        const data = await getOverpassClient().query(query);
+        checkOverpassResponse(data);
+        saveCachedResponse(query, data);
+        return getUniqueSubdivisions(data);
+    } catch (error) {
+        console.error(`Error fetching subdivisions for ${divisionName}:`, error);
+        throw new DataUnavailableError(`Could not fetch subdivisions for ${divisionName}: ${error.message}`, { area: divisionName, cause: error });
+    }
+}
+
+/**
+ * Fetches all OSM elements that have one of the specified phone tags within a given division's area.
+ * Responses are read from and recorded to the on-disk Overpass cache.
+ * @param {{name: string, id: number}} division - The division object, containing its name and OSM relation ID.
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of OSM element objects.
+ * @throws {DataUnavailableError} If the data could not be fetched.
+ */
+async function fetchOsmDataForDivision(division) {
+    console.log(`Fetching data for division: ${division.name} (ID: ${division.id})...`);
+    const overpassQuery = buildElementsQuery(division);
+
+    const cachedData = getCachedResponse(overpassQuery);
+    if (cachedData) {
+        return cachedData.elements;
+    }
 
     try {
-        const response = await fetch(OVERPASS_API_URL, {
-            method: 'POST',
-            body: `data=${encodeURIComponent(overpassQuery)}`,
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        });
-
-        if (response.status === 429 || response.status === 504) {
-            if (retries > 0) {
-                const retryAfter = response.headers.get('Retry-After') || 60;
-                console.warn(`Overpass API rate limit or gateway timeout hit (error ${response.status}). Retrying in ${retryAfter} seconds... (${retries} retries left)`);
-                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                return await fetchOsmDataForDivision(division, retries - 1);
-            }
-        }
-
-        if (!response.ok) {
-            throw new Error(`Overpass API response error: ${response.statusText}`);
-        }
-        const data = await response.json();
+        const data = await getOverpassClient().query(overpassQuery);
+        checkOverpassResponse(data);
+        saveCachedResponse(overpassQuery, data);
         return data.elements;
     } catch (error) {
         console.error(`Error fetching OSM data for ${division.name}:`, error);
+        throw new DataUnavailableError(`Could not fetch OSM data for ${division.name}: ${error.message}`, { area: division.name, cause: error });
+    }
+}
+
+/**
+ * Fetches the full current version of some elements from the Overpass API.
+ * Responses are read from and recorded to the on-disk Overpass cache.
+ * @param {Array<{type: string, id: number}>} elements
+ * @returns {Promise<Array<Object>>} The elements, as returned by Overpass with `out meta`.
+ * @throws {DataUnavailableError} If the elements could not be fetched.
+ */
+async function fetchFullElements(elements) {
+    if (elements.length === 0) {
         return [];
     }
+    const query = buildFullElementsQuery(elements);
+
+    const cachedData = getCachedResponse(query);
+    if (cachedData) {
+        return cachedData.elements;
+    }
+
+    try {
+        const data = await getOverpassClient().query(query);
+        checkOverpassResponse(data);
+        saveCachedResponse(query, data);
+        return data.elements;
+    } catch (error) {
+        console.error(`Error fetching ${elements.length} full elements:`, error);
+        throw new DataUnavailableError(`Could not fetch full elements: ${error.message}`, { cause: error });
+    }
 }
 
 module.exports = {
+    buildSubdivisionsQuery,
+    buildElementsQuery,
+    buildFullElementsQuery,
     fetchAdminLevels,
     fetchOsmDataForDivision,
+    fetchFullElements,
 };
@@ -0,0 +1,98 @@
+const { getItemKey, getRemovedTags } = require('./data-processor');
+const { escapeHTML } = require('./html-utils');
+
+const GENERATOR = 'osm-phones';
+
+/**
+ * Gets the tags of an element with the suggested fixes of an invalid item applied, and its
+ * redundant tags removed.
+ * @param {Object} element - The full element, as it is in OSM now.
+ * @param {Object} item - The invalid item from `validateNumbers`.
+ * @returns {Object|null} The new tags, or null if a phone tag has changed since the item was
+ * validated, in which case the fix no longer applies.
+ */
+function getFixedTags(element, item) {
+    const tags = { ...element.tags };
+    const removedTags = getRemovedTags(item);
+    for (const [tag, fix] of Object.entries(item.suggestedFixes)) {
+        if (!fix && !removedTags.includes(tag)) {
+            continue;
+        }
+        if (tags[tag] !== item.invalidNumbers[tag]) {
+            return null;
+        }
+        if (removedTags.includes(tag)) {
+            delete tags[tag];
+        } else {
+            tags[tag] = fix;
+        }
+    }
+    return tags;
+}
+
+/**
+ * Creates the XML for one modified element. osmChange needs the whole element, so the
+ * node location, way nodes and relation members are kept as they are.
+ * @param {Object} element - The full element, with its version.
+ * @param {Object} tags - The new tags.
+ * @returns {string}
+ */
+function createElementXml(element, tags) {
+    const attributes = `id="${element.id}" version="${element.version}"`;
+    const tagXml = Object.entries(tags)
+        .map(([key, value]) => `      <tag k="${escapeHTML(key)}" v="${escapeHTML(value)}"/>`);
+
+    if (element.type === 'node') {
+        return [`    <node ${attributes} lat="${element.lat}" lon="${element.lon}">`, ...tagXml, '    </node>'].join('\n');
+    } else if (element.type === 'way') {
+        const ndXml = element.nodes.map(ref => `      <nd ref="${ref}"/>`);
+        return [`    <way ${attributes}>`, ...ndXml, ...tagXml, '    </way>'].join('\n');
+    }
+    const memberXml = element.members
+        .map(member => `      <member type="${member.type}" ref="${member.ref}" role="${escapeHTML(member.role)}"/>`);
+    return [`    <relation ${attributes}>`, ...memberXml, ...tagXml, '    </relation>'].join('\n');
+}
+
+/**
+ * Creates an osmChange document that applies the suggested fixes of every autofixable item.
+ * Only the fixed phone tags change. Items are left out if their element wasn't found, has no
+ * version, or has been edited since, so the file never undoes someone else's change.
+ * @param {Array<Object>} items - The autofixable items from `validateNumbers`.
+ * @param {Array<Object>} fullElements - The current elements, as from Overpass with `out meta`.
+ * @returns {{xml: string, count: number}} The document and the number of elements in it.
+ */
+function createOsmChange(items, fullElements) {
+    const elementsByKey = new Map(fullElements.map(element => [getItemKey(element), element]));
+
+    const modified = [];
+    for (const item of items) {
+        const element = elementsByKey.get(getItemKey(item));
+        if (!element || element.version === undefined) {
+            console.warn(`Leaving ${getItemKey(item)} out of the osmChange file, its current version is unknown.`);
+            continue;
+        }
+        const tags = getFixedTags(element, item);
+        if (!tags) {
+            console.warn(`Leaving ${getItemKey(item)} out of the osmChange file, it has been edited since.`);
+            continue;
+        }
+        modified.push(createElementXml(element, tags));
+    }
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<osmChange version="0.6" generator="${GENERATOR}">`,
+        '  <modify>',
+        ...modified,
+        '  </modify>',
+        '</osmChange>',
+        ''
+    ].join('\n');
+
+    return { xml, count: modified.length };
+}
+
+module.exports = {
+    getFixedTags,
+    createOsmChange,
+};
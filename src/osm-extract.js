@@ -0,0 +1,276 @@
+const fs = require('fs');
+const sax = require('sax');
+const parseOsmPbf = require('osm-pbf-parser');
+const { hasPhoneKey } = require('./phone-keys');
+const { assembleRings, getBoundingBox, getCenter } = require('./geometry');
+
+/**
+ * Streams every element of an OSM extract, in either `.osm.pbf` or `.osm` XML format.
+ * Elements are normalised to a common shape:
+ * `{ type, id, tags, lat, lon }` for nodes, `{ type, id, tags, nodes }` for ways and
+ * `{ type, id, tags, members: [{ type, ref, role }] }` for relations.
+ * @param {string} filePath - Path to the extract.
+ * @param {function(Object): void} onElement - Called for each element in file order.
+ * @returns {Promise<void>} Resolves once the whole file has been read.
+ */
+function readExtract(filePath, onElement) {
+    if (filePath.endsWith('.pbf')) {
+        return readPbf(filePath, onElement);
+    }
+    return readXml(filePath, onElement);
+}
+
+/**
+ * Streams the elements of a `.osm.pbf` file.
+ * @param {string} filePath
+ * @param {function(Object): void} onElement
+ * @returns {Promise<void>}
+ */
+function readPbf(filePath, onElement) {
+    return new Promise((resolve, reject) => {
+        const input = fs.createReadStream(filePath);
+        const parser = parseOsmPbf();
+
+        input.on('error', reject);
+        parser.on('error', reject);
+        parser.on('data', items => {
+            for (const item of items) {
+                const element = { type: item.type, id: item.id, tags: item.tags || {} };
+                if (item.info && item.info.version !== undefined) {
+                    element.version = item.info.version;
+                }
+                if (item.type === 'node') {
+                    element.lat = item.lat;
+                    element.lon = item.lon;
+                } else if (item.type === 'way') {
+                    element.nodes = item.refs;
+                } else if (item.type === 'relation') {
+                    element.members = item.members.map(member => ({
+                        type: member.type,
+                        ref: member.id,
+                        role: member.role
+                    }));
+                } else {
+                    continue;
+                }
+                onElement(element);
+            }
+        });
+        parser.on('end', resolve);
+
+        input.pipe(parser);
+    });
+}
+
+/**
+ * Streams the elements of a `.osm` XML file.
+ * @param {string} filePath
+ * @param {function(Object): void} onElement
+ * @returns {Promise<void>}
+ */
+function readXml(filePath, onElement) {
+    return new Promise((resolve, reject) => {
+        const input = fs.createReadStream(filePath);
+        const parser = sax.createStream(true);
+        let current = null;
+
+        parser.on('opentag', ({ name, attributes }) => {
+            if (name === 'node' || name === 'way' || name === 'relation') {
+                current = { type: name, id: Number(attributes.id), tags: {} };
+                if (attributes.version !== undefined) {
+                    current.version = Number(attributes.version);
+                }
+                if (name === 'node') {
+                    current.lat = Number(attributes.lat);
+                    current.lon = Number(attributes.lon);
+                } else if (name === 'way') {
+                    current.nodes = [];
+                } else {
+                    current.members = [];
+                }
+            } else if (!current) {
+                return;
+            } else if (name === 'tag') {
+                current.tags[attributes.k] = attributes.v;
+            } else if (name === 'nd') {
+                current.nodes.push(Number(attributes.ref));
+            } else if (name === 'member') {
+                current.members.push({
+                    type: attributes.type,
+                    ref: Number(attributes.ref),
+                    role: attributes.role || ''
+                });
+            }
+        });
+        parser.on('closetag', name => {
+            if (current && name === current.type) {
+                onElement(current);
+                current = null;
+            }
+        });
+        input.on('error', reject);
+        parser.on('error', reject);
+        parser.on('end', resolve);
+
+        input.pipe(parser);
+    });
+}
+
+/**
+ * Checks whether an element has at least one of the keys whose numbers are checked.
+ * @param {Object} element
+ * @returns {boolean}
+ */
+function hasPhoneTag(element) {
+    return hasPhoneKey(element.tags);
+}
+
+/**
+ * Checks whether a relation is an administrative boundary that the build needs.
+ * @param {Object} relation
+ * @param {{ids: Set<number>, adminLevels: Set<number>}} boundaryFilter
+ * @returns {boolean}
+ */
+function isWantedBoundary(relation, boundaryFilter) {
+    if (relation.tags.boundary !== 'administrative') {
+        return false;
+    }
+    if (boundaryFilter.ids.has(relation.id)) {
+        return true;
+    }
+    return Boolean(relation.tags.name) && boundaryFilter.adminLevels.has(Number(relation.tags.admin_level));
+}
+
+/**
+ * Reads an extract and builds an in-memory index of the administrative boundaries
+ * and phone-tagged elements in it.
+ *
+ * The file is read three times (relations, then ways, then nodes) so that only the
+ * node coordinates which are actually needed are kept in memory, rather than every
+ * node in the extract.
+ *
+ * @param {string} filePath - Path to the `.osm.pbf` or `.osm` extract.
+ * @param {{ids: Set<number>, adminLevels: Set<number>}} boundaryFilter - The boundary relations to keep,
+ * by relation ID or by admin_level.
+ * @returns {Promise<{boundaries: Map<number, Object>, elements: Array<Object>}>}
+ * Boundaries are `{ id, tags, rings, bbox }` where rings are lists of `{lat, lon}`.
+ * Elements have the same shape as those returned by Overpass with `out center`.
+ */
+async function loadExtractIndex(filePath, boundaryFilter) {
+    const boundaryRelations = [];
+    const phoneRelations = [];
+    const neededWays = new Set();
+    const neededNodes = new Set();
+
+    console.log(`Reading relations from ${filePath}...`);
+    await readExtract(filePath, element => {
+        if (element.type !== 'relation') {
+            return;
+        }
+        const wanted = isWantedBoundary(element, boundaryFilter);
+        const phone = hasPhoneTag(element);
+        if (!wanted && !phone) {
+            return;
+        }
+        for (const member of element.members) {
+            if (member.type === 'way') {
+                neededWays.add(member.ref);
+            } else if (member.type === 'node' && phone) {
+                neededNodes.add(member.ref);
+            }
+        }
+        if (wanted) {
+            boundaryRelations.push(element);
+        }
+        if (phone) {
+            phoneRelations.push(element);
+        }
+    });
+
+    const wayNodes = new Map();
+    const phoneWays = [];
+
+    console.log(`Reading ways from ${filePath}...`);
+    await readExtract(filePath, element => {
+        if (element.type !== 'way') {
+            return;
+        }
+        const phone = hasPhoneTag(element);
+        if (!phone && !neededWays.has(element.id)) {
+            return;
+        }
+        wayNodes.set(element.id, element.nodes);
+        element.nodes.forEach(ref => neededNodes.add(ref));
+        if (phone) {
+            phoneWays.push(element);
+        }
+    });
+
+    const nodeCoords = new Map();
+    const elements = [];
+
+    console.log(`Reading nodes from ${filePath}...`);
+    await readExtract(filePath, element => {
+        if (element.type !== 'node') {
+            return;
+        }
+        if (neededNodes.has(element.id)) {
+            nodeCoords.set(element.id, { lat: element.lat, lon: element.lon });
+        }
+        if (hasPhoneTag(element)) {
+            elements.push(element);
+        }
+    });
+
+    const coordsOf = refs => refs.map(ref => nodeCoords.get(ref)).filter(Boolean);
+
+    for (const way of phoneWays) {
+        const center = getCenter(coordsOf(way.nodes));
+        if (center) {
+            elements.push({ ...way, center });
+        }
+    }
+
+    for (const relation of phoneRelations) {
+        const coords = relation.members.flatMap(member => {
+            if (member.type === 'node') {
+                return coordsOf([member.ref]);
+            } else if (member.type === 'way' && wayNodes.has(member.ref)) {
+                return coordsOf(wayNodes.get(member.ref));
+            }
+            return [];
+        });
+        const center = getCenter(coords);
+        if (center) {
+            elements.push({ ...relation, center });
+        }
+    }
+
+    const boundaries = new Map();
+    for (const relation of boundaryRelations) {
+        const memberWays = relation.members
+            .filter(member => member.type === 'way' && wayNodes.has(member.ref))
+            .map(member => wayNodes.get(member.ref));
+        const rings = assembleRings(memberWays)
+            .map(coordsOf)
+            .filter(ring => ring.length >= 4);
+        if (rings.length === 0) {
+            console.warn(`Boundary relation ${relation.id} (${relation.tags.name}) has no usable geometry in the extract.`);
+            continue;
+        }
+        boundaries.set(relation.id, {
+            id: relation.id,
+            tags: relation.tags,
+            rings: rings,
+            bbox: getBoundingBox(rings.flat())
+        });
+    }
+
+    console.log(`Loaded ${boundaries.size} boundaries and ${elements.length} elements with phone tags from ${filePath}.`);
+    return { boundaries, elements };
+}
+
+module.exports = {
+    readExtract,
+    loadExtractIndex,
+};
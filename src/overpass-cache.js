@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { OVERPASS_CACHE_DIR } = require('./constants');
+const { DataUnavailableError } = require('./errors');
+
+/**
+ * Current cache settings, changed with `configureCache`.
+ * - dir: Directory the cached responses are stored in.
+ * - ttlSeconds: How old a cached response may be and still be reused. 0 means responses are
+ *   recorded but never reused (except in replay mode).
+ * - replay: If true, every query must be answered from the cache regardless of age, and a
+ *   missing entry is an error rather than a reason to go to the network.
+ */
+const cacheSettings = {
+    dir: OVERPASS_CACHE_DIR,
+    ttlSeconds: 0,
+    replay: false,
+};
+
+/**
+ * Thrown in replay mode when a query has no recorded response. The data is then unavailable,
+ * as if the query had failed, so the build reports the area rather than stopping.
+ */
+class CacheMissError extends DataUnavailableError {
+    constructor(query, key) {
+        super(`Replay mode: no cached Overpass response for query ${key}`);
+        this.name = 'CacheMissError';
+        this.query = query;
+        this.key = key;
+    }
+}
+
+/**
+ * Updates the cache settings. Any setting not given is left unchanged.
+ * @param {{dir?: string, ttlSeconds?: number, replay?: boolean}} settings
+ */
+function configureCache(settings) {
+    for (const key of Object.keys(cacheSettings)) {
+        if (settings[key] !== undefined) {
+            cacheSettings[key] = settings[key];
+        }
+    }
+}
+
+/**
+ * Gets the content-addressed cache key for a query.
+ * Whitespace is collapsed first, so that re-indenting a query doesn't change its key.
+ * @param {string} query - The Overpass QL query text.
+ * @returns {string} The hex SHA-256 hash of the normalised query.
+ */
+function getCacheKey(query) {
+    const normalisedQuery = query.trim().replace(/\s+/g, ' ');
+    return crypto.createHash('sha256').update(normalisedQuery).digest('hex');
+}
+
+/**
+ * Gets the path of the cache file for a query.
+ * @param {string} query
+ * @returns {string}
+ */
+function getCachePath(query) {
+    return path.join(cacheSettings.dir, `${getCacheKey(query)}.json`);
+}
+
+/**
+ * Looks up the recorded response to a query.
+ * @param {string} query - The Overpass QL query text.
+ * @returns {Object|null} The raw Overpass JSON, or null if there is no usable cached response.
+ * @throws {CacheMissError} In replay mode, if there is no recorded response.
+ */
+function getCachedResponse(query) {
+    const cachePath = getCachePath(query);
+
+    let entry = null;
+    if (fs.existsSync(cachePath)) {
+        try {
+            entry = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable cache entry ${cachePath}:`, error.message);
+        }
+    }
+
+    if (cacheSettings.replay) {
+        if (!entry) {
+            throw new CacheMissError(query, getCacheKey(query));
+        }
+        return entry.data;
+    }
+
+    if (entry) {
+        const ageSeconds = (Date.now() - entry.timestamp) / 1000;
+        if (ageSeconds <= cacheSettings.ttlSeconds) {
+            console.log(`Using cached Overpass response from ${new Date(entry.timestamp).toISOString()}.`);
+            return entry.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Records the response to a query, with the current time.
+ * The file is written to a temporary path and renamed, so an interrupted
+ * write never leaves a corrupt entry behind.
+ * @param {string} query - The Overpass QL query text.
+ * @param {Object} data - The raw Overpass JSON.
+ */
+function saveCachedResponse(query, data) {
+    const cachePath = getCachePath(query);
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    const entry = {
+        query: query,
+        timestamp: Date.now(),
+        data: data,
+    };
+
+    fs.mkdirSync(cacheSettings.dir, { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, cachePath);
+}
+
+module.exports = {
+    CacheMissError,
+    configureCache,
+    getCacheKey,
+    getCachedResponse,
+    saveCachedResponse,
+};
@@ -0,0 +1,294 @@
+const { OVERPASS_ENDPOINTS } = require('./constants');
+
+// Responses with these statuses mean the endpoint is busy, so the query is sent to the next one
+const FAILOVER_STATUSES = [429, 504];
+
+// How long to wait before retrying all endpoints if none of them gave a Retry-After header
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls node-fetch, which is an ES module and so has to be imported dynamically.
+ * @returns {Promise<Response>}
+ */
+async function defaultFetch(...args) {
+    const { default: fetch } = await import('node-fetch');
+    return fetch(...args);
+}
+
+/**
+ * Parses an endpoint configuration, as given in the OVERPASS_ENDPOINTS environment variable.
+ * This may either be a JSON array in the same format as `OVERPASS_ENDPOINTS` in `constants.js`,
+ * or a comma-separated list of interpreter URLs, which then use the default limits.
+ * @param {string} value
+ * @returns {Array<Object>} The endpoint configurations.
+ */
+function parseEndpointsConfig(value) {
+    const trimmed = value.trim();
+    const endpoints = trimmed.startsWith('[')
+        ? JSON.parse(trimmed)
+        : trimmed.split(',').map(url => ({ url: url.trim() })).filter(endpoint => endpoint.url);
+
+    return endpoints.map(endpoint => ({
+        maxConcurrent: 1,
+        minIntervalMs: 0,
+        checkStatus: false,
+        ...endpoint
+    }));
+}
+
+/**
+ * Gets the URL of the `/api/status` page that belongs to an interpreter URL.
+ * @param {{url: string, statusUrl?: string}} endpoint
+ * @returns {string}
+ */
+function getStatusUrl(endpoint) {
+    return endpoint.statusUrl || endpoint.url.replace(/\/interpreter\/?$/, '/status');
+}
+
+/**
+ * Parses the text of an Overpass `/api/status` page.
+ * @param {string} text - The status page body.
+ * @returns {{rateLimit: number|null, slotsAvailable: number, waitSeconds: number}}
+ * `waitSeconds` is how long until a query slot is free: 0 if one is free now, or if the
+ * endpoint has no rate limit.
+ */
+function parseStatus(text) {
+    const rateLimitMatch = text.match(/Rate limit:\s*(\d+)/);
+    const rateLimit = rateLimitMatch ? Number(rateLimitMatch[1]) : null;
+
+    const slotsMatch = text.match(/(\d+)\s+slots?\s+available now/);
+    const slotsAvailable = slotsMatch ? Number(slotsMatch[1]) : 0;
+
+    const waits = [...text.matchAll(/Slot available after:[^\n]*?in\s+(-?\d+)\s+seconds?/g)]
+        .map(match => Math.max(0, Number(match[1])));
+
+    let waitSeconds = 0;
+    if (rateLimit !== 0 && slotsAvailable === 0 && waits.length > 0) {
+        waitSeconds = Math.min(...waits);
+    }
+
+    return { rateLimit, slotsAvailable, waitSeconds };
+}
+
+/**
+ * Creates a client that sends Overpass queries to a pool of endpoints.
+ *
+ * Each endpoint has its own limits: at most `maxConcurrent` queries run against it at once,
+ * and queries are started at least `minIntervalMs` apart. If `checkStatus` is set, the
+ * endpoint's `/api/status` page is read before each query, and the query waits until a
+ * slot is free.
+ *
+ * Each query goes to the first endpoint with a free slot, or if none has one, to the endpoint
+ * with the shortest queue for its number of slots, so that queries are spread over the pool.
+ * If an endpoint responds with 429 or 504, or can't be reached, the query fails over to
+ * another it hasn't tried. Once every endpoint has failed, the whole list is retried after
+ * the Retry-After delay, up to `retries` times.
+ *
+ * @param {Array<{url: string, maxConcurrent?: number, minIntervalMs?: number, checkStatus?: boolean, statusUrl?: string}>} [endpoints]
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Number of times to retry all endpoints.
+ * @param {Function} [options.fetch] - fetch implementation, for testing.
+ * @param {function(number): Promise<void>} [options.sleep] - Waits for a number of milliseconds, for testing.
+ * @returns {{query: function(string): Promise<Object>, endpoints: Array<Object>, concurrency: number}}
+ */
+function createOverpassClient(endpoints = OVERPASS_ENDPOINTS, { retries = 3, fetch = defaultFetch, sleep: wait = sleep } = {}) {
+    if (!endpoints || endpoints.length === 0) {
+        throw new Error('At least one Overpass endpoint must be configured.');
+    }
+
+    const pool = endpoints.map(config => ({
+        config: { maxConcurrent: 1, minIntervalMs: 0, checkStatus: false, ...config },
+        active: 0,
+        waiting: [],
+        lastStart: 0,
+    }));
+
+    /**
+     * Waits for the endpoint's concurrency and politeness limits, then claims a slot.
+     * @param {Object} endpoint
+     */
+    async function acquire(endpoint) {
+        if (endpoint.active >= endpoint.config.maxConcurrent) {
+            // The slot is handed over directly by release()
+            await new Promise(resolve => endpoint.waiting.push(resolve));
+        } else {
+            endpoint.active++;
+        }
+
+        // Claim the start time before waiting, so queued queries space themselves out
+        const start = Math.max(Date.now(), endpoint.lastStart + endpoint.config.minIntervalMs);
+        endpoint.lastStart = start;
+        if (start > Date.now()) {
+            await wait(start - Date.now());
+        }
+
+        if (endpoint.config.checkStatus) {
+            await waitForSlot(endpoint);
+        }
+    }
+
+    /**
+     * Frees the endpoint slot, starting the next queued query if there is one.
+     * @param {Object} endpoint
+     */
+    function release(endpoint) {
+        const next = endpoint.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            endpoint.active--;
+        }
+    }
+
+    /**
+     * Reads the endpoint's status page and waits until it reports a free slot.
+     * If the status can't be read, the query goes ahead and relies on failover instead.
+     * @param {Object} endpoint
+     */
+    async function waitForSlot(endpoint) {
+        try {
+            const response = await fetch(getStatusUrl(endpoint.config));
+            if (!response.ok) {
+                return;
+            }
+            const { waitSeconds } = parseStatus(await response.text());
+            if (waitSeconds > 0) {
+                console.log(`Waiting ${waitSeconds} seconds for a free slot on ${endpoint.config.url}...`);
+                await wait(waitSeconds * 1000);
+            }
+        } catch (error) {
+            console.warn(`Could not read status of ${endpoint.config.url}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sends a query to one endpoint.
+     * @param {Object} endpoint
+     * @param {string} queryText
+     * @returns {Promise<{data?: Object, failover?: {retryAfter: number, reason: string}}>}
+     * Either the response data, or the reason to fail over to the next endpoint.
+     */
+    async function send(endpoint, queryText) {
+        await acquire(endpoint);
+        try {
+            let response;
+            try {
+                response = await fetch(endpoint.config.url, {
+                    method: 'POST',
+                    body: `data=${encodeURIComponent(queryText)}`,
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                });
+            } catch (error) {
+                return { failover: { retryAfter: DEFAULT_RETRY_AFTER_SECONDS, reason: error.message } };
+            }
+
+            if (FAILOVER_STATUSES.includes(response.status)) {
+                const retryAfter = Number(response.headers.get('Retry-After')) || DEFAULT_RETRY_AFTER_SECONDS;
+                return { failover: { retryAfter, reason: `error ${response.status}` } };
+            }
+
+            if (!response.ok) {
+                throw new Error(`Overpass API response error: ${response.statusText}`);
+            }
+
+            return { data: await response.json() };
+        } finally {
+            release(endpoint);
+        }
+    }
+
+    /**
+     * Picks the endpoint to send a query to: the first with a free slot, or else the one with the
+     * fewest queries running and queued for each of its slots.
+     * @param {Array<Object>} candidates - The endpoints the query hasn't been tried on yet.
+     * @returns {Object}
+     */
+    function pickEndpoint(candidates) {
+        const load = endpoint => (endpoint.active + endpoint.waiting.length) / endpoint.config.maxConcurrent;
+        return candidates.find(endpoint => endpoint.active < endpoint.config.maxConcurrent)
+            || candidates.reduce((best, endpoint) => (load(endpoint) < load(best) ? endpoint : best));
+    }
+
+    /**
+     * Sends a query to the first endpoint that answers it.
+     * @param {string} queryText - The Overpass QL query.
+     * @returns {Promise<Object>} The raw Overpass JSON.
+     * @throws {Error} If the query fails on every endpoint after all retries, or an endpoint rejects it outright.
+     */
+    async function query(queryText) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            let retryAfter = Infinity;
+
+            const untried = [...pool];
+            while (untried.length > 0) {
+                // send() claims the endpoint's slot before anything else is picked
+                const endpoint = pickEndpoint(untried);
+                untried.splice(untried.indexOf(endpoint), 1);
+
+                const result = await send(endpoint, queryText);
+                if (result.data) {
+                    return result.data;
+                }
+                console.warn(`Overpass endpoint ${endpoint.config.url} unavailable (${result.failover.reason}).`);
+                retryAfter = Math.min(retryAfter, result.failover.retryAfter);
+            }
+
+            const retriesLeft = retries - attempt;
+            if (retriesLeft > 0) {
+                console.warn(`All Overpass endpoints unavailable. Retrying in ${retryAfter} seconds... (${retriesLeft} retries left)`);
+                await wait(retryAfter * 1000);
+            }
+        }
+        throw new Error(`Overpass query failed on all ${pool.length} endpoint(s) after ${retries} retries.`);
+    }
+
+    return {
+        query,
+        endpoints: pool.map(endpoint => endpoint.config),
+        // The most queries that can usefully be in flight at once across all endpoints
+        concurrency: pool.reduce((sum, endpoint) => sum + endpoint.config.maxConcurrent, 0),
+    };
+}
+
+let defaultClient = null;
+
+/**
+ * Gets the shared client used by the build, creating it on first use from
+ * the OVERPASS_ENDPOINTS environment variable or, if that is not set, the constants.
+ * @returns {{query: function(string): Promise<Object>, endpoints: Array<Object>, concurrency: number}}
+ */
+function getOverpassClient() {
+    if (!defaultClient) {
+        const endpoints = process.env.OVERPASS_ENDPOINTS
+            ? parseEndpointsConfig(process.env.OVERPASS_ENDPOINTS)
+            : OVERPASS_ENDPOINTS;
+        defaultClient = createOverpassClient(endpoints);
+    }
+    return defaultClient;
+}
+
+/**
+ * Replaces the shared client with one for the given endpoints.
+ * @param {Array<Object>} endpoints
+ * @param {Object} [options] - As for `createOverpassClient`.
+ */
+function configureOverpassClient(endpoints, options) {
+    defaultClient = createOverpassClient(endpoints, options);
+}
+
+module.exports = {
+    createOverpassClient,
+    getOverpassClient,
+    configureOverpassClient,
+    parseEndpointsConfig,
+    parseStatus,
+};
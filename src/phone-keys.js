@@ -0,0 +1,76 @@
+const { PHONE_KEY_POLICIES } = require('./constants');
+
+/**
+ * Gets the policy for a tag key. A policy for the exact key wins over one for a prefix.
+ * @param {string} key
+ * @returns {Object|null} The policy from `PHONE_KEY_POLICIES`, or null if the key isn't checked.
+ */
+function getKeyPolicy(key) {
+    return PHONE_KEY_POLICIES.find(policy => policy.key === key)
+        || PHONE_KEY_POLICIES.find(policy => policy.prefix && key.startsWith(policy.prefix) && key.length > policy.prefix.length)
+        || null;
+}
+
+/**
+ * Gets the keys of an element whose numbers are checked, in the order of `PHONE_KEY_POLICIES`.
+ * Keys matching the same prefix are sorted by name.
+ * @param {Object} tags
+ * @returns {Array<string>}
+ */
+function getPhoneKeys(tags) {
+    const keys = Object.keys(tags).filter(key => getKeyPolicy(key));
+    const order = key => PHONE_KEY_POLICIES.indexOf(getKeyPolicy(key));
+    return keys.sort((a, b) => order(a) - order(b) || a.localeCompare(b));
+}
+
+/**
+ * Checks whether an element has at least one key whose numbers are checked.
+ * @param {Object} tags
+ * @returns {boolean}
+ */
+function hasPhoneKey(tags) {
+    return Object.keys(tags).some(key => getKeyPolicy(key));
+}
+
+/**
+ * Gets the kinds of key, in the order of `PHONE_KEY_POLICIES`.
+ * @returns {Array<string>}
+ */
+function getPhoneKinds() {
+    return [...new Set(PHONE_KEY_POLICIES.map(policy => policy.kind))];
+}
+
+/**
+ * Adds totals by kind of key to others, e.g. to add up the subdivisions of a country.
+ * @param {Object<string, {checked: number, invalid: number}>} totals - Changed in place.
+ * @param {Object<string, {checked: number, invalid: number}>|undefined} more - Stats from
+ * older builds have none.
+ * @returns {Object<string, {checked: number, invalid: number}>} The totals.
+ */
+function addKindTotals(totals, more) {
+    for (const [kind, { checked, invalid }] of Object.entries(more || {})) {
+        const kindTotals = totals[kind] || (totals[kind] = { checked: 0, invalid: 0 });
+        kindTotals.checked += checked;
+        kindTotals.invalid += invalid;
+    }
+    return totals;
+}
+
+/**
+ * Builds the Overpass tag filters that select elements with a key whose numbers are checked.
+ * @returns {Array<string>} E.g. `["phone"~".*"]`, or `[~"^phone:"~"."]` for a prefix.
+ */
+function buildOverpassTagFilters() {
+    return PHONE_KEY_POLICIES.map(policy => policy.key
+        ? `["${policy.key}"~".*"]`
+        : `[~"^${policy.prefix}"~"."]`);
+}
+
+module.exports = {
+    getKeyPolicy,
+    getPhoneKeys,
+    hasPhoneKey,
+    getPhoneKinds,
+    addKindTotals,
+    buildOverpassTagFilters,
+};
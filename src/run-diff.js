@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_DIR } = require('./history');
+const { getItemKey } = require('./data-processor');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Gets the path of the file holding the invalid items of a subdivision from the last build.
+ * It is kept with the history, so that both are carried over between builds together.
+ * @param {string} outputDir - The directory the site is written to.
+ * @param {string} countrySlug
+ * @param {string} divisionSlug
+ * @param {string} slug
+ * @returns {string}
+ */
+function getSnapshotPath(outputDir, countrySlug, divisionSlug, slug) {
+    return path.join(outputDir, HISTORY_DIR, 'items', countrySlug, divisionSlug, `${slug}.json`);
+}
+
+/**
+ * Reads the invalid items of a subdivision from the last build.
+ * @param {string} filePath - From `getSnapshotPath`.
+ * @returns {{version: number, timestamp: number, items: Object}|null} The snapshot, or null if
+ * there is none, or it is unreadable or from another version.
+ */
+function readSnapshot(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return snapshot.version === SNAPSHOT_VERSION ? snapshot : null;
+    } catch (error) {
+        console.warn(`Ignoring unreadable snapshot ${filePath}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the invalid items of a subdivision, for the next build to compare against.
+ * Only what is needed to list an item as fixed is kept, keyed by `getItemKey`.
+ * @param {string} filePath - From `getSnapshotPath`.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @param {number} timestamp - When the data was fetched, in milliseconds since the epoch.
+ */
+function saveSnapshot(filePath, invalidNumbers, timestamp) {
+    const items = {};
+    for (const item of invalidNumbers) {
+        items[getItemKey(item)] = {
+            type: item.type,
+            id: item.id,
+            name: item.name,
+            allTags: item.allTags,
+            invalidNumbers: item.invalidNumbers,
+        };
+    }
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify({ version: SNAPSHOT_VERSION, timestamp, items }));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Compares the invalid items of this build with those of the last one.
+ * @param {Object|null} snapshot - From `readSnapshot`.
+ * @param {Array<Object>} invalidNumbers - The invalid items from `validateNumbers`.
+ * @returns {{previousTimestamp: number, newKeys: Set<string>, fixed: Array<Object>, stillOpenCount: number}|null}
+ * The keys of the items that are newly invalid, the items from the last build that are no longer
+ * invalid, and how many are invalid in both. Null if there is no last build to compare with,
+ * since then every item would count as new.
+ */
+function diffRuns(snapshot, invalidNumbers) {
+    if (!snapshot) {
+        return null;
+    }
+
+    const currentKeys = new Set(invalidNumbers.map(getItemKey));
+    const newKeys = new Set([...currentKeys].filter(key => !snapshot.items[key]));
+    const fixed = Object.entries(snapshot.items)
+        .filter(([key]) => !currentKeys.has(key))
+        .map(([, item]) => item);
+
+    return {
+        previousTimestamp: snapshot.timestamp,
+        newKeys,
+        fixed,
+        stillOpenCount: currentKeys.size - newKeys.size,
+    };
+}
+
+module.exports = {
+    getSnapshotPath,
+    readSnapshot,
+    saveSnapshot,
+    diffRuns,
+};
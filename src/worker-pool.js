@@ -0,0 +1,63 @@
+/**
+ * Creates a pool that runs at most `limit` asynchronous tasks at the same time.
+ * Tasks start in the order they were submitted, as earlier ones finish.
+ * @param {number} limit - The maximum number of tasks to run at once.
+ * @returns {{run: function(function(): Promise<*>): Promise<*>, limit: number}}
+ * `run` queues a task and resolves or rejects with its result.
+ */
+function createWorkerPool(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Worker pool limit must be a positive integer, got ${limit}.`);
+    }
+
+    let active = 0;
+    const queue = [];
+
+    /**
+     * Starts queued tasks while there are free workers.
+     */
+    function startNext() {
+        while (active < limit && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    startNext();
+                });
+        }
+    }
+
+    /**
+     * Queues a task to run when a worker is free.
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The result of the task.
+     */
+    function run(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            startNext();
+        });
+    }
+
+    return { run, limit };
+}
+
+/**
+ * Runs a function over every item using a worker pool, and returns the results in the
+ * same order as the items, however the tasks happened to finish.
+ * @param {{run: Function}} pool - A pool from `createWorkerPool`.
+ * @param {Array<*>} items
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index.
+ * @returns {Promise<Array<*>>}
+ */
+function mapInPool(pool, items, fn) {
+    return Promise.all(items.map((item, index) => pool.run(() => fn(item, index))));
+}
+
+module.exports = {
+    createWorkerPool,
+    mapInPool,
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MAX_FEED_ENTRIES,
+    getFeedEntriesPath,
+    getCountryFeedPath,
+    createFeedEntries,
+    readFeedEntries,
+    addFeedEntries,
+    createAtomFeed,
+    writeSubdivisionFeed,
+    writeCountryFeed,
+} = require('../src/atom-feed');
+
+const START = Date.UTC(2025, 0, 1, 6);
+const REPORT_PATH = 'belgium/brussels/ixelles.html';
+
+const ITEM = {
+    type: 'node',
+    id: 1,
+    osmUrl: 'https://www.openstreetmap.org/node/1',
+    name: 'Bakery & Café',
+    allTags: { shop: 'bakery', phone: '02 555 12 12' },
+    invalidNumbers: { phone: '02 555 12 12' },
+    suggestedFixes: { phone: '+32 2 555 12 12' },
+    autoFixable: true,
+};
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-feed-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('createFeedEntries', () => {
+    test('only has the new items', () => {
+        const other = { ...ITEM, id: 2, name: undefined };
+        const entries = createFeedEntries([ITEM, other], new Set(['node-2']), REPORT_PATH, START, 'en-GB');
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ key: 'node-2', reportPath: REPORT_PATH, detectedAt: START });
+        expect(entries[0].name).toBe('Bakery');
+    });
+});
+
+describe('addFeedEntries', () => {
+    test('keeps the entries of earlier builds, newest first', () => {
+        const filePath = getFeedEntriesPath(outputDir, 'belgium', 'brussels', 'ixelles');
+        const first = createFeedEntries([ITEM], new Set(['node-1']), REPORT_PATH, START, 'en-GB');
+        const second = createFeedEntries([{ ...ITEM, id: 2 }], new Set(['node-2']), REPORT_PATH, START + 1000, 'en-GB');
+
+        addFeedEntries(filePath, first);
+        const entries = addFeedEntries(filePath, second);
+
+        expect(entries.map(entry => entry.key)).toEqual(['node-2', 'node-1']);
+        expect(readFeedEntries(filePath)).toEqual(entries);
+    });
+
+    test('drops the oldest entries', () => {
+        const filePath = getFeedEntriesPath(outputDir, 'belgium', 'brussels', 'ixelles');
+        const items = Array.from({ length: MAX_FEED_ENTRIES + 5 }, (_, index) => ({ ...ITEM, id: index }));
+        const keys = new Set(items.map(item => `node-${item.id}`));
+
+        addFeedEntries(filePath, createFeedEntries(items.slice(0, 5), keys, REPORT_PATH, START, 'en-GB'));
+        const entries = addFeedEntries(filePath, createFeedEntries(items.slice(5), keys, REPORT_PATH, START + 1000, 'en-GB'));
+
+        expect(entries).toHaveLength(MAX_FEED_ENTRIES);
+        expect(entries.every(entry => entry.detectedAt === START + 1000)).toBe(true);
+    });
+
+    test('ignores unreadable entries', () => {
+        const filePath = getFeedEntriesPath(outputDir, 'belgium', 'brussels', 'ixelles');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '{not json');
+
+        expect(readFeedEntries(filePath)).toEqual([]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('createAtomFeed', () => {
+    const feed = {
+        title: 'New invalid phone numbers - Ixelles',
+        feedPath: 'belgium/brussels/ixelles.atom',
+        pagePath: REPORT_PATH,
+        updated: START,
+    };
+
+    test('links each entry to the OSM element and the report', () => {
+        const entries = createFeedEntries([ITEM], new Set(['node-1']), REPORT_PATH, START, 'en-GB');
+        const xml = createAtomFeed(feed, entries, 'en-GB');
+
+        expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">');
+        expect(xml).toContain('<link rel="self" type="application/atom+xml" href="https://arrival-spring.github.io/osm-phones/belgium/brussels/ixelles.atom"/>');
+        expect(xml).toContain('<updated>2025-01-01T06:00:00.000Z</updated>');
+        expect(xml).toContain('<title>Bakery &amp; Café</title>');
+        expect(xml).toContain('<link rel="alternate" href="https://www.openstreetmap.org/node/1"/>');
+        expect(xml).toContain('<link rel="related" type="text/html" href="https://arrival-spring.github.io/osm-phones/belgium/brussels/ixelles.html#node-1"/>');
+        expect(xml).toContain('Suggested fix: +32 2 555 12 12');
+        expect(xml.match(/<entry>/g)).toHaveLength(1);
+    });
+
+    test('encodes paths with accents', () => {
+        const xml = createAtomFeed({ ...feed, feedPath: 'belgië/brussel.atom' }, [], 'nl-BE');
+        expect(xml).toContain('href="https://arrival-spring.github.io/osm-phones/belgi%C3%AB/brussel.atom"');
+        expect(xml).not.toContain('<entry>');
+    });
+});
+
+describe('writeSubdivisionFeed', () => {
+    test('escapes the names in the title once', async () => {
+        fs.mkdirSync(path.join(outputDir, 'cote-d-ivoire', 'abidjan'), { recursive: true });
+
+        await writeSubdivisionFeed(
+            outputDir,
+            { name: "Côte d'Ivoire", slug: 'cote-d-ivoire' },
+            { name: 'Cocody & Plateau', divisionSlug: 'abidjan', slug: 'cocody-plateau' },
+            [],
+            'en-GB',
+            START
+        );
+
+        const xml = fs.readFileSync(path.join(outputDir, 'cote-d-ivoire', 'abidjan', 'cocody-plateau.atom'), 'utf8');
+        expect(xml).toContain('<title>New invalid phone numbers - Cocody &amp; Plateau, Côte d&#039;Ivoire</title>');
+        expect(xml).not.toContain('&amp;#039;');
+    });
+});
+
+describe('writeCountryFeed', () => {
+    test('joins the entries of every subdivision', () => {
+        addFeedEntries(
+            getFeedEntriesPath(outputDir, 'belgium', 'brussels', 'ixelles'),
+            createFeedEntries([ITEM], new Set(['node-1']), REPORT_PATH, START, 'en-GB')
+        );
+        addFeedEntries(
+            getFeedEntriesPath(outputDir, 'belgium', 'brussels', 'uccle'),
+            createFeedEntries([{ ...ITEM, id: 2 }], new Set(['node-2']), 'belgium/brussels/uccle.html', START + 1000, 'en-GB')
+        );
+        fs.mkdirSync(path.join(outputDir, 'belgium'));
+
+        writeCountryFeed(outputDir, {
+            name: 'Belgium',
+            slug: 'belgium',
+            locale: 'en-GB',
+            groupedDivisionStats: {
+                Brussels: [
+                    { divisionSlug: 'brussels', slug: 'ixelles' },
+                    { divisionSlug: 'brussels', slug: 'uccle', dataUnavailable: true },
+                ],
+            },
+        }, START + 2000);
+
+        const xml = fs.readFileSync(getCountryFeedPath(outputDir, 'belgium'), 'utf8');
+        expect(xml).toContain('<title>New invalid phone numbers - Belgium</title>');
+        expect(xml.indexOf('uccle.html#node-2')).toBeLessThan(xml.indexOf('ixelles.html#node-1'));
+    });
+
+    test('escapes the country name in the title once', () => {
+        fs.mkdirSync(path.join(outputDir, 'cote-d-ivoire'));
+
+        writeCountryFeed(outputDir, {
+            name: "Côte d'Ivoire",
+            slug: 'cote-d-ivoire',
+            locale: 'en-GB',
+            groupedDivisionStats: {},
+        }, START);
+
+        const xml = fs.readFileSync(getCountryFeedPath(outputDir, 'cote-d-ivoire'), 'utf8');
+        expect(xml).toContain('<title>New invalid phone numbers - Côte d&#039;Ivoire</title>');
+        expect(xml).not.toContain('&amp;#039;');
+    });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MANIFEST_FILE, getManifestKey, openBuildManifest } = require('../src/build-manifest');
+
+const STATS = { name: 'East', divisionSlug: 'belgium', slug: 'east', invalidCount: 1, autoFixableCount: 0, totalNumbers: 4 };
+const KEY = getManifestKey('belgium', 'belgium', 'east');
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-manifest-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+/**
+ * Writes a report file, as the build would.
+ * @param {string} outputPath - Relative to the output directory.
+ */
+function writeReport(outputPath) {
+    fs.mkdirSync(path.dirname(path.join(outputDir, outputPath)), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, outputPath), '<html></html>');
+}
+
+describe('getManifestKey', () => {
+    test('joins the slugs', () => {
+        expect(getManifestKey('france', 'corsica', 'haute-corse')).toBe('france/corsica/haute-corse');
+        expect(getManifestKey('france', 'corsica')).toBe('france/corsica');
+    });
+});
+
+describe('openBuildManifest', () => {
+    test('starts empty when there is no manifest', () => {
+        const manifest = openBuildManifest(outputDir);
+        expect(manifest.getCompleted(KEY, 3600, false)).toBeNull();
+        expect(manifest.getSubdivisions('belgium/belgium', 3600)).toBeNull();
+    });
+
+    test('persists completed subdivisions for the next build', () => {
+        const outputPath = path.join('belgium', 'belgium', 'east.html');
+        writeReport(outputPath);
+        openBuildManifest(outputDir).recordCompleted(KEY, { fetchedAt: Date.now(), elementCount: 5, stats: STATS, outputPath });
+
+        const entry = openBuildManifest(outputDir).getCompleted(KEY, 3600, true);
+        expect(entry).toMatchObject({ elementCount: 5, stats: STATS, outputPath });
+        expect(fs.readdirSync(outputDir)).toEqual(expect.arrayContaining([MANIFEST_FILE]));
+        expect(fs.readdirSync(outputDir).some(file => file.endsWith('.tmp'))).toBe(false);
+    });
+
+    test('persists the subdivisions of a division', () => {
+        const subdivisions = [{ name: 'West', id: 11 }, { name: 'East', id: 12 }];
+        openBuildManifest(outputDir).recordSubdivisions('belgium/belgium', subdivisions);
+        expect(openBuildManifest(outputDir).getSubdivisions('belgium/belgium', 3600)).toEqual(subdivisions);
+    });
+
+    test('does not count entries older than the window as completed', () => {
+        const manifest = openBuildManifest(outputDir);
+        manifest.recordCompleted(KEY, { fetchedAt: Date.now() - 2 * 3600 * 1000, elementCount: 5, stats: STATS, outputPath: null });
+        expect(manifest.getCompleted(KEY, 3600, false)).toBeNull();
+        expect(manifest.getCompleted(KEY, 3 * 3600, false)).not.toBeNull();
+    });
+
+    test('does not count an entry as completed if its report is needed but missing', () => {
+        const manifest = openBuildManifest(outputDir);
+        manifest.recordCompleted(KEY, { fetchedAt: Date.now(), elementCount: 5, stats: STATS, outputPath: 'belgium/belgium/east.html' });
+        expect(manifest.getCompleted(KEY, 3600, true)).toBeNull();
+        expect(manifest.getCompleted(KEY, 3600, false)).not.toBeNull();
+
+        manifest.recordCompleted(KEY, { fetchedAt: Date.now(), elementCount: 5, stats: STATS, outputPath: null });
+        expect(manifest.getCompleted(KEY, 3600, true)).toBeNull();
+    });
+
+    test('ignores an unreadable manifest', () => {
+        fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), '{"version": 1, "subdiv');
+        expect(openBuildManifest(outputDir).getCompleted(KEY, 3600, false)).toBeNull();
+    });
+});
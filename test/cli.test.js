@@ -0,0 +1,110 @@
+const path = require('path');
+const { PUBLIC_DIR } = require('../src/constants');
+const { parseCliArgs, matchesFilter, selectCountries } = require('../src/cli');
+const { UsageError } = require('../src/errors');
+
+const COUNTRIES = {
+    'France': { name: 'France', countryCode: 'FR' },
+    'South Africa': { name: 'South Africa', countryCode: 'ZA' },
+    'United Kingdom': { name: 'United Kingdom', countryCode: 'GB' },
+};
+
+describe('parseCliArgs', () => {
+    test('defaults to a full build into the public directory', () => {
+        expect(parseCliArgs([], {})).toEqual({
+            help: false,
+            country: null,
+            division: null,
+            subdivision: null,
+            statsOnly: false,
+            dryRun: false,
+            resume: false,
+            resumeWindow: 86400,
+            outputDir: PUBLIC_DIR,
+            extract: null,
+            replay: false,
+            cacheTtl: 0,
+            concurrency: null,
+            tileUrl: null,
+            tileAttribution: null,
+            mapLibraryUrl: null,
+            simplified: false,
+        });
+    });
+
+    test('parses the long and short options', () => {
+        const options = parseCliArgs(['-c', 'ZA', '--division', 'Gauteng', '-s', 'city-of-johannesburg', '--stats-only', '-o', 'out'], {});
+        expect(options).toMatchObject({
+            country: 'ZA',
+            division: 'Gauteng',
+            subdivision: 'city-of-johannesburg',
+            statsOnly: true,
+            outputDir: path.resolve('out'),
+        });
+    });
+
+    test('falls back to the environment variables', () => {
+        const env = { OSM_EXTRACT: 'za.osm.pbf', OVERPASS_CACHE_TTL: '3600', BUILD_CONCURRENCY: '4', BUILD_TYPE: 'simplified' };
+        expect(parseCliArgs([], env)).toMatchObject({ extract: 'za.osm.pbf', cacheTtl: 3600, concurrency: 4, simplified: true });
+    });
+
+    test('parses the resume options', () => {
+        expect(parseCliArgs(['--resume', '--resume-window', '3600'], {})).toMatchObject({ resume: true, resumeWindow: 3600 });
+        expect(parseCliArgs(['--resume'], { RESUME_WINDOW: '60' })).toMatchObject({ resume: true, resumeWindow: 60 });
+    });
+
+    test('parses the map tile options', () => {
+        const env = { MAP_TILE_URL: 'https://tiles.example/{z}/{x}/{y}.png', MAP_TILE_ATTRIBUTION: 'Example' };
+        expect(parseCliArgs([], env)).toMatchObject({ tileUrl: 'https://tiles.example/{z}/{x}/{y}.png', tileAttribution: 'Example' });
+        expect(parseCliArgs(['--tile-url', 'http://localhost:8080/{z}/{x}/{y}.png'], env)).toMatchObject({ tileUrl: 'http://localhost:8080/{z}/{x}/{y}.png' });
+    });
+
+    test('parses the map library option', () => {
+        expect(parseCliArgs([], { MAP_LIBRARY_URL: 'https://example.org/vendor' })).toMatchObject({ mapLibraryUrl: 'https://example.org/vendor' });
+        expect(parseCliArgs(['--map-library-url', '../../vendor'], {})).toMatchObject({ mapLibraryUrl: '../../vendor' });
+    });
+
+    test('prefers options over environment variables', () => {
+        const env = { OSM_EXTRACT: 'za.osm.pbf', BUILD_CONCURRENCY: '4' };
+        expect(parseCliArgs(['--extract', 'fr.osm.pbf', '--concurrency', '2'], env)).toMatchObject({ extract: 'fr.osm.pbf', concurrency: 2 });
+    });
+
+    test.each([
+        [['--unknown']],
+        [['positional']],
+        [['--concurrency', '0']],
+        [['--cache-ttl', 'soon']],
+        [['--stats-only', '--dry-run']],
+    ])('rejects %j', (argv) => {
+        expect(() => parseCliArgs(argv, {})).toThrow(UsageError);
+    });
+});
+
+describe('matchesFilter', () => {
+    test('matches everything without a filter', () => {
+        expect(matchesFilter('Corsica', null)).toBe(true);
+    });
+
+    test('matches by name or slug, ignoring case', () => {
+        expect(matchesFilter('Haute-Corse', 'haute-corse')).toBe(true);
+        expect(matchesFilter('Haute-Corse', 'HAUTE CORSE')).toBe(true);
+        expect(matchesFilter('Gauteng', 'gauteng')).toBe(true);
+        expect(matchesFilter('Gauteng', 'Limpopo')).toBe(false);
+    });
+});
+
+describe('selectCountries', () => {
+    test('returns every country without a filter', () => {
+        expect(selectCountries(COUNTRIES, null)).toHaveLength(3);
+    });
+
+    test('selects a country by key, slug or ISO code', () => {
+        expect(selectCountries(COUNTRIES, 'France')).toEqual([COUNTRIES['France']]);
+        expect(selectCountries(COUNTRIES, 'south-africa')).toEqual([COUNTRIES['South Africa']]);
+        expect(selectCountries(COUNTRIES, 'gb')).toEqual([COUNTRIES['United Kingdom']]);
+    });
+
+    test('lists the available countries when nothing matches', () => {
+        expect(() => selectCountries(COUNTRIES, 'Atlantis')).toThrow(/France \(FR\)/);
+    });
+});
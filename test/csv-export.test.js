@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFeatureTypeName } = require('../src/data-processor');
+const {
+    CSV_COLUMNS,
+    getCountryCsvPath,
+    formatCsvField,
+    createCsvRows,
+    createCsv,
+    writeSubdivisionCsv,
+    writeCountryCsv,
+} = require('../src/csv-export');
+
+const AREA = { division: 'Brussels', subdivision: 'Ixelles' };
+
+const ITEM = {
+    type: 'node',
+    id: 1,
+    osmUrl: 'https://www.openstreetmap.org/node/1',
+    lat: 50.8,
+    lon: 4.3,
+    name: 'Bakery',
+    website: 'https://example.com',
+    allTags: { shop: 'bakery', phone: '02 555 12 12', fax: 'none' },
+    invalidNumbers: { phone: '02 555 12 12', fax: 'none' },
+    suggestedFixes: { phone: '+32 2 555 12 12', fax: null },
+    autoFixable: false,
+};
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-csv-'));
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+describe('formatCsvField', () => {
+    test('quotes fields with commas, quotes and line breaks', () => {
+        expect(formatCsvField('Café, Bar')).toBe('"Café, Bar"');
+        expect(formatCsvField('The "Bar"')).toBe('"The ""Bar"""');
+        expect(formatCsvField('a\nb')).toBe('"a\nb"');
+    });
+
+    test('keeps text from being read as a formula', () => {
+        expect(formatCsvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+        expect(formatCsvField('@x')).toBe("'@x");
+        expect(formatCsvField('\t1')).toBe("'\t1");
+        expect(formatCsvField('\r1')).toBe('"\'\r1"');
+        expect(formatCsvField('+HYPERLINK("x")')).toBe('"\'+HYPERLINK(""x"")"');
+        expect(formatCsvField('-2+3+cmd|\' /C calc\'!A0')).toBe("'-2+3+cmd|' /C calc'!A0");
+        expect(formatCsvField('+32 2 555 12 12;ext=4')).toBe("'+32 2 555 12 12;ext=4");
+    });
+
+    test('leaves phone numbers starting with + or - as they are', () => {
+        expect(formatCsvField('+32 2 555 12 12')).toBe('+32 2 555 12 12');
+        expect(formatCsvField('+1 (213) 373-4253')).toBe('+1 (213) 373-4253');
+        expect(formatCsvField('+32.2.555.12.12')).toBe('+32.2.555.12.12');
+        expect(formatCsvField('+32/2/555')).toBe('+32/2/555');
+        expect(formatCsvField('-')).toBe('-');
+    });
+
+    test('keeps the + or leading zero of numbers without spaces', () => {
+        expect(formatCsvField('+3225551212')).toBe("'+3225551212");
+        expect(formatCsvField('025551212')).toBe("'025551212");
+        expect(formatCsvField('112')).toBe('112');
+        expect(formatCsvField('0')).toBe('0');
+    });
+
+    test('writes numbers, booleans and missing values', () => {
+        expect(formatCsvField(-4.5)).toBe('-4.5');
+        expect(formatCsvField(true)).toBe('yes');
+        expect(formatCsvField(false)).toBe('no');
+        expect(formatCsvField(null)).toBe('');
+        expect(formatCsvField(undefined)).toBe('');
+    });
+});
+
+describe('createCsvRows', () => {
+    test('has a row for each invalid tag', () => {
+        expect(createCsvRows([ITEM], 'en-GB', AREA)).toEqual([
+            ['Brussels', 'Ixelles', 'node', 1, 'Bakery', 'phone', '02 555 12 12', '+32 2 555 12 12', true, false, 'https://example.com', 50.8, 4.3, 'https://www.openstreetmap.org/node/1'],
+            ['Brussels', 'Ixelles', 'node', 1, 'Bakery', 'fax', 'none', null, false, false, 'https://example.com', 50.8, 4.3, 'https://www.openstreetmap.org/node/1'],
+        ]);
+    });
+
+    test('suggests removing a tag that repeats another', () => {
+        const item = {
+            ...ITEM,
+            allTags: { phone: '+32 2 555 12 12', 'contact:phone': '+32 2 555 12 12' },
+            invalidNumbers: { 'contact:phone': '+32 2 555 12 12' },
+            suggestedFixes: {},
+            redundantTags: { 'contact:phone': 'phone' },
+        };
+        const [row] = createCsvRows([item], 'en-GB', AREA);
+        expect(row.slice(5, 9)).toEqual(['contact:phone', '+32 2 555 12 12', 'remove (duplicate of phone)', true]);
+    });
+
+    test('names features without a name and marks disused ones', () => {
+        const item = { ...ITEM, name: undefined, website: undefined, allTags: { 'disused:shop': 'bakery', phone: '02 555 12 12' } };
+        const [row] = createCsvRows([item], 'en-GB', AREA);
+        expect(row[4]).toBe(getFeatureTypeName(item, 'en-GB'));
+        expect(row[9]).toBe(true);
+        expect(row[10]).toBeNull();
+    });
+});
+
+describe('createCsv', () => {
+    test('starts with a byte order mark and the header, and uses CRLF', () => {
+        const csv = createCsv(createCsvRows([ITEM], 'en-GB', AREA));
+        const lines = csv.split('\r\n');
+
+        expect(csv.startsWith('\uFEFF')).toBe(true);
+        expect(lines[0]).toBe('\uFEFF' + CSV_COLUMNS.join(','));
+        expect(lines[1]).toBe("Brussels,Ixelles,node,1,Bakery,phone,02 555 12 12,+32 2 555 12 12,yes,no,https://example.com,50.8,4.3,https://www.openstreetmap.org/node/1");
+        expect(lines).toHaveLength(4);
+        expect(lines[3]).toBe('');
+    });
+});
+
+describe('writeCountryCsv', () => {
+    test('joins the CSV of each available subdivision', async () => {
+        const divisionDir = path.join(outputDir, 'belgium', 'brussels');
+        fs.mkdirSync(divisionDir, { recursive: true });
+        await writeSubdivisionCsv(divisionDir, 'ixelles', [ITEM], 'en-GB', AREA);
+        await writeSubdivisionCsv(divisionDir, 'uccle', [{ ...ITEM, id: 2 }], 'en-GB', { ...AREA, subdivision: 'Uccle' });
+        await writeSubdivisionCsv(divisionDir, 'etterbeek', [{ ...ITEM, id: 3 }], 'en-GB', { ...AREA, subdivision: 'Etterbeek' });
+
+        writeCountryCsv(outputDir, {
+            slug: 'belgium',
+            groupedDivisionStats: {
+                Brussels: [
+                    { divisionSlug: 'brussels', slug: 'ixelles' },
+                    { divisionSlug: 'brussels', slug: 'uccle' },
+                    { divisionSlug: 'brussels', slug: 'etterbeek', dataUnavailable: true },
+                    { divisionSlug: 'brussels', slug: 'missing' },
+                ],
+            },
+        });
+
+        const lines = fs.readFileSync(getCountryCsvPath(outputDir, 'belgium'), 'utf8').split('\r\n');
+        expect(getCountryCsvPath(outputDir, 'belgium')).toBe(path.join(outputDir, 'belgium', 'belgium.csv'));
+        expect(lines[0]).toBe('\uFEFF' + CSV_COLUMNS.join(','));
+        expect(lines.slice(1, -1).map(line => line.split(',').slice(1, 4))).toEqual([
+            ['Ixelles', 'node', '1'],
+            ['Ixelles', 'node', '1'],
+            ['Uccle', 'node', '2'],
+            ['Uccle', 'node', '2'],
+        ]);
+    });
+});
@@ -5,9 +5,13 @@ const {
     processSingleNumber,
     validateNumbers,
     getFeatureTypeName,
+    getPresetName,
     isDisused,
-    validateSingleTag
+    validateSingleTag,
+    getNumberTypeWarnings,
+    preNormalizeNumber
 } = require('../src/data-processor');
+const { getKeyPolicy } = require('../src/phone-keys');
 
 const SAMPLE_COUNTRY_CODE_GB = 'GB';
 const SAMPLE_COUNTRY_CODE_US = 'US';
@@ -145,7 +149,8 @@ describe('checkExclusions', () => {
         const expected = {
             isInvalid: false,
             autoFixable: true,
-            suggestedFix: excludedNumber
+            suggestedFix: excludedNumber,
+            exclusion: { id: 'fr-la-poste-3631', reason: expect.any(String) }
         };
         expect(checkExclusions(phoneNumber, FR, requiredTags)).toEqual(expected);
     });
@@ -156,7 +161,8 @@ describe('checkExclusions', () => {
         const expected = {
             isInvalid: false,
             autoFixable: true,
-            suggestedFix: excludedNumber
+            suggestedFix: excludedNumber,
+            exclusion: { id: 'fr-la-poste-3631', reason: expect.any(String) }
         };
         expect(checkExclusions(phoneNumber, FR, combinedTags)).toEqual(expected);
     });
@@ -276,6 +282,25 @@ describe('processSingleNumber', () => {
         const result = processSingleNumber('+1-213-373-4253', SAMPLE_COUNTRY_CODE_US);
         expect(result.isInvalid).toBe(false);
     });
+
+    // --- Key policies ---
+
+    test('a fixed line is invalid and unfixable where only mobiles are allowed', () => {
+        const result = processSingleNumber('+44 20 7946 0000', SAMPLE_COUNTRY_CODE_GB, {}, null, getKeyPolicy('contact:whatsapp'));
+        expect(result.isInvalid).toBe(true);
+        expect(result.autoFixable).toBe(false);
+        expect(result.suggestedFix).toBe(null);
+    });
+
+    test('a mobile is valid where only mobiles are allowed', () => {
+        const result = processSingleNumber('+44 7712 900000', SAMPLE_COUNTRY_CODE_GB, {}, null, getKeyPolicy('contact:whatsapp'));
+        expect(result.isInvalid).toBe(false);
+    });
+
+    test('short numbers are only valid where the policy allows them', () => {
+        expect(processSingleNumber('112', SAMPLE_COUNTRY_CODE_GB, {}, null, getKeyPolicy('emergency:phone')).isInvalid).toBe(false);
+        expect(processSingleNumber('112', SAMPLE_COUNTRY_CODE_GB, {}, null, getKeyPolicy('phone')).isInvalid).toBe(true);
+    });
 });
 
 // =====================================================================
@@ -551,10 +576,51 @@ describe('validateNumbers', () => {
             'contact:phone': FIXABLE_LANDLINE_INPUT,
             'contact:mobile': FIXABLE_MOBILE_INPUT,
         });
+        // contact:phone has the same number as phone, so it is removed rather than fixed
         expect(invalidItem.suggestedFixes).toEqual({
-            'contact:phone': FIXABLE_LANDLINE_SUGGESTED_FIX,
+            'contact:phone': null,
             'contact:mobile': FIXABLE_MOBILE_SUGGESTED_FIX,
         });
+        expect(invalidItem.redundantTags).toEqual({ 'contact:phone': 'phone' });
+    });
+
+    test('should keep a tag with a number of its own, and ignore other kinds of key', () => {
+        const elements = [
+            {
+                type: 'node',
+                id: 8008,
+                tags: {
+                    phone: VALID_LANDLINE,
+                    'contact:phone': `${VALID_LANDLINE}; +44 7712 900000`,
+                    fax: VALID_LANDLINE,
+                },
+                lat: 51.5,
+                lon: 0.0,
+            },
+        ];
+
+        const result = validateNumbers(elements, COUNTRY_CODE);
+
+        expect(result.invalidNumbers).toHaveLength(0);
+    });
+
+    test('should remove a number repeated within a tag', () => {
+        const elements = [
+            {
+                type: 'node',
+                id: 9009,
+                tags: { phone: `${VALID_LANDLINE}; ${FIXABLE_LANDLINE_INPUT}; +44 7712 900000` },
+                lat: 51.5,
+                lon: 0.0,
+            },
+        ];
+
+        const result = validateNumbers(elements, COUNTRY_CODE);
+
+        expect(result.invalidNumbers).toHaveLength(1);
+        expect(result.invalidNumbers[0].autoFixable).toBe(true);
+        expect(result.invalidNumbers[0].suggestedFixes).toEqual({ phone: `${VALID_LANDLINE}; +44 7712 900000` });
+        expect(result.invalidNumbers[0].redundantTags).toEqual({ phone: 'phone' });
     });
 
     test('should correctly process website tag (without protocol) and include protocol in base item', () => {
@@ -662,4 +728,287 @@ describe('validateNumbers', () => {
             'phone': FIXABLE_LANDLINE_SUGGESTED_FIX,
         });
     });
-});
\ No newline at end of file
+
+    test('checks the other contact keys and totals them by kind', () => {
+        const elements = [
+            {
+                type: 'node',
+                id: 6006,
+                tags: {
+                    phone: VALID_LANDLINE,
+                    'phone:en': FIXABLE_LANDLINE_INPUT,
+                    fax: VALID_LANDLINE,
+                    'contact:whatsapp': VALID_LANDLINE,
+                    'emergency:phone': '999',
+                },
+                lat: 51.5,
+                lon: 0.0,
+            },
+        ];
+
+        const result = validateNumbers(elements, COUNTRY_CODE);
+
+        expect(result.totalNumbers).toBe(5);
+        expect(result.invalidNumbers[0].invalidNumbers).toEqual({
+            'phone:en': FIXABLE_LANDLINE_INPUT,
+            'contact:whatsapp': VALID_LANDLINE,
+        });
+        expect(result.invalidNumbers[0].autoFixable).toBe(false);
+        expect(result.totalsByKind).toEqual({
+            phone: { checked: 2, invalid: 1 },
+            fax: { checked: 1, invalid: 0 },
+            emergency: { checked: 1, invalid: 0 },
+            whatsapp: { checked: 1, invalid: 1 },
+        });
+    });
+});
+
+// =====================================================================
+// getNumberTypeWarnings Tests
+// =====================================================================
+describe('getNumberTypeWarnings', () => {
+    const COUNTRY_CODE = 'GB';
+
+    /**
+     * Gets the warnings for one tag, as `validateNumbers` does.
+     * @param {string} tag
+     * @param {Object} tags - All the tags of the element, including the one checked.
+     * @returns {Array<string>}
+     */
+    const getWarnings = (tag, tags) => {
+        const policy = getKeyPolicy(tag);
+        const { numberTypes } = validateSingleTag(tags[tag], COUNTRY_CODE, tags, null, policy);
+        return getNumberTypeWarnings(tag, policy, numberTypes, tags);
+    };
+
+    test('warns about a landline in a mobile tag', () => {
+        expect(getWarnings('mobile', { mobile: '+44 20 7946 0000' })).toEqual(['landlineAsMobile']);
+        expect(getWarnings('contact:mobile', { 'contact:mobile': '+44 7712 900000' })).toEqual([]);
+    });
+
+    test('warns about only mobiles in phone when there is no mobile tag', () => {
+        expect(getWarnings('phone', { phone: '+44 7712 900000' })).toEqual(['mobileAsPhone']);
+        expect(getWarnings('phone', { phone: '+44 7712 900000; +44 20 7946 0000' })).toEqual([]);
+        expect(getWarnings('phone', { phone: '+44 7712 900000', mobile: '+44 7712 900001' })).toEqual([]);
+    });
+
+    test('warns about premium-rate numbers only on some amenities', () => {
+        expect(getWarnings('phone', { phone: '+44 909 876 5432', amenity: 'hospital' })).toEqual(['premiumRate']);
+        expect(getWarnings('phone', { phone: '+44 909 876 5432', shop: 'mobile_phone' })).toEqual([]);
+    });
+
+    test('warns about pager and VoIP numbers', () => {
+        expect(getWarnings('phone', { phone: '+44 76 2345 6789' })).toEqual(['pager']);
+        expect(getWarnings('phone', { phone: '+44 56 1234 5678' })).toEqual(['voip']);
+    });
+
+    test('warns even if the number also needs formatting', () => {
+        expect(getWarnings('mobile', { mobile: '020 7946 0000' })).toEqual(['landlineAsMobile']);
+    });
+
+    test('validateNumbers lists the warnings separately from the invalid numbers', () => {
+        const elements = [
+            { type: 'node', id: 7007, tags: { mobile: '+44 20 7946 0000', name: 'Shop' }, lat: 51.5, lon: 0.0 },
+        ];
+
+        const result = validateNumbers(elements, COUNTRY_CODE);
+
+        expect(result.invalidNumbers).toHaveLength(0);
+        expect(result.warnedNumbers).toEqual([expect.objectContaining({
+            id: 7007,
+            tag: 'mobile',
+            value: '+44 20 7946 0000',
+            warnings: ['landlineAsMobile'],
+        })]);
+    });
+});
+
+// =====================================================================
+// Foreign numbers
+// =====================================================================
+describe('foreign numbers', () => {
+    // In Baarle-Hertog, Belgium, next to Baarle-Nassau in the Netherlands
+    const BAARLE = { type: 'node', id: 1, lat: 51.44, lon: 4.93 };
+    const BRUSSELS = { type: 'node', id: 2, lat: 50.85, lon: 4.35 };
+    const SAN_MARINO = { type: 'node', id: 3, lat: 43.93, lon: 12.45 };
+
+    test('a number with the country code of another country is valid, and foreign', () => {
+        const result = processSingleNumber('+31 13 507 9999', 'BE', {}, BRUSSELS);
+        expect(result.isInvalid).toBe(false);
+        expect(result.foreignCountry).toBe('NL');
+    });
+
+    test('a number from the country itself is not foreign', () => {
+        expect(processSingleNumber('+32 2 555 12 12', 'BE').foreignCountry).toBeUndefined();
+        expect(processSingleNumber('+39 06 6988 1234', 'IT').foreignCountry).toBeUndefined();
+    });
+
+    test('US: a foreign number keeps its own format', () => {
+        const result = processSingleNumber('+33 1 23 45 67 89', SAMPLE_COUNTRY_CODE_US);
+        expect(result.isInvalid).toBe(false);
+        expect(result.suggestedFix).toBe('+33 1 23 45 67 89');
+    });
+
+    test('a neighbour\'s number without a country code is foreign in a border area', () => {
+        const result = processSingleNumber('013 507 9999', 'BE', {}, BAARLE);
+        expect(result.isInvalid).toBe(false);
+        expect(result.foreignCountry).toBe('NL');
+        expect(result.suggestedFix).toBe('+31 13 507 9999');
+    });
+
+    test('a neighbour\'s number without a country code is invalid away from the border', () => {
+        const result = processSingleNumber('013 507 9999', 'BE', {}, BRUSSELS);
+        expect(result.isInvalid).toBe(true);
+        expect(result.foreignCountry).toBeUndefined();
+    });
+
+    test('a preferred neighbour\'s plan is tried first', () => {
+        expect(processSingleNumber('0549 888888', 'IT', {}, SAN_MARINO)).toMatchObject({
+            isInvalid: false,
+            foreignCountry: 'SM',
+            suggestedFix: '+378 0549 888888',
+        });
+        expect(processSingleNumber('0541 123456', 'IT', {}, SAN_MARINO).foreignCountry).toBeUndefined();
+    });
+
+    test('validateNumbers lists the foreign numbers separately', () => {
+        const elements = [
+            { ...BAARLE, tags: { phone: '013 507 9999', name: 'Café' } },
+        ];
+
+        const result = validateNumbers(elements, 'BE');
+
+        expect(result.invalidNumbers).toHaveLength(0);
+        expect(result.foreignNumbers).toEqual([expect.objectContaining({
+            id: 1,
+            tag: 'phone',
+            numbers: [{ number: '013 507 9999', country: 'NL', internationalNumber: '+31 13 507 9999' }],
+        })]);
+    });
+});
+
+describe('preNormalizeNumber', () => {
+    test.each([
+        ['tel:+32-2-555-12-12', '+32-2-555-12-12', ['telUri']],
+        ['\u200E+32 2 555 12 12\u200F', '+32 2 555 12 12', ['invisibleCharacters']],
+        ['+32\u00A02\u00A0555\u00A012\u00A012', '+32 2 555 12 12', ['specialSpaces']],
+        ['\uFF0B\uFF13\uFF12 \uFF12', '+32 2', ['nonAsciiDigits']],
+        ['+\u0663\u0662 \u06F2', '+32 2', ['nonAsciiDigits']],
+        ['tel:\u200B+32 2 555 12 12', '+32 2 555 12 12', ['invisibleCharacters', 'telUri']],
+        ['+32 2 555 12 12', '+32 2 555 12 12', []],
+    ])('converts %j', (numberStr, candidate, normalizations) => {
+        expect(preNormalizeNumber(numberStr, 'BE')).toEqual({ candidate, normalizations });
+    });
+
+    test('converts vanity letters only if that makes a valid number', () => {
+        expect(preNormalizeNumber('+1 800 FLOWERS', SAMPLE_COUNTRY_CODE_US)).toEqual({ candidate: '+1 800 3569377', normalizations: ['vanityLetters'] });
+        expect(preNormalizeNumber('+32 2 555 12 12 Fax', 'BE').normalizations).toEqual([]);
+        expect(preNormalizeNumber('none', 'BE').normalizations).toEqual([]);
+    });
+
+    test('processSingleNumber offers the converted number as an autofixable fix', () => {
+        expect(processSingleNumber('tel:+3225551212', 'BE')).toMatchObject({
+            isInvalid: true,
+            autoFixable: true,
+            suggestedFix: '+32 2 555 12 12',
+            normalizations: ['telUri'],
+        });
+        expect(processSingleNumber('1-800-FLOWERS', SAMPLE_COUNTRY_CODE_US)).toMatchObject({
+            isInvalid: true,
+            autoFixable: true,
+            suggestedFix: '+1 800-356-9377',
+            normalizations: ['vanityLetters'],
+        });
+    });
+
+    test('a number already in the right format but with a no-break space is invalid', () => {
+        const result = processSingleNumber('+32 2 555\u00A012 12', 'BE');
+        expect(result.isInvalid).toBe(true);
+        expect(result.normalizations).toEqual(['specialSpaces']);
+    });
+
+    test('a short number can be converted too', () => {
+        const policy = getKeyPolicy('emergency:phone');
+        expect(processSingleNumber('\uFF11\uFF11\uFF12', 'BE', {}, null, policy)).toEqual({
+            isInvalid: true,
+            suggestedFix: '112',
+            autoFixable: true,
+            issues: ['unusualCharacters'],
+            normalizations: ['nonAsciiDigits'],
+        });
+    });
+
+    test('validateNumbers records the conversions of each tag', () => {
+        const elements = [
+            { type: 'node', id: 1, tags: { phone: 'tel:+32 2 555 12 12', fax: '+32 2 555 12 13' } },
+        ];
+
+        const [item] = validateNumbers(elements, 'BE').invalidNumbers;
+
+        expect(item.autoFixable).toBe(true);
+        expect(item.suggestedFixes).toEqual({ phone: '+32 2 555 12 12' });
+        expect(item.normalizations).toEqual({ phone: ['telUri'] });
+    });
+});
+
+describe('issue codes', () => {
+    test.each([
+        ['02 555 12 12', ['missingCountryCode']],
+        ['02.555.12.12', ['missingCountryCode', 'formatting']],
+        ['+32 (0)2 555 12 12', ['formatting']],
+        ['+32 2 555 12 12 ext 3', ['extensionFormat']],
+        ['tel:+3225551212', ['unusualCharacters']],
+        ['02 555', ['tooShort']],
+        ['02 555 12 12 12 12', ['tooLong']],
+        ['+999 123', ['invalidCountry']],
+        ['abc', ['notANumber']],
+    ])('processSingleNumber explains why %j is invalid', (numberStr, issues) => {
+        expect(processSingleNumber(numberStr, 'BE').issues).toEqual(issues);
+    });
+
+    test('a number with the international prefix 00 has a country code written the wrong way', () => {
+        const result = processSingleNumber('0031 20 123 4567', 'NL');
+        expect(result.issues).toEqual(['formatting']);
+        expect(result.suggestedFix).toBe('+31 20 123 4567');
+    });
+
+    test('a valid number has no issues', () => {
+        expect(processSingleNumber('+32 2 555 12 12', 'BE').issues).toBeUndefined();
+    });
+
+    test('a number of the right length that is not in use has an unknown area code', () => {
+        expect(processSingleNumber('+44 1000 000000', SAMPLE_COUNTRY_CODE_GB).issues).toEqual(['unknownAreaCode']);
+    });
+
+    test('a number of the wrong type only has that issue', () => {
+        const result = processSingleNumber('02.555.12.12', 'BE', {}, null, getKeyPolicy('contact:whatsapp'));
+        expect(result.issues).toEqual(['wrongNumberType']);
+    });
+
+    test('validateSingleTag adds the issues of the tag, in order', () => {
+        expect(validateSingleTag('02 555 12 12, +32 2 555 12 12', 'BE', {}).issues).toEqual(['badSeparator', 'repeatedNumber', 'missingCountryCode']);
+        expect(validateSingleTag('+32 2 555 12 12', 'BE', {}).issues).toEqual([]);
+    });
+
+    test('validateNumbers gives the issues of each invalid tag', () => {
+        const elements = [
+            { type: 'node', id: 1, tags: { phone: '02 555 12 12', 'contact:phone': '+32 2 555 12 12', fax: '02 555' } },
+        ];
+
+        const [item] = validateNumbers(elements, 'BE').invalidNumbers;
+
+        expect(item.issues).toEqual({
+            phone: ['missingCountryCode'],
+            'contact:phone': ['redundantTag'],
+            fax: ['tooShort'],
+        });
+    });
+});
+
+describe('getPresetName', () => {
+    test('names the kind of feature, whatever its name', () => {
+        const item = { type: 'node', name: 'Chez Paul', allTags: { amenity: 'cafe', name: 'Chez Paul' } };
+        expect(getPresetName(item, 'en-GB')).toBe('Cafe');
+        expect(getFeatureTypeName(item, 'en-GB')).toBe('Chez Paul');
+    });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExtractDataSource, getBoundaryFilter } = require('../src/data-source');
+const { DataUnavailableError } = require('../src/errors');
+
+// A division (relation 10) covering lon 0-10, lat 0-10, split into two subdivisions
+// (relations 11 and 12) at lon 5. Relation 13 is a subdivision outside the division.
+const EXTRACT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="test">
+  <node id="1" lat="0" lon="0"/>
+  <node id="2" lat="0" lon="5"/>
+  <node id="3" lat="0" lon="10"/>
+  <node id="4" lat="10" lon="10"/>
+  <node id="5" lat="10" lon="5"/>
+  <node id="6" lat="10" lon="0"/>
+  <node id="7" lat="20" lon="20"/>
+  <node id="8" lat="20" lon="30"/>
+  <node id="9" lat="30" lon="25"/>
+  <node id="100" lat="2" lon="2" version="3">
+    <tag k="amenity" v="cafe"/>
+    <tag k="phone" v="+44 20 7946 0000"/>
+  </node>
+  <node id="101" lat="3" lon="3">
+    <tag k="amenity" v="bench"/>
+  </node>
+  <node id="102" lat="25" lon="25">
+    <tag k="phone" v="+44 20 7946 0001"/>
+  </node>
+  <node id="110" lat="6" lon="6"/>
+  <node id="111" lat="6" lon="8"/>
+  <node id="112" lat="8" lon="8"/>
+  <way id="20"><nd ref="1"/><nd ref="2"/></way>
+  <way id="21"><nd ref="2"/><nd ref="3"/><nd ref="4"/></way>
+  <way id="22"><nd ref="2"/><nd ref="5"/></way>
+  <way id="24"><nd ref="4"/><nd ref="5"/></way>
+  <way id="25"><nd ref="5"/><nd ref="6"/><nd ref="1"/></way>
+  <way id="23"><nd ref="7"/><nd ref="8"/><nd ref="9"/><nd ref="7"/></way>
+  <way id="30">
+    <nd ref="110"/><nd ref="111"/><nd ref="112"/><nd ref="110"/>
+    <tag k="building" v="yes"/>
+    <tag k="contact:phone" v="020 7946 0002"/>
+  </way>
+  <relation id="10">
+    <member type="way" ref="20" role="outer"/>
+    <member type="way" ref="21" role="outer"/>
+    <member type="way" ref="24" role="outer"/>
+    <member type="way" ref="25" role="outer"/>
+    <tag k="boundary" v="administrative"/>
+    <tag k="admin_level" v="4"/>
+    <tag k="name" v="Division"/>
+  </relation>
+  <relation id="11">
+    <member type="way" ref="20" role="outer"/>
+    <member type="way" ref="22" role="outer"/>
+    <member type="way" ref="25" role="outer"/>
+    <tag k="boundary" v="administrative"/>
+    <tag k="admin_level" v="6"/>
+    <tag k="name" v="West"/>
+  </relation>
+  <relation id="12">
+    <member type="way" ref="21" role="outer"/>
+    <member type="way" ref="24" role="outer"/>
+    <member type="way" ref="22" role="outer"/>
+    <tag k="boundary" v="administrative"/>
+    <tag k="admin_level" v="6"/>
+    <tag k="name" v="East"/>
+  </relation>
+  <relation id="13">
+    <member type="way" ref="23" role="outer"/>
+    <tag k="boundary" v="administrative"/>
+    <tag k="admin_level" v="6"/>
+    <tag k="name" v="Elsewhere"/>
+  </relation>
+</osm>
+`;
+
+const COUNTRIES = {
+    'Test': {
+        name: 'Test',
+        divisions: { 'Division': 10 },
+        countryCode: 'GB',
+        locale: 'en-GB',
+        subdivisionAdminLevel: 6
+    }
+};
+
+let tempDir;
+let extractPath;
+
+beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-'));
+    extractPath = path.join(tempDir, 'test.osm');
+    fs.writeFileSync(extractPath, EXTRACT_XML);
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getBoundaryFilter', () => {
+    test('collects division IDs, hardcoded subdivision IDs and admin levels', () => {
+        const filter = getBoundaryFilter({
+            ...COUNTRIES,
+            'Mapped': { divisionMap: { 'Region': { 'Area': 99 } } }
+        });
+        expect([...filter.ids].sort()).toEqual([10, 99]);
+        expect([...filter.adminLevels]).toEqual([6]);
+    });
+});
+
+describe('extract data source', () => {
+    test('finds subdivisions inside the division from boundary polygons', async () => {
+        const dataSource = createExtractDataSource(extractPath, COUNTRIES);
+        const subdivisions = await dataSource.fetchSubdivisions(10, 'Division', 6);
+        expect(subdivisions.map(s => s.name).sort()).toEqual(['East', 'West']);
+    });
+
+    test('returns phone-tagged elements within the subdivision in Overpass shape', async () => {
+        const dataSource = createExtractDataSource(extractPath, COUNTRIES);
+
+        const west = await dataSource.fetchElements({ name: 'West', id: 11 });
+        expect(west).toHaveLength(1);
+        expect(west[0]).toMatchObject({
+            type: 'node',
+            id: 100,
+            lat: 2,
+            lon: 2,
+            tags: { amenity: 'cafe', phone: '+44 20 7946 0000' }
+        });
+
+        const east = await dataSource.fetchElements({ name: 'East', id: 12 });
+        expect(east).toHaveLength(1);
+        expect(east[0]).toMatchObject({
+            type: 'way',
+            id: 30,
+            center: { lat: 7, lon: 7 },
+            tags: { building: 'yes', 'contact:phone': '020 7946 0002' }
+        });
+    });
+
+    test('reports a subdivision missing from the extract as unavailable', async () => {
+        const dataSource = createExtractDataSource(extractPath, COUNTRIES);
+        await expect(dataSource.fetchElements({ name: 'Missing', id: 404 })).rejects.toThrow(DataUnavailableError);
+    });
+
+    test('returns full elements with their version and way nodes', async () => {
+        const dataSource = createExtractDataSource(extractPath, COUNTRIES);
+        const elements = await dataSource.fetchFullElements([{ type: 'node', id: 100 }, { type: 'way', id: 30 }, { type: 'node', id: 404 }]);
+
+        expect(elements).toHaveLength(2);
+        expect(elements.find(element => element.type === 'node')).toMatchObject({ id: 100, version: 3 });
+        expect(elements.find(element => element.type === 'way').nodes.length).toBeGreaterThan(0);
+    });
+});
@@ -300,6 +300,14 @@ describe('diffPhoneNumbers (Single Number Diff Logic)', () => {
         ]
         expect(result.suggestedDiff).toEqual(expectedSuggested)
     });
+
+    test('only the given separators are kept as formatting', () => {
+        const withDashes = diffPhoneNumbers('213-373-4253', '+1 213-373-4253');
+        expect(withDashes.originalDiff.filter(part => part.removed)).toEqual([]);
+
+        const withSpaces = diffPhoneNumbers('213-373-4253', '+1 213 373 4253', ' ');
+        expect(withSpaces.originalDiff.filter(part => part.removed).map(part => part.value)).toEqual(['-', '-']);
+    });
 });
 
 
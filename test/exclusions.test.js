@@ -0,0 +1,197 @@
+const { parsePhoneNumber } = require('libphonenumber-js');
+const { compileExclusionRules, getExclusionRules, findExclusionRule } = require('../src/exclusions');
+const { processSingleNumber, validateNumbers } = require('../src/data-processor');
+
+const NOW = Date.UTC(2025, 5, 1);
+
+/**
+ * Builds the context that a rule is matched against, as `checkExclusions` does.
+ * @param {string} numberStr - The number as written.
+ * @param {string} countryCode
+ * @param {Object} [tags={}]
+ * @param {{type: string, id: number}|null} [element=null]
+ * @returns {Object}
+ */
+const makeContext = (numberStr, countryCode, tags = {}, element = null) => ({
+    numberStr: numberStr,
+    phoneNumber: parsePhoneNumber(numberStr, countryCode),
+    tags: tags,
+    element: element,
+});
+
+/**
+ * Compiles a single rule, with an id and reason added.
+ * @param {Object} rule
+ * @returns {Array<Object>}
+ */
+const compileRule = (rule) => compileExclusionRules([{ id: 'test', reason: 'Because', ...rule }], 'test.json', NOW);
+
+// =====================================================================
+// Number matching
+// =====================================================================
+describe('number matching', () => {
+    test('exact matches the national number however it is written', () => {
+        const rules = compileRule({ numbers: { exact: ['3631'] } });
+        expect(findExclusionRule(rules, makeContext('36 31', 'FR'))).toEqual({ id: 'test', reason: 'Because' });
+        expect(findExclusionRule(rules, makeContext('3632', 'FR'))).toBeNull();
+    });
+
+    test('prefix matches the national number', () => {
+        const rules = compileRule({ numbers: { prefix: ['36'] } });
+        expect(findExclusionRule(rules, makeContext('3646', 'FR'))).not.toBeNull();
+        expect(findExclusionRule(rules, makeContext('01 23 45 67 89', 'FR'))).toBeNull();
+    });
+
+    test('prefix with a plus matches the international number', () => {
+        const rules = compileRule({ numbers: { prefix: ['+1'] } });
+        expect(findExclusionRule(rules, makeContext('+1 202 555 0100', 'FR'))).not.toBeNull();
+        expect(findExclusionRule(rules, makeContext('+33 1 23 45 67 89', 'FR'))).toBeNull();
+    });
+
+    test('regex matches the number as written, without separators', () => {
+        const rules = compileRule({ numbers: { regex: '^(\\+|00)(?!33)' } });
+        expect(findExclusionRule(rules, makeContext('00 1 202-555-0100', 'FR'))).not.toBeNull();
+        expect(findExclusionRule(rules, makeContext('+33 1 23 45 67 89', 'FR'))).toBeNull();
+    });
+});
+
+// =====================================================================
+// Tag predicates
+// =====================================================================
+describe('tag predicates', () => {
+    const rules = compileRule({
+        numbers: { exact: ['111'] },
+        tags: {
+            all: [
+                { any: [{ key: 'healthcare' }, { key: 'amenity', value: ['hospital', 'clinic'] }] },
+                { not: { key: 'healthcare', value: 'pharmacy' } },
+            ],
+        },
+    });
+
+    test('a key without a value matches any value', () => {
+        expect(findExclusionRule(rules, makeContext('111', 'GB', { healthcare: 'doctor' }))).not.toBeNull();
+    });
+
+    test('a list of values matches any of them', () => {
+        expect(findExclusionRule(rules, makeContext('111', 'GB', { amenity: 'clinic' }))).not.toBeNull();
+        expect(findExclusionRule(rules, makeContext('111', 'GB', { amenity: 'cafe' }))).toBeNull();
+    });
+
+    test('not excludes matching tags', () => {
+        expect(findExclusionRule(rules, makeContext('111', 'GB', { healthcare: 'pharmacy' }))).toBeNull();
+    });
+});
+
+// =====================================================================
+// Element allowlists and expiry
+// =====================================================================
+describe('element allowlists', () => {
+    const rules = compileRule({ elements: ['node/1', 'way/2'] });
+
+    test('only match the listed elements', () => {
+        expect(findExclusionRule(rules, makeContext('1234', 'FR', {}, { type: 'way', id: 2 }))).not.toBeNull();
+        expect(findExclusionRule(rules, makeContext('1234', 'FR', {}, { type: 'node', id: 2 }))).toBeNull();
+        expect(findExclusionRule(rules, makeContext('1234', 'FR'))).toBeNull();
+    });
+});
+
+describe('expiry', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('expired rules are left out', () => {
+        expect(compileRule({ numbers: { exact: ['3631'] }, expires: '2025-01-01' })).toEqual([]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('rules that have not expired are kept', () => {
+        expect(compileRule({ numbers: { exact: ['3631'] }, expires: '2025-12-31' })).toHaveLength(1);
+    });
+});
+
+// =====================================================================
+// Invalid rules
+// =====================================================================
+describe('invalid rules', () => {
+    test.each([
+        ['without a reason', [{ id: 'a', numbers: { exact: ['1'] } }]],
+        ['with a repeated id', [{ id: 'a', reason: 'x', numbers: { exact: ['1'] } }, { id: 'a', reason: 'y', numbers: { exact: ['2'] } }]],
+        ['that would match every number', [{ id: 'a', reason: 'x', tags: { key: 'amenity' } }]],
+        ['with an empty number matcher', [{ id: 'a', reason: 'x', numbers: {} }]],
+        ['with a bad regex', [{ id: 'a', reason: 'x', numbers: { regex: '(' } }]],
+        ['with a bad tag predicate', [{ id: 'a', reason: 'x', numbers: { exact: ['1'] }, tags: { any: [] } }]],
+        ['with a bad element', [{ id: 'a', reason: 'x', elements: ['n1'] }]],
+        ['with a bad expiry date', [{ id: 'a', reason: 'x', numbers: { exact: ['1'] }, expires: 'soon' }]],
+        ['with a bad foreign flag', [{ id: 'a', reason: 'x', numbers: { exact: ['1'] }, foreign: 'yes' }]],
+    ])('throws for a rule %s', (_, rules) => {
+        expect(() => compileExclusionRules(rules, 'test.json', NOW)).toThrow(/^test\.json/);
+    });
+});
+
+// =====================================================================
+// Country rules
+// =====================================================================
+describe('country rules', () => {
+    test('every country file is valid', () => {
+        expect(getExclusionRules('FR').length).toBeGreaterThan(0);
+        expect(getExclusionRules('GB').length).toBeGreaterThan(0);
+        expect(getExclusionRules('ZZ')).toEqual([]);
+    });
+
+    test('GB: 101 is accepted on police stations', () => {
+        const result = processSingleNumber('101', 'GB', { amenity: 'police' });
+        expect(result.isInvalid).toBe(false);
+        expect(result.exclusion.id).toBe('gb-police-101');
+        expect(processSingleNumber('101', 'GB', { amenity: 'cafe' }).isInvalid).toBe(true);
+    });
+
+    test('GB: 111 is accepted on NHS features', () => {
+        expect(processSingleNumber('111', 'GB', { amenity: 'hospital' }).isInvalid).toBe(false);
+        expect(processSingleNumber('111', 'GB', { healthcare: 'pharmacy' }).isInvalid).toBe(true);
+    });
+
+    test('GB: embassies may give valid numbers from other countries', () => {
+        const result = processSingleNumber('+49 30 1234567', 'GB', { amenity: 'embassy' });
+        expect(result.isInvalid).toBe(false);
+        expect(result.foreignCountry).toBeUndefined();
+        expect(result.exclusion.id).toBe('gb-embassy-foreign');
+        expect(processSingleNumber('+49 30 1234567', 'GB', { amenity: 'cafe' }).foreignCountry).toBe('DE');
+    });
+
+    test('GB: invalid foreign numbers on embassies are still invalid', () => {
+        const embassy = processSingleNumber('+49 30 12', 'GB', { amenity: 'embassy' });
+        const cafe = processSingleNumber('+49 30 12', 'GB', { amenity: 'cafe' });
+        expect(embassy).toMatchObject({ isInvalid: true, autoFixable: false, suggestedFix: null });
+        expect(embassy).toEqual(cafe);
+    });
+
+    test('FR: foreign numbers on embassies are still formatted', () => {
+        const result = processSingleNumber('+49 (0)30 1234567', 'FR', { office: 'diplomatic' });
+        expect(result).toMatchObject({ isInvalid: true, autoFixable: true, suggestedFix: '+49 30 1234567', issues: ['formatting'] });
+    });
+
+    test('validateNumbers lists the excluded numbers with their reason', () => {
+        const elements = [
+            { type: 'node', id: 1, tags: { amenity: 'post_office', phone: '3631', name: 'La Poste' } },
+            { type: 'node', id: 2, tags: { amenity: 'cafe', phone: '3631' } },
+        ];
+
+        const result = validateNumbers(elements, 'FR');
+
+        expect(result.invalidNumbers.map(item => item.id)).toEqual([2]);
+        expect(result.excludedNumbers).toHaveLength(1);
+        expect(result.excludedNumbers[0]).toMatchObject({
+            type: 'node',
+            id: 1,
+            tag: 'phone',
+            value: '3631',
+            exclusions: [{ number: '3631', id: 'fr-la-poste-3631', reason: expect.any(String) }],
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const { parsePhoneNumber } = require('libphonenumber-js');
+const { COUNTRIES, FORMAT_PROFILES } = require('../src/constants');
+const {
+    DEFAULT_FORMAT_PROFILE,
+    getFormatProfile,
+    formatNumber,
+    getIgnoredSeparatorRegex,
+    getDiffSeparators,
+} = require('../src/format-profiles');
+const { processSingleNumber } = require('../src/data-processor');
+
+/**
+ * Runs a callback with a country in COUNTRIES naming a format profile, as a country could.
+ * @param {string} countryCode
+ * @param {string} formatProfile - The name of the profile.
+ * @param {Function} callback
+ */
+function withFormatProfile(countryCode, formatProfile, callback) {
+    const country = Object.values(COUNTRIES).find(candidate => candidate.countryCode === countryCode);
+    const previous = country.formatProfile;
+    country.formatProfile = formatProfile;
+    try {
+        callback();
+    } finally {
+        if (previous === undefined) {
+            delete country.formatProfile;
+        } else {
+            country.formatProfile = previous;
+        }
+    }
+}
+
+describe('getFormatProfile', () => {
+    test('countries without a profile use the default', () => {
+        expect(getFormatProfile('ZA')).toMatchObject({ name: DEFAULT_FORMAT_PROFILE, groupSeparator: ' ', ignoredSeparators: [] });
+    });
+
+    test('a country in COUNTRIES uses the profile it names', () => {
+        withFormatProfile('BE', 'national-special-numbers', () => {
+            expect(getFormatProfile('BE').name).toBe('national-special-numbers');
+        });
+        expect(getFormatProfile('BE').name).toBe(DEFAULT_FORMAT_PROFILE);
+    });
+
+    test('a country not in COUNTRIES uses the profile that is the default for it', () => {
+        expect(getFormatProfile('US').name).toBe('us-dashes');
+    });
+
+    test('every profile named in COUNTRIES exists', () => {
+        for (const country of Object.values(COUNTRIES)) {
+            expect(() => getFormatProfile(country.countryCode)).not.toThrow();
+        }
+    });
+
+    test('every profile only has known options', () => {
+        const knownOptions = ['groupSeparator', 'ignoredSeparators', 'nationalFormatTypes', 'defaultFor'];
+        for (const profile of Object.values(FORMAT_PROFILES)) {
+            expect(Object.keys(profile).filter(option => !knownOptions.includes(option))).toEqual([]);
+        }
+    });
+
+    test('throws for an unknown profile', () => {
+        withFormatProfile('BE', 'nonexistent', () => {
+            expect(() => getFormatProfile('BE')).toThrow(/nonexistent/);
+        });
+    });
+});
+
+describe('formatNumber', () => {
+    const profile = (options) => ({ name: 'test', groupSeparator: ' ', ignoredSeparators: [], nationalFormatTypes: [], ...options });
+
+    test('uses the international format by default', () => {
+        expect(formatNumber(parsePhoneNumber('02 555 12 12', 'BE'), 'BE', getFormatProfile('BE'))).toBe('+32 2 555 12 12');
+    });
+
+    test('joins the groups with the profile separator', () => {
+        expect(formatNumber(parsePhoneNumber('2133734253', 'US'), 'US', getFormatProfile('US'))).toBe('+1 213-373-4253');
+    });
+
+    test('international writes every number with the country code', () => {
+        const international = getFormatProfile('ZA');
+        expect(formatNumber(parsePhoneNumber('0860 123 456', 'ZA'), 'ZA', international, 'SHARED_COST')).toBe('+27 860 123 456');
+    });
+
+    test('us-dashes joins the groups with dashes', () => {
+        expect(formatNumber(parsePhoneNumber('2133734253', 'US'), 'US', getFormatProfile('US'))).toBe('+1 213-373-4253');
+    });
+
+    test('national-special-numbers writes free and special-rate numbers in national format', () => {
+        const nationalSpecial = profile({ name: 'national-special-numbers', ...FORMAT_PROFILES['national-special-numbers'] });
+        expect(formatNumber(parsePhoneNumber('0800 12 345', 'BE'), 'BE', nationalSpecial, 'TOLL_FREE')).toBe('0800 12 345');
+        expect(formatNumber(parsePhoneNumber('070 22 33 44', 'BE'), 'BE', nationalSpecial, 'PREMIUM_RATE')).toBe('070 22 33 44');
+        expect(formatNumber(parsePhoneNumber('0900 1234', 'NL'), 'NL', nationalSpecial, 'PREMIUM_RATE')).toBe('0900 1234');
+        expect(formatNumber(parsePhoneNumber('02 555 12 12', 'BE'), 'BE', nationalSpecial, 'FIXED_LINE')).toBe('+32 2 555 12 12');
+    });
+
+    test('uses the national format for the listed number types', () => {
+        const tollFree = profile({ nationalFormatTypes: ['TOLL_FREE'] });
+        expect(formatNumber(parsePhoneNumber('0800 12 345', 'BE'), 'BE', tollFree, 'TOLL_FREE')).toBe('0800 12 345');
+        expect(formatNumber(parsePhoneNumber('02 555 12 12', 'BE'), 'BE', tollFree, 'FIXED_LINE')).toBe('+32 2 555 12 12');
+    });
+
+    test('numbers from other countries are always international', () => {
+        expect(formatNumber(parsePhoneNumber('+32 2 555 12 12'), 'US', getFormatProfile('US'))).toBe('+32 2 555 12 12');
+    });
+});
+
+describe('separators', () => {
+    test('the ignored separators are removed along with whitespace', () => {
+        expect('213-373 4253'.replace(getIgnoredSeparatorRegex(getFormatProfile('US')), '')).toBe('2133734253');
+        expect('02-555 12 12'.replace(getIgnoredSeparatorRegex(getFormatProfile('BE')), '')).toBe('02-5551212');
+    });
+
+    test('the diff keeps spaces and the profile separators', () => {
+        expect(getDiffSeparators(getFormatProfile('BE'))).toBe(' ');
+        expect(getDiffSeparators(getFormatProfile('US'))).toBe(' -');
+    });
+});
+
+describe('processSingleNumber', () => {
+    test('suggests fixes in the format of the profile', () => {
+        expect(processSingleNumber('213 373 4253', 'US')).toMatchObject({ isInvalid: true, suggestedFix: '+1 213-373-4253' });
+        expect(processSingleNumber('+1 213-373-4253', 'US').isInvalid).toBe(false);
+        expect(processSingleNumber('+32 2-555-12-12', 'BE').isInvalid).toBe(true);
+    });
+
+    test('accepts free and special-rate numbers in the international format by default', () => {
+        expect(processSingleNumber('+32 800 12 345', 'BE').isInvalid).toBe(false);
+        expect(processSingleNumber('+32 70 22 33 44', 'BE').isInvalid).toBe(false);
+        expect(processSingleNumber('0800 12 345', 'BE')).toMatchObject({ isInvalid: true, suggestedFix: '+32 800 12 345' });
+        expect(processSingleNumber('0860 123 456', 'ZA')).toMatchObject({ isInvalid: true, suggestedFix: '+27 860 123 456' });
+    });
+
+    test('suggests free numbers in national format where the country profile asks for it', () => {
+        withFormatProfile('BE', 'national-special-numbers', () => {
+            expect(processSingleNumber('+32 800 12 345', 'BE')).toMatchObject({ isInvalid: true, suggestedFix: '0800 12 345' });
+            expect(processSingleNumber('0800 12 345', 'BE').isInvalid).toBe(false);
+        });
+    });
+});
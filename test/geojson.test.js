@@ -0,0 +1,106 @@
+const vm = require('vm');
+const { getGeoJsonFileName, hasLocation, createGeoJson } = require('../src/geojson');
+const { configureMap, createMapContent } = require('../src/html-map');
+const { MAP_TILES, MAP_LIBRARIES } = require('../src/constants');
+
+const FIXABLE_ITEM = {
+    type: 'node',
+    id: 1,
+    osmUrl: 'https://www.openstreetmap.org/node/1',
+    lat: 50.8,
+    lon: 4.3,
+    name: 'Bakery',
+    allTags: { phone: '02 555 12 12' },
+    invalidNumbers: { phone: '02 555 12 12' },
+    suggestedFixes: { phone: '+32 2 555 12 12' },
+    autoFixable: true,
+};
+
+describe('createGeoJson', () => {
+    test('has a point for each item', () => {
+        expect(createGeoJson([FIXABLE_ITEM])).toEqual({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                id: 'node-1',
+                geometry: { type: 'Point', coordinates: [4.3, 50.8] },
+                properties: {
+                    key: 'node-1',
+                    type: 'node',
+                    id: 1,
+                    name: 'Bakery',
+                    osmUrl: 'https://www.openstreetmap.org/node/1',
+                    autoFixable: true,
+                    invalidNumbers: { phone: '02 555 12 12' },
+                    suggestedFixes: { phone: '+32 2 555 12 12' },
+                },
+            }],
+        });
+    });
+
+    test('leaves out items without a location', () => {
+        const item = { ...FIXABLE_ITEM, lat: undefined, lon: undefined };
+        expect(hasLocation(item)).toBe(false);
+        expect(createGeoJson([item]).features).toEqual([]);
+    });
+
+    test('is named after the subdivision', () => {
+        expect(getGeoJsonFileName('haute-corse')).toBe('haute-corse.geojson');
+    });
+});
+
+describe('createMapContent', () => {
+    afterEach(() => {
+        configureMap();
+    });
+
+    test('is empty without a GeoJSON file', () => {
+        expect(createMapContent(null, 'en-GB')).toEqual({ tabs: '', mapView: '', script: '' });
+    });
+
+    test('uses the default tiles', () => {
+        const { script } = createMapContent('east.geojson', 'en-GB');
+        expect(script).toContain(JSON.stringify(MAP_TILES.url));
+        expect(script).toContain('const MAP_GEOJSON_FILE = "east.geojson";');
+    });
+
+    test('uses configured tiles, safely inside the script', () => {
+        configureMap({ tileUrl: 'http://localhost:8080/{z}/{x}/{y}.png', attribution: '<b>Local</b></script>' });
+        const { script } = createMapContent('east.geojson', 'en-GB');
+        expect(script).toContain('"url":"http://localhost:8080/{z}/{x}/{y}.png"');
+        expect(script).toContain('\\u003cb>Local\\u003c/b>\\u003c/script>');
+        expect(script.match(/<\/script>/g)).toHaveLength(1);
+    });
+
+    test('only loads Leaflet from the script, with the integrity hashes', () => {
+        const { script } = createMapContent('east.geojson', 'en-GB');
+        expect(script).not.toMatch(/<script src=|<link /);
+        for (const file of [...MAP_LIBRARIES.styles, ...MAP_LIBRARIES.scripts]) {
+            expect(script).toContain(JSON.stringify({ url: `${MAP_LIBRARIES.url}/${file.path}`, integrity: file.integrity }));
+        }
+        expect(script).toContain("element.crossOrigin = 'anonymous';");
+    });
+
+    test('shows the name of a point without a list item as text', () => {
+        const { script } = createMapContent('east.geojson', 'en-GB');
+        const document = {
+            getElementById: () => null,
+            createElement: () => ({}),
+            querySelectorAll: () => [],
+        };
+        const context = vm.createContext({ document });
+        vm.runInContext(script.replace(/<\/?script>/g, ''), context);
+
+        const popup = context.createMapPopup({ properties: { key: 'node-1', name: '<img src=x onerror=alert(1)>' } });
+        expect(popup.className).toBe('map-popup');
+        expect(popup.textContent).toBe('<img src=x onerror=alert(1)>');
+        expect(popup.innerHTML).toBeUndefined();
+    });
+
+    test('loads Leaflet from the configured URL', () => {
+        configureMap({ libraryUrl: '../../vendor/' });
+        const { script } = createMapContent('east.geojson', 'en-GB');
+        expect(script).toContain('"url":"../../vendor/leaflet@1.9.4/dist/leaflet.js"');
+        expect(script).not.toContain(MAP_LIBRARIES.url);
+    });
+});
@@ -0,0 +1,83 @@
+const {
+    assembleRings,
+    isPointInRings,
+    getBoundingBox,
+    getCenter,
+    getRepresentativePoint
+} = require('../src/geometry');
+
+// A 10x10 square with a 2x2 hole in the middle
+const square = [
+    { lat: 0, lon: 0 }, { lat: 0, lon: 10 }, { lat: 10, lon: 10 }, { lat: 10, lon: 0 }, { lat: 0, lon: 0 }
+];
+const hole = [
+    { lat: 4, lon: 4 }, { lat: 4, lon: 6 }, { lat: 6, lon: 6 }, { lat: 6, lon: 4 }, { lat: 4, lon: 4 }
+];
+
+describe('assembleRings', () => {
+    test('joins ways that meet end to end into one closed ring', () => {
+        expect(assembleRings([[1, 2], [2, 3], [3, 1]])).toEqual([[1, 2, 3, 1]]);
+    });
+
+    test('reverses ways that are drawn in the opposite direction', () => {
+        expect(assembleRings([[1, 2], [3, 2], [3, 1]])).toEqual([[1, 2, 3, 1]]);
+    });
+
+    test('keeps separate rings apart', () => {
+        expect(assembleRings([[1, 2, 3, 1], [4, 5], [5, 6, 4]])).toEqual([[1, 2, 3, 1], [4, 5, 6, 4]]);
+    });
+
+    test('closes chains that cannot be completed', () => {
+        expect(assembleRings([[1, 2], [2, 3]])).toEqual([[1, 2, 3, 1]]);
+    });
+
+    test('ignores empty and single node ways', () => {
+        expect(assembleRings([[], [7], [1, 2, 3, 1]])).toEqual([[1, 2, 3, 1]]);
+    });
+});
+
+describe('isPointInRings', () => {
+    test('point inside the outer ring is inside', () => {
+        expect(isPointInRings(2, 2, [square])).toBe(true);
+    });
+
+    test('point outside the outer ring is outside', () => {
+        expect(isPointInRings(12, 2, [square])).toBe(false);
+    });
+
+    test('point in a hole is outside', () => {
+        expect(isPointInRings(5, 5, [square, hole])).toBe(false);
+        expect(isPointInRings(2, 2, [square, hole])).toBe(true);
+    });
+});
+
+describe('getBoundingBox and getCenter', () => {
+    test('bounding box covers all coordinates', () => {
+        expect(getBoundingBox(square)).toEqual({ minLat: 0, minLon: 0, maxLat: 10, maxLon: 10 });
+    });
+
+    test('centre is the middle of the bounding box', () => {
+        expect(getCenter([{ lat: 1, lon: 2 }, { lat: 3, lon: 8 }])).toEqual({ lat: 2, lon: 5 });
+    });
+
+    test('no coordinates gives null', () => {
+        expect(getBoundingBox([])).toBeNull();
+        expect(getCenter([])).toBeNull();
+    });
+});
+
+describe('getRepresentativePoint', () => {
+    test('uses the centroid of a convex polygon', () => {
+        expect(getRepresentativePoint([square])).toEqual({ lat: 5, lon: 5 });
+    });
+
+    test('finds a point inside a polygon whose centroid is outside', () => {
+        // A U shape, the centroid falls in the gap between the arms
+        const uShape = [
+            { lat: 0, lon: 0 }, { lat: 0, lon: 10 }, { lat: 10, lon: 10 }, { lat: 10, lon: 8 },
+            { lat: 1, lon: 8 }, { lat: 1, lon: 2 }, { lat: 10, lon: 2 }, { lat: 10, lon: 0 }, { lat: 0, lon: 0 }
+        ];
+        const point = getRepresentativePoint([uShape]);
+        expect(isPointInRings(point.lat, point.lon, [uShape])).toBe(true);
+    });
+});
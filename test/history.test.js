@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    HISTORY_VERSION,
+    getHistoryPath,
+    createHistoryRecord,
+    readHistory,
+    appendHistory,
+    getCountrySeries,
+    getSubdivisionSeries,
+    getLastSubdivisionCounts,
+    getGlobalSeries,
+} = require('../src/history');
+const { createTrendChart } = require('../src/html-chart');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2025, 0, 1, 6);
+
+/**
+ * Creates the stats of a country with one division of two subdivisions, as built by `main.js`.
+ * @param {number} eastInvalid
+ * @param {number} westInvalid
+ * @param {boolean} [westUnavailable=false]
+ * @returns {Object}
+ */
+function makeCountryStats(eastInvalid, westInvalid, westUnavailable = false) {
+    const east = { name: 'East', divisionSlug: 'belgium', slug: 'east', invalidCount: eastInvalid, autoFixableCount: 1, totalNumbers: 10 };
+    const west = westUnavailable
+        ? { name: 'West', divisionSlug: 'belgium', slug: 'west', dataUnavailable: true, hasPreviousReport: false }
+        : { name: 'West', divisionSlug: 'belgium', slug: 'west', invalidCount: westInvalid, autoFixableCount: 0, totalNumbers: 10 };
+    return {
+        name: 'Belgium',
+        slug: 'belgium',
+        locale: 'nl-BE',
+        invalidCount: eastInvalid + (westUnavailable ? 0 : westInvalid),
+        autoFixableCount: 1,
+        totalNumbers: westUnavailable ? 10 : 20,
+        groupedDivisionStats: { Belgium: [east, west] },
+        unavailableDivisions: [],
+    };
+}
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-history-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('createHistoryRecord', () => {
+    test('records the country and subdivision counts', () => {
+        const record = createHistoryRecord(makeCountryStats(3, 2), START);
+        expect(record).toEqual({
+            version: HISTORY_VERSION,
+            timestamp: START,
+            complete: true,
+            invalidCount: 5,
+            autoFixableCount: 1,
+            totalNumbers: 20,
+            subdivisions: {
+                'belgium/east': { invalidCount: 3, autoFixableCount: 1, totalNumbers: 10 },
+                'belgium/west': { invalidCount: 2, autoFixableCount: 0, totalNumbers: 10 },
+            },
+        });
+    });
+
+    test('is incomplete if a subdivision was unavailable', () => {
+        const record = createHistoryRecord(makeCountryStats(3, 0, true), START);
+        expect(record.complete).toBe(false);
+        expect(Object.keys(record.subdivisions)).toEqual(['belgium/east']);
+    });
+
+    test('is incomplete if a division was unavailable', () => {
+        const stats = { ...makeCountryStats(3, 2), unavailableDivisions: ['Wallonia'] };
+        expect(createHistoryRecord(stats, START).complete).toBe(false);
+    });
+});
+
+describe('readHistory and appendHistory', () => {
+    test('returns nothing when there is no history', () => {
+        expect(readHistory(outputDir, 'belgium')).toEqual([]);
+    });
+
+    test('reads back appended records, oldest first', () => {
+        const later = createHistoryRecord(makeCountryStats(1, 1), START + DAY);
+        const earlier = createHistoryRecord(makeCountryStats(3, 2), START);
+        appendHistory(outputDir, 'belgium', later);
+        appendHistory(outputDir, 'belgium', earlier);
+
+        expect(getHistoryPath(outputDir, 'belgium')).toBe(path.join(outputDir, 'history', 'belgium.jsonl'));
+        expect(readHistory(outputDir, 'belgium')).toEqual([earlier, later]);
+    });
+
+    test('skips unreadable lines and other versions', () => {
+        const record = createHistoryRecord(makeCountryStats(3, 2), START);
+        appendHistory(outputDir, 'belgium', record);
+        fs.appendFileSync(getHistoryPath(outputDir, 'belgium'), '{not json\n');
+        fs.appendFileSync(getHistoryPath(outputDir, 'belgium'), JSON.stringify({ ...record, version: HISTORY_VERSION + 1 }) + '\n');
+
+        expect(readHistory(outputDir, 'belgium')).toEqual([record]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('series', () => {
+    const records = [
+        createHistoryRecord(makeCountryStats(3, 2), START),
+        createHistoryRecord(makeCountryStats(2, 0, true), START + DAY),
+        createHistoryRecord(makeCountryStats(1, 1), START + 2 * DAY),
+    ];
+
+    test('the country series leaves out incomplete records', () => {
+        expect(getCountrySeries(records)).toEqual([
+            { timestamp: START, invalidCount: 5, autoFixableCount: 1 },
+            { timestamp: START + 2 * DAY, invalidCount: 2, autoFixableCount: 1 },
+        ]);
+    });
+
+    test('the subdivision series only has the builds where it was fetched', () => {
+        expect(getSubdivisionSeries(records, { divisionSlug: 'belgium', slug: 'east' }).map(point => point.invalidCount)).toEqual([3, 2, 1]);
+        expect(getSubdivisionSeries(records, { divisionSlug: 'belgium', slug: 'west' }).map(point => point.invalidCount)).toEqual([2, 1]);
+    });
+
+    test('the last counts of a subdivision are from the last build that fetched it', () => {
+        const unavailableLast = records.slice(0, 2);
+        expect(getLastSubdivisionCounts(unavailableLast, { divisionSlug: 'belgium', slug: 'west' })).toEqual({
+            timestamp: START,
+            invalidCount: 2,
+            autoFixableCount: 0,
+            totalNumbers: 10,
+        });
+        expect(getLastSubdivisionCounts(records, { divisionSlug: 'belgium', slug: 'north' })).toBeNull();
+    });
+
+    test('the global series adds up the latest record of each country per day', () => {
+        const other = [
+            createHistoryRecord(makeCountryStats(10, 0), START + DAY + 1000),
+            createHistoryRecord(makeCountryStats(5, 0), START + 2 * DAY + 1000),
+        ];
+
+        // The first day is left out, because the other country has no record yet
+        expect(getGlobalSeries([records, other])).toEqual([
+            { timestamp: START + DAY + 1000, invalidCount: 15, autoFixableCount: 2 },
+            { timestamp: START + 2 * DAY + 1000, invalidCount: 7, autoFixableCount: 2 },
+        ]);
+    });
+
+    test('the global series ignores countries without complete records', () => {
+        expect(getGlobalSeries([records, []])).toEqual(getCountrySeries(records));
+        expect(getGlobalSeries([[], []])).toEqual([]);
+    });
+});
+
+describe('createTrendChart', () => {
+    test('needs at least two points', () => {
+        expect(createTrendChart([], 'en-GB')).toBe('');
+        expect(createTrendChart([{ timestamp: START, invalidCount: 1, autoFixableCount: 0 }], 'en-GB')).toBe('');
+    });
+
+    test('draws a line for each count', () => {
+        const html = createTrendChart([
+            { timestamp: START, invalidCount: 4, autoFixableCount: 2 },
+            { timestamp: START + DAY, invalidCount: 2, autoFixableCount: 0 },
+        ], 'en-GB');
+
+        expect(html).toContain('class="trend-line-invalid"');
+        expect(html).toContain('class="trend-line-fixable"');
+        expect(html).toContain('Progress over time');
+        expect(html.match(/<circle/g)).toHaveLength(4);
+    });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateCountryIndexHtml } = require('../src/html-country');
+
+const COUNTRY_STATS = {
+    name: "Côte d'Ivoire",
+    slug: 'cote-divoire',
+    locale: 'fr-FR',
+    invalidCount: 1,
+    autoFixableCount: 0,
+    totalNumbers: 4,
+    groupedDivisionStats: {
+        "Vallée d'Aosta": [
+            { name: "Saint-Vincent d'Aoste", divisionSlug: 'vallee-daosta', slug: 'saint-vincent-daoste', invalidCount: 1, autoFixableCount: 0, totalNumbers: 4 },
+            { name: 'Cogne </script>', divisionSlug: 'vallee-daosta', slug: 'cogne-script', dataUnavailable: true, hasPreviousReport: false },
+        ],
+    },
+    unavailableDivisions: [],
+};
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-country-'));
+    fs.mkdirSync(path.join(outputDir, COUNTRY_STATS.slug));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('generateCountryIndexHtml', () => {
+    test('escapes the names, which the stats keep as they are', async () => {
+        await generateCountryIndexHtml(COUNTRY_STATS, {}, outputDir);
+        const html = fs.readFileSync(path.join(outputDir, COUNTRY_STATS.slug, 'index.html'), 'utf8');
+
+        expect(html).toContain('Côte d&#039;Ivoire');
+        expect(html).not.toContain('&amp;#039;');
+        expect(html).toContain('<li>Cogne &lt;/script&gt;</li>');
+        // The list is rendered by the page's script, which escapes the names itself
+        expect(html).toContain('"Vallée d\'Aosta":[{"name":"Saint-Vincent d\'Aoste"');
+        expect(html).toContain('"name":"Cogne \\u003c/script>"');
+        expect(html).toContain('<h3 class="list-item-sub-title">\${escapeHTML(subdivision.name)}</h3>');
+    });
+});
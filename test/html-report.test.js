@@ -0,0 +1,343 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateHtmlReport, generateUnavailableReport } = require('../src/html-report');
+const { safeName } = require('../src/data-processor');
+const { createStorage, openReportPage } = require('./report-page');
+
+const TRANSLATIONS = require('../locales/en-GB.json');
+
+const START = Date.UTC(2025, 0, 1, 6);
+const SUBDIVISION = { name: 'Ixelles', divisionSlug: 'brussels', slug: 'ixelles', dataUnavailable: true };
+const REPORT = { countryName: 'Belgium', subdivisionStats: SUBDIVISION, locale: 'en-GB', translations: {} };
+
+const FIXABLE_ITEM = {
+    type: 'node',
+    id: 1,
+    osmUrl: 'https://www.openstreetmap.org/node/1',
+    name: 'Café Dupont',
+    website: 'https://example.org',
+    allTags: { name: 'Café Dupont', amenity: 'cafe', phone: '02 555 12 12', website: 'https://example.org' },
+    invalidNumbers: { phone: '02 555 12 12' },
+    suggestedFixes: { phone: '+32 2 555 12 12' },
+    issues: { phone: ['missingCountryCode'] },
+    autoFixable: true,
+};
+const DISUSED_ITEM = {
+    type: 'way',
+    id: 2,
+    osmUrl: 'https://www.openstreetmap.org/way/2',
+    name: 'Old Bakery',
+    allTags: { name: 'Old Bakery', 'disused:shop': 'bakery', phone: '12345', 'contact:mobile': '0470 12' },
+    invalidNumbers: { phone: '12345', 'contact:mobile': '0470 12' },
+    suggestedFixes: { phone: null, 'contact:mobile': null },
+    issues: { phone: ['tooShort'], 'contact:mobile': ['tooShort', 'unknownAreaCode'] },
+    autoFixable: false,
+};
+
+/**
+ * Writes the report of a subdivision of Belgium with some invalid items, and reads it back.
+ * @param {Array<Object>} invalidNumbers
+ * @param {string} [slug='ixelles'] - The subdivision's slug, in the division brussels.
+ * @returns {Promise<string>} The page.
+ */
+async function writeReport(invalidNumbers, slug = 'ixelles') {
+    const subdivisionStats = { name: slug, divisionSlug: 'brussels', slug, invalidCount: invalidNumbers.length, autoFixableCount: 0, totalNumbers: 10 };
+    fs.mkdirSync(path.join(outputDir, 'belgium', 'brussels'), { recursive: true });
+    await generateHtmlReport({ ...REPORT, subdivisionStats, invalidNumbers, countryCode: 'BE', outputDir, translations: TRANSLATIONS });
+    return fs.readFileSync(path.join(outputDir, 'belgium', 'brussels', `${slug}.html`), 'utf8');
+}
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-report-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('generateUnavailableReport', () => {
+    const readReport = () => fs.readFileSync(path.join(outputDir, 'belgium', 'brussels', 'ixelles.html'), 'utf8');
+
+    test('shows the counts from the last build that fetched the subdivision', async () => {
+        const lastCounts = { timestamp: START, invalidCount: 12, autoFixableCount: 5, totalNumbers: 340 };
+        await generateUnavailableReport({ ...REPORT, lastCounts, outputDir });
+
+        const html = readReport();
+        expect(html).toContain('<h2 class="unavailable-notice-title">Data unavailable</h2>');
+        expect(html).toContain('from the build of 1 Jan 2025.');
+        expect(html).toContain('<p class="stats-box-number">340</p>');
+        expect(html).toContain('<p class="stats-box-number-invalid">12</p>');
+    });
+
+    test('still writes a page if no build has fetched the subdivision', async () => {
+        await generateUnavailableReport({ ...REPORT, lastCounts: null, outputDir });
+
+        const html = readReport();
+        expect(html).toContain('no earlier counts are known');
+        expect(html).not.toContain('stats-box');
+    });
+});
+
+describe('generateHtmlReport', () => {
+    const getListItemTag = (html, key) => html.match(new RegExp(`<li class="report-list-item" id="${key}"[^>]*>`))[0];
+
+    test('gives each invalid item the data attributes the filters match', async () => {
+        const html = await writeReport([FIXABLE_ITEM, DISUSED_ITEM]);
+
+        const fixable = getListItemTag(html, 'node-1');
+        expect(fixable).toContain('data-search="café dupont cafe 02 555 12 12 +32 2 555 12 12 025551212 +3225551212"');
+        expect(fixable).toContain('data-key="phone"');
+        expect(fixable).toContain('data-type="Cafe"');
+        expect(fixable).toContain('data-issue="missingCountryCode"');
+        expect(fixable).toContain('data-fixable="yes" data-disused="no" data-website="yes"');
+
+        const disused = getListItemTag(html, 'way-2');
+        expect(disused).toContain('data-key="phone contact:mobile"');
+        expect(disused).toContain('data-issue="tooShort unknownAreaCode"');
+        expect(disused).toContain('data-fixable="no" data-disused="yes" data-website="no"');
+    });
+
+    test('gives each invalid item the buttons to mark it done or skipped', async () => {
+        const html = await writeReport([FIXABLE_ITEM, DISUSED_ITEM]);
+        expect(html.match(/<button type="button" class="btn btn-progress" data-progress="done" aria-pressed="false">/g)).toHaveLength(2);
+        expect(html.match(/<button type="button" class="btn btn-progress" data-progress="skipped" aria-pressed="false">/g)).toHaveLength(2);
+    });
+
+    test('has a progress box identified by the report, with every item remaining', async () => {
+        const html = await writeReport([FIXABLE_ITEM, DISUSED_ITEM]);
+        expect(html).toContain('<div id="progress-box" class="progress-box" data-report="belgium/brussels/ixelles">');
+        expect(html).toContain('<p id="progress-remaining" class="progress-box-number">2</p>');
+        expect(html).toContain('<input type="file" id="progress-import" accept=".json,application/json" class="hidden">');
+    });
+
+    test('escapes tag keys in the labels and the JOSM links', async () => {
+        const key = "phone:<img src=x onerror=alert(1)>');alert('1";
+        const item = {
+            ...FIXABLE_ITEM,
+            allTags: { ...FIXABLE_ITEM.allTags, [key]: '02 555 12 13' },
+            invalidNumbers: { [key]: '02 555 12 13' },
+            suggestedFixes: { [key]: '+32 2 555 12 13' },
+            issues: { [key]: ['missingCountryCode'] },
+        };
+        const html = await writeReport([item]);
+
+        expect(html).not.toContain('<img src=x');
+        expect(html).not.toContain('onclick="openInJosm');
+        expect(html).toContain('<span class="list-item-phone-label">phone:&lt;img src=x onerror=alert(1)&gt;&#039;);alert(&#039;1</span>');
+        const josmUrls = [...html.matchAll(/data-josm-url="([^"]*)"/g)].map(([, url]) => url);
+        expect(josmUrls).toEqual([
+            expect.stringContaining('http://127.0.0.1:8111/load_object?objects=n1&amp;addtags=phone%3A%3Cimg%20src%3Dx%20onerror%3Dalert(1)%3E&#039;)'),
+            expect.stringContaining('http://127.0.0.1:8111/load_object?objects=n1'),
+        ]);
+    });
+
+    test('escapes the subdivision and country names once', async () => {
+        const subdivisionStats = { name: "Côte d'Azur", divisionSlug: 'brussels', slug: 'cote-dazur', invalidCount: 1, autoFixableCount: 1, totalNumbers: 1 };
+        const countryName = "Belgium's";
+        fs.mkdirSync(path.join(outputDir, safeName(countryName), 'brussels'), { recursive: true });
+        await generateHtmlReport({ ...REPORT, countryName, subdivisionStats, invalidNumbers: [FIXABLE_ITEM], outputDir });
+        const html = fs.readFileSync(path.join(outputDir, safeName(countryName), 'brussels', 'cote-dazur.html'), 'utf8');
+
+        expect(html).toContain('<h2 class="page-subtitle">Côte d&#039;Azur</h2>');
+        expect(html).toContain('Belgium&#039;s');
+        expect(html).not.toContain('&amp;#039;');
+    });
+
+    test('has no progress box or filter bar without invalid items', async () => {
+        const html = await writeReport([]);
+        expect(html).not.toContain('id="progress-box"');
+        expect(html).not.toContain('class="filter-bar"');
+    });
+});
+
+describe('progress tracking on a report page', () => {
+    const STORAGE_KEY = 'osm_report_progress';
+    const getSaved = storage => JSON.parse(storage.getItem(STORAGE_KEY));
+    const clickProgress = (page, key, status) => page.items
+        .find(item => item.id === key).children
+        .find(button => button.dataset.progress === status)
+        .dispatch('click');
+
+    test('saves the marks under the report in localStorage', async () => {
+        const page = openReportPage(await writeReport([FIXABLE_ITEM, DISUSED_ITEM]));
+        expect(page.run('PROGRESS_STORAGE_KEY')).toBe(STORAGE_KEY);
+
+        clickProgress(page, 'node-1', 'done');
+        clickProgress(page, 'way-2', 'skipped');
+
+        expect(getSaved(page.localStorage)).toEqual({ version: 1, reports: { 'belgium/brussels/ixelles': { 'node-1': 'done', 'way-2': 'skipped' } } });
+        expect(page.items[0].classList.contains('item-done')).toBe(true);
+        expect(page.items[1].classList.contains('item-skipped')).toBe(true);
+        expect(page.items[0].children[0].getAttribute('aria-pressed')).toBe('true');
+        expect(page.document.getElementById('progress-done').textContent).toBe('1');
+        expect(page.document.getElementById('progress-skipped').textContent).toBe('1');
+        expect(page.document.getElementById('progress-remaining').textContent).toBe('0');
+        expect(page.document.getElementById('progress-bar-done').style.width).toBe('50%');
+    });
+
+    test('unmarks an item when its mark is clicked again, and forgets an empty report', async () => {
+        const page = openReportPage(await writeReport([FIXABLE_ITEM]));
+        clickProgress(page, 'node-1', 'done');
+        clickProgress(page, 'node-1', 'done');
+
+        expect(getSaved(page.localStorage)).toEqual({ version: 1, reports: {} });
+        expect(page.items[0].classList.contains('item-done')).toBe(false);
+    });
+
+    test('keeps each report page\'s marks apart', async () => {
+        const storage = createStorage();
+        const ixelles = openReportPage(await writeReport([FIXABLE_ITEM]), { localStorage: storage });
+        const uccle = openReportPage(await writeReport([FIXABLE_ITEM], 'uccle'), { localStorage: storage });
+
+        clickProgress(ixelles, 'node-1', 'done');
+        clickProgress(uccle, 'node-1', 'skipped');
+
+        expect(getSaved(storage).reports).toEqual({
+            'belgium/brussels/ixelles': { 'node-1': 'done' },
+            'belgium/brussels/uccle': { 'node-1': 'skipped' },
+        });
+        const reopened = openReportPage(await writeReport([FIXABLE_ITEM]), { localStorage: storage });
+        expect(reopened.items[0].classList.contains('item-done')).toBe(true);
+        expect(reopened.items[0].classList.contains('item-skipped')).toBe(false);
+    });
+
+    test('forgets the marks of items no longer in the report when it is opened', async () => {
+        const storage = createStorage({
+            [STORAGE_KEY]: JSON.stringify({ version: 1, reports: { 'belgium/brussels/ixelles': { 'node-1': 'done', 'node-9': 'skipped' } } }),
+        });
+        const page = openReportPage(await writeReport([FIXABLE_ITEM]), { localStorage: storage });
+
+        expect(getSaved(storage).reports).toEqual({ 'belgium/brussels/ixelles': { 'node-1': 'done' } });
+        expect(page.document.getElementById('progress-done').textContent).toBe('1');
+    });
+
+    test('only accepts progress with the keys of report items', async () => {
+        const page = openReportPage(await writeReport([FIXABLE_ITEM]));
+        const withKey = itemKey => JSON.stringify({ version: 1, reports: { 'belgium/brussels/ixelles': { [itemKey]: 'done' } } });
+
+        expect(page.run(`isProgress(${withKey('way-2')})`)).toBe(true);
+        expect(page.run(`isProgress(${withKey('node-1"]')})`)).toBe(false);
+        expect(page.run(`isProgress(${withKey('node-1 x')})`)).toBe(false);
+    });
+
+    test('starts again from saved progress with a key that isn\'t an item\'s', async () => {
+        const storage = createStorage({
+            [STORAGE_KEY]: JSON.stringify({ version: 1, reports: { 'belgium/brussels/ixelles': { 'node-1': 'done', 'node-9"]': 'skipped' } } }),
+        });
+        const page = openReportPage(await writeReport([FIXABLE_ITEM]), { localStorage: storage });
+        clickProgress(page, 'node-1', 'skipped');
+
+        expect(getSaved(storage)).toEqual({ version: 1, reports: { 'belgium/brussels/ixelles': { 'node-1': 'skipped' } } });
+    });
+
+    test('starts again from saved progress it can\'t read', async () => {
+        const storage = createStorage({ [STORAGE_KEY]: JSON.stringify({ version: 2, reports: [] }) });
+        const page = openReportPage(await writeReport([FIXABLE_ITEM]), { localStorage: storage });
+        clickProgress(page, 'node-1', 'skipped');
+
+        expect(getSaved(storage)).toEqual({ version: 1, reports: { 'belgium/brussels/ixelles': { 'node-1': 'skipped' } } });
+    });
+});
+
+describe('the filter bar of a report page', () => {
+    const BAKERY_ITEM = {
+        type: 'node',
+        id: 3,
+        osmUrl: 'https://www.openstreetmap.org/node/3',
+        name: 'Boulangerie',
+        allTags: { name: 'Boulangerie', shop: 'bakery', phone: '+32 2 555 12 13 ext 4' },
+        invalidNumbers: { phone: '+32 2 555 12 13 ext 4' },
+        suggestedFixes: { phone: '+32 2 555 12 13;ext=4' },
+        issues: { phone: ['extensionFormat'] },
+        autoFixable: true,
+    };
+    const ITEMS = [FIXABLE_ITEM, DISUSED_ITEM, BAKERY_ITEM];
+
+    const getSelect = (html, filter) => html.match(new RegExp(`<select class="filter-select" data-filter="${filter}"[\\s\\S]*?</select>`))[0];
+    const getOptions = (html, filter) => [...getSelect(html, filter).matchAll(/<option value="([^"]*)">([^<]*)<\/option>/g)]
+        .map(([, value, text]) => [value, text]);
+    const getShown = page => page.items.filter(item => !item.classList.contains('hidden')).map(item => item.id);
+    const setFilter = (page, filter, value) => {
+        const control = page.controls.find(candidate => candidate.dataset.filter === filter);
+        control.value = value;
+        control.dispatch('input');
+    };
+
+    test('has a search box and a menu for each filter', async () => {
+        const html = await writeReport(ITEMS);
+        expect(html).toContain('<div class="filter-bar" role="search" aria-label="Filter the list">');
+        expect(html).toContain('<input type="search" class="filter-search" data-filter="q" placeholder="Search names and numbers"');
+        expect([...html.matchAll(/<select class="filter-select" data-filter="(\w+)"/g)].map(([, filter]) => filter))
+            .toEqual(['key', 'type', 'issue', 'fixable', 'disused', 'website']);
+        expect(getOptions(html, 'fixable')).toEqual([['', 'Fixable or not'], ['yes', 'Fixable automatically'], ['no', 'To fix by hand']]);
+    });
+
+    test('only offers the keys, types and issues of the items, with their counts', async () => {
+        const html = await writeReport(ITEMS);
+        expect(getOptions(html, 'key')).toEqual([['', 'Any key'], ['phone', 'phone (3)'], ['contact:mobile', 'contact:mobile (1)']]);
+        expect(getOptions(html, 'type')).toEqual([['', 'Any type of feature'], ['Bakery', 'Bakery (1)'], ['Cafe', 'Cafe (1)'], ['Line', 'Line (1)']]);
+        expect(getOptions(html, 'issue')).toEqual([
+            ['', 'Any issue'],
+            ['missingCountryCode', 'No country code (1)'],
+            ['extensionFormat', `${TRANSLATIONS.issueExtensionFormat} (1)`],
+            ['tooShort', 'Too short (1)'],
+            ['unknownAreaCode', 'Unknown area code (1)'],
+        ]);
+    });
+
+    test('shows the items matching the filters in the URL hash', async () => {
+        const page = openReportPage(await writeReport(ITEMS), { hash: '#issue=tooShort&fixable=no' });
+
+        expect(page.controls.map(control => control.value)).toEqual(['', '', '', 'tooShort', 'no', '', '']);
+        expect(getShown(page)).toEqual(['way-2']);
+        expect(page.document.getElementById('filter-count').textContent).toBe('Items shown: 1');
+        expect(page.document.getElementById('filter-clear').classList.contains('hidden')).toBe(false);
+        expect(page.location.hash).toBe('#issue=tooShort&fixable=no');
+    });
+
+    test('leaves out values in the URL hash that the report doesn\'t offer', async () => {
+        const page = openReportPage(await writeReport(ITEMS), { hash: '#type=Hospital&key=phone' });
+
+        expect(getShown(page)).toEqual(['node-1', 'node-3', 'way-2']);
+        expect(page.location.hash).toBe('#key=phone');
+    });
+
+    test('keeps the chosen filters in the URL hash', async () => {
+        const page = openReportPage(await writeReport(ITEMS));
+
+        setFilter(page, 'q', 'Dupont 025551212');
+        expect(getShown(page)).toEqual(['node-1']);
+        expect(page.location.hash).toBe('#q=Dupont+025551212');
+
+        setFilter(page, 'type', 'Cafe');
+        expect(page.location.hash).toBe('#q=Dupont+025551212&type=Cafe');
+
+        page.document.getElementById('filter-clear').dispatch('click');
+        expect(getShown(page)).toEqual(['node-1', 'node-3', 'way-2']);
+        expect(page.location.hash).toBe('');
+        expect(page.document.getElementById('filter-count').textContent).toBe('');
+    });
+
+    test('matches items with any of several values by the value', async () => {
+        const page = openReportPage(await writeReport(ITEMS), { hash: '#key=contact%3Amobile' });
+        expect(getShown(page)).toEqual(['way-2']);
+
+        setFilter(page, 'key', '');
+        setFilter(page, 'issue', 'unknownAreaCode');
+        expect(getShown(page)).toEqual(['way-2']);
+        setFilter(page, 'issue', 'extensionFormat');
+        expect(getShown(page)).toEqual(['node-3']);
+    });
+
+    test('leaves a link to an item in the URL hash alone', async () => {
+        const page = openReportPage(await writeReport(ITEMS), { hash: '#node-3' });
+
+        expect(getShown(page)).toEqual(['node-1', 'node-3', 'way-2']);
+        expect(page.location.hash).toBe('#node-3');
+    });
+});
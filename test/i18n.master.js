@@ -58,7 +58,115 @@ const MASTER_KEYS = {
 
     // Page Titles (uses %s for country name)
     'mainIndexTitle': [], // Static title
-    'countryReportTitle': ['%c']
+    'countryReportTitle': ['%c'],
+
+    'dataUnavailable': [],
+    'dataUnavailableDescription': [],
+    'previousReport': [],
+
+    'trendTitle': [],
+
+    'newItem': [],
+    'runDiffSummary': ['%d', '%n', '%f', '%o'],
+    'recentlyFixedHeader': [],
+    'recentlyFixedDescription': [],
+
+    'downloadOsmChange': [],
+    'downloadOsmChangeDescription': [],
+
+    'listView': [],
+    'mapView': [],
+    'needsManualFix': [],
+    'mapLoadError': [],
+    'downloadCsv': [],
+    'downloadCsvDescription': [],
+    'feedTitle': ['%c'],
+    'viewInReport': [],
+    'subscribeFeed': [],
+    'excludedNumbersHeader': [],
+    'excludedNumbersDescription': [],
+    'kindPhone': [],
+    'kindMobile': [],
+    'kindFax': [],
+    'kindEmergency': [],
+    'kindWhatsapp': [],
+    'kindSms': [],
+    'kindTotal': ['%k', '%i', '%t'],
+    'numberTypeWarningsHeader': [],
+    'numberTypeWarningsDescription': [],
+    'warningLabel': [],
+    'warningLandlineAsMobile': [],
+    'warningMobileAsPhone': [],
+    'warningPremiumRate': [],
+    'warningPager': [],
+    'warningVoip': [],
+    'redundant': [],
+    'removeDuplicateTag': ['%k'],
+    'foreignNumbersHeader': [],
+    'foreignNumbersDescription': [],
+    'foreignNumberFrom': ['%c', '%n'],
+    'normalizationsApplied': [],
+    'normalizationInvisibleCharacters': [],
+    'normalizationSpecialSpaces': [],
+    'normalizationNonAsciiDigits': [],
+    'normalizationTelUri': [],
+    'normalizationVanityLetters': [],
+    'allIssues': [],
+    'issueBadSeparatorDescription': [],
+    'issueRepeatedNumberDescription': [],
+    'issueRedundantTagDescription': [],
+    'issueMissingCountryCodeDescription': [],
+    'issueFormattingDescription': [],
+    'issueUnusualCharactersDescription': [],
+    'issueExtensionFormatDescription': [],
+    'issueWrongNumberTypeDescription': [],
+    'issueTooShortDescription': [],
+    'issueTooLongDescription': [],
+    'issueInvalidLengthDescription': [],
+    'issueUnknownAreaCodeDescription': [],
+    'issueInvalidCountryDescription': [],
+    'issueNotANumberDescription': [],
+    'issueBadSeparator': [],
+    'issueRepeatedNumber': [],
+    'issueRedundantTag': [],
+    'issueMissingCountryCode': [],
+    'issueFormatting': [],
+    'issueUnusualCharacters': [],
+    'issueExtensionFormat': [],
+    'issueWrongNumberType': [],
+    'issueTooShort': [],
+    'issueTooLong': [],
+    'issueInvalidLength': [],
+    'issueUnknownAreaCode': [],
+    'issueInvalidCountry': [],
+    'issueNotANumber': [],
+    'filterHeader': [],
+    'filterSearchPlaceholder': [],
+    'filterAllKeys': [],
+    'filterAllTypes': [],
+    'filterFixableAny': [],
+    'filterFixableYes': [],
+    'filterFixableNo': [],
+    'filterDisusedAny': [],
+    'filterDisusedYes': [],
+    'filterDisusedNo': [],
+    'filterWebsiteAny': [],
+    'filterWebsiteYes': [],
+    'filterWebsiteNo': [],
+    'filterClear': [],
+    'filterShownCount': ['%n'],
+    'progressHeader': [],
+    'progressDescription': [],
+    'progressDone': [],
+    'progressSkipped': [],
+    'progressRemaining': [],
+    'progressExport': [],
+    'progressImport': [],
+    'progressImportError': [],
+    'markDone': [],
+    'markSkipped': [],
+    'unavailableReportDescription': ['%d'],
+    'unavailableReportNoHistory': []
 };
 
 module.exports = { MASTER_KEYS };
\ No newline at end of file
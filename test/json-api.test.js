@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    API_VERSION,
+    createSubdivisionDocument,
+    createCountryDocument,
+    createIndexDocument,
+    writeSubdivisionJson,
+    writeCountryJson,
+    writeIndexJson,
+} = require('../src/json-api');
+
+const schema = require('../src/api-schema.json');
+const { ISSUE_CODES } = require('../src/constants');
+
+const COUNTRY = { name: 'Belgium', slug: 'belgium' };
+const STATS = { name: 'East', divisionSlug: 'flanders', slug: 'east', invalidCount: 1, autoFixableCount: 1, totalNumbers: 3 };
+const ITEM = {
+    type: 'node',
+    id: 42,
+    osmUrl: 'https://www.openstreetmap.org/node/42',
+    website: undefined,
+    lat: 50.8,
+    lon: 4.3,
+    name: undefined,
+    allTags: { phone: '02 555 12 12', mobile: '0470 12 34 56' },
+    invalidNumbers: { phone: '02 555 12 12' },
+    suggestedFixes: { phone: '+32 2 555 12 12' },
+    autoFixable: true,
+};
+const COUNTRY_STATS = {
+    ...COUNTRY,
+    locale: 'nl-BE',
+    invalidCount: 1,
+    autoFixableCount: 1,
+    totalNumbers: 3,
+    groupedDivisionStats: {
+        Flanders: [STATS, { name: 'West', divisionSlug: 'flanders', slug: 'west', dataUnavailable: true, hasPreviousReport: false }],
+    },
+    unavailableDivisions: [],
+};
+
+/**
+ * Checks that an object has every property that a schema definition requires.
+ * Only the top level is checked, since there is no JSON schema validator among the dependencies.
+ * @param {Object} object
+ * @param {string} definition - The name of the definition in `$defs`.
+ */
+function expectRequiredProperties(object, definition) {
+    for (const property of schema.$defs[definition].required) {
+        expect(object).toHaveProperty([property]);
+    }
+}
+
+describe('documents', () => {
+    test('the subdivision document lists each invalid tag', () => {
+        const document = createSubdivisionDocument(COUNTRY, STATS, [ITEM], Date.UTC(2025, 0, 1));
+
+        expect(document).toEqual({
+            apiVersion: API_VERSION,
+            kind: 'subdivision',
+            generatedAt: '2025-01-01T00:00:00.000Z',
+            country: COUNTRY,
+            subdivision: STATS,
+            items: [{
+                key: 'node-42',
+                type: 'node',
+                id: 42,
+                osmUrl: 'https://www.openstreetmap.org/node/42',
+                name: null,
+                lat: 50.8,
+                lon: 4.3,
+                autoFixable: true,
+                invalidTags: [{ tag: 'phone', value: '02 555 12 12', suggestedFix: '+32 2 555 12 12' }],
+            }],
+        });
+        expectRequiredProperties(document, 'subdivisionReport');
+        expectRequiredProperties(document.items[0], 'invalidItem');
+        expectRequiredProperties(document.items[0].invalidTags[0], 'invalidTag');
+    });
+
+    test('an invalid tag gives the conversions its fix needed', () => {
+        const item = { ...ITEM, invalidNumbers: { phone: 'tel:+3225551212' }, normalizations: { phone: ['telUri'] } };
+        const document = createSubdivisionDocument(COUNTRY, STATS, [item], Date.UTC(2025, 0, 1));
+
+        expect(document.items[0].invalidTags).toEqual([
+            { tag: 'phone', value: 'tel:+3225551212', suggestedFix: '+32 2 555 12 12', normalizations: ['telUri'] },
+        ]);
+        expect(schema.$defs.invalidTag.properties.normalizations.items.enum).toContain('telUri');
+    });
+
+    test('an invalid tag gives its issues, which the schema lists', () => {
+        const item = { ...ITEM, issues: { phone: ['missingCountryCode'] } };
+        const document = createSubdivisionDocument(COUNTRY, STATS, [item], Date.UTC(2025, 0, 1));
+
+        expect(document.items[0].invalidTags[0].issues).toEqual(['missingCountryCode']);
+        expect(schema.$defs.invalidTag.properties.issues.items.enum).toEqual(ISSUE_CODES);
+    });
+
+    test('the country and index documents mirror the country stats', () => {
+        const country = createCountryDocument(COUNTRY_STATS, 0);
+        const index = createIndexDocument([COUNTRY_STATS], 0);
+
+        expect(country.country).toEqual(COUNTRY_STATS);
+        expect(index.countries).toEqual([COUNTRY_STATS]);
+        expectRequiredProperties(country, 'countryReport');
+        expectRequiredProperties(index, 'index');
+        expectRequiredProperties(COUNTRY_STATS, 'countryStats');
+    });
+
+    test('keeps names as they are, without HTML entities', () => {
+        const stats = { ...STATS, name: "Provence-Alpes-Côte d'Azur" };
+        const countryStats = { ...COUNTRY_STATS, name: "Côte d'Ivoire", groupedDivisionStats: { "Valle d'Aosta": [stats] } };
+
+        const subdivisionDocument = createSubdivisionDocument({ ...COUNTRY, name: "Côte d'Ivoire" }, stats, [ITEM], 0);
+        expect(subdivisionDocument.country.name).toBe("Côte d'Ivoire");
+        expect(JSON.stringify(subdivisionDocument)).toContain('"name":"Provence-Alpes-Côte d\'Azur"');
+        const countryJson = JSON.stringify(createCountryDocument(countryStats, 0));
+        expect(countryJson).toContain("Valle d'Aosta");
+        expect(countryJson).toContain("Provence-Alpes-Côte d'Azur");
+        expect(JSON.stringify(createIndexDocument(countryStats, 0))).toContain("Côte d'Ivoire");
+        expect(countryJson).not.toContain('&#039;');
+    });
+
+    test('the schema is for the current version', () => {
+        expect(schema.$defs.apiVersion.const).toBe(API_VERSION);
+    });
+});
+
+describe('writing', () => {
+    let outputDir;
+
+    beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-json-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('writes each document next to its page', async () => {
+        await writeSubdivisionJson(outputDir, COUNTRY, STATS, [ITEM], 0);
+        await writeCountryJson(outputDir, COUNTRY_STATS);
+        await writeIndexJson(outputDir, [COUNTRY_STATS]);
+
+        const read = filePath => JSON.parse(fs.readFileSync(path.join(outputDir, filePath), 'utf8'));
+        expect(read('belgium/flanders/east.json').kind).toBe('subdivision');
+        expect(read('belgium/index.json').kind).toBe('country');
+        expect(read('index.json').kind).toBe('index');
+        expect(read('api-schema.json')).toEqual(schema);
+    });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTask, createChallenge, writeMapRouletteChallenges } = require('../src/maproulette');
+const { writeSubdivisionJson } = require('../src/json-api');
+
+const FIXABLE_ITEM = {
+    key: 'node-1',
+    type: 'node',
+    id: 1,
+    osmUrl: 'https://www.openstreetmap.org/node/1',
+    name: 'Bakery',
+    lat: 50.8,
+    lon: 4.3,
+    autoFixable: true,
+    invalidTags: [{ tag: 'phone', value: '02 555 12 12', suggestedFix: '+32 2 555 12 12' }],
+};
+const INVALID_ITEM = {
+    key: 'way-2',
+    type: 'way',
+    id: 2,
+    osmUrl: 'https://www.openstreetmap.org/way/2',
+    name: null,
+    lat: 51,
+    lon: 4,
+    autoFixable: false,
+    invalidTags: [{ tag: 'contact:mobile', value: '12345', suggestedFix: null }],
+};
+
+/**
+ * Converts an item from the subdivision JSON back to the shape `validateNumbers` returns,
+ * so that it can be written with `writeSubdivisionJson`.
+ * @param {Object} item
+ * @returns {Object}
+ */
+function toInvalidNumber(item) {
+    return {
+        type: item.type,
+        id: item.id,
+        osmUrl: item.osmUrl,
+        name: item.name ?? undefined,
+        lat: item.lat,
+        lon: item.lon,
+        autoFixable: item.autoFixable,
+        invalidNumbers: Object.fromEntries(item.invalidTags.map(({ tag, value }) => [tag, value])),
+        suggestedFixes: Object.fromEntries(item.invalidTags.map(({ tag, suggestedFix }) => [tag, suggestedFix])),
+    };
+}
+
+/**
+ * Parses a line-by-line GeoJSON file.
+ * @param {string} content
+ * @returns {Array<Object>}
+ */
+function parseLines(content) {
+    return content.split('\n').filter(Boolean).map(line => {
+        expect(line.startsWith('\u001e')).toBe(true);
+        return JSON.parse(line.slice(1));
+    });
+}
+
+describe('createTask', () => {
+    test('describes the element and its invalid tags', () => {
+        const task = createTask(INVALID_ITEM);
+        expect(task).toEqual({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                id: 'way/2',
+                geometry: { type: 'Point', coordinates: [4, 51] },
+                properties: {
+                    '@id': 'way/2',
+                    osmUrl: 'https://www.openstreetmap.org/way/2',
+                    invalidTags: 'contact:mobile',
+                    'contact:mobile': '12345',
+                },
+            }],
+        });
+    });
+
+    test('adds a tag fix for autofixable items', () => {
+        const task = createTask(FIXABLE_ITEM);
+        expect(task.features[0].properties['suggestedFix:phone']).toBe('+32 2 555 12 12');
+        expect(task.cooperativeWork).toEqual({
+            meta: { version: 2, type: 1 },
+            operations: [{
+                operationType: 'modifyElement',
+                data: { id: 'node/1', operations: [{ operation: 'setTags', data: { phone: '+32 2 555 12 12' } }] },
+            }],
+        });
+    });
+
+    test('removes redundant tags in the tag fix', () => {
+        const task = createTask({
+            ...FIXABLE_ITEM,
+            invalidTags: [{ tag: 'contact:phone', value: '+32 2 555 12 12', suggestedFix: null, duplicateOf: 'phone' }],
+        });
+        expect(task.cooperativeWork.operations[0].data.operations).toEqual([
+            { operation: 'unsetTags', data: ['contact:phone'] },
+        ]);
+    });
+});
+
+describe('createChallenge', () => {
+    test('writes one task per line, leaving out items without a location', () => {
+        const content = createChallenge([FIXABLE_ITEM, { ...INVALID_ITEM, lat: null, lon: null }, INVALID_ITEM]);
+        expect(parseLines(content).map(task => task.features[0].id)).toEqual(['node/1', 'way/2']);
+    });
+});
+
+describe('writeMapRouletteChallenges', () => {
+    let outputDir;
+
+    beforeEach(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-maproulette-'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('writes challenges for the country and each division from the subdivision JSON', async () => {
+        const country = { name: 'Belgium', slug: 'belgium' };
+        const east = { name: 'East', divisionSlug: 'flanders', slug: 'east', invalidCount: 2, autoFixableCount: 1, totalNumbers: 2 };
+        const west = { name: 'West', divisionSlug: 'flanders', slug: 'west', dataUnavailable: true, hasPreviousReport: false };
+        const missing = { name: 'Namur', divisionSlug: 'wallonia', slug: 'namur', invalidCount: 0, autoFixableCount: 0, totalNumbers: 0 };
+        await writeSubdivisionJson(outputDir, country, east, [FIXABLE_ITEM, INVALID_ITEM].map(toInvalidNumber), 0);
+
+        const stale = path.join(outputDir, 'belgium', 'maproulette', 'old', 'invalid.geojson');
+        fs.mkdirSync(path.dirname(stale), { recursive: true });
+        fs.writeFileSync(stale, '');
+
+        writeMapRouletteChallenges(outputDir, {
+            ...country,
+            groupedDivisionStats: { Flanders: [east, west], Wallonia: [missing] },
+        });
+
+        const read = filePath => parseLines(fs.readFileSync(path.join(outputDir, 'belgium', 'maproulette', filePath), 'utf8'));
+        expect(read('fixable.geojson').map(task => task.features[0].id)).toEqual(['node/1']);
+        expect(read('invalid.geojson').map(task => task.features[0].id)).toEqual(['way/2']);
+        expect(read('flanders/invalid.geojson')).toHaveLength(1);
+        expect(fs.existsSync(path.join(outputDir, 'belgium', 'maproulette', 'wallonia'))).toBe(false);
+        expect(fs.existsSync(stale)).toBe(false);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+});
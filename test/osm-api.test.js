@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureCache, getCachedResponse } = require('../src/overpass-cache');
+const { configureOverpassClient } = require('../src/overpass-client');
+const { DataUnavailableError } = require('../src/errors');
+const { buildElementsQuery, buildFullElementsQuery, fetchAdminLevels, fetchOsmDataForDivision, fetchFullElements } = require('../src/osm-api');
+
+const ENDPOINT = 'https://overpass.example/api/interpreter';
+const DIVISION = { name: 'Test', id: 1234 };
+
+let cacheDir;
+
+/**
+ * Points the shared Overpass client at a mock fetch which gives the same answer every time.
+ * @param {Object|Error} answer - The JSON body to return, or an Error to throw.
+ * @param {number} [status=200]
+ */
+function mockOverpass(answer, status = 200) {
+    const fetch = jest.fn(async () => {
+        if (answer instanceof Error) {
+            throw answer;
+        }
+        return {
+            status: status,
+            ok: status >= 200 && status < 300,
+            statusText: `Status ${status}`,
+            headers: { get: () => null },
+            json: async () => answer,
+        };
+    });
+    configureOverpassClient([{ url: ENDPOINT }], { fetch, sleep: async () => {}, retries: 0 });
+}
+
+beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-api-'));
+    configureCache({ dir: cacheDir, ttlSeconds: 0, replay: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('fetchOsmDataForDivision', () => {
+    test('returns and records the elements of a complete response', async () => {
+        const data = { elements: [{ type: 'node', id: 1, tags: { phone: '+32 2 123 45 67' } }] };
+        mockOverpass(data);
+        expect(await fetchOsmDataForDivision(DIVISION)).toEqual(data.elements);
+        configureCache({ replay: true });
+        expect(getCachedResponse(buildElementsQuery(DIVISION))).toEqual(data);
+    });
+
+    test('throws DataUnavailableError when the request fails', async () => {
+        mockOverpass({}, 400);
+        const result = fetchOsmDataForDivision(DIVISION);
+        await expect(result).rejects.toThrow(DataUnavailableError);
+        await expect(result).rejects.toMatchObject({ area: 'Test' });
+    });
+
+    test('throws DataUnavailableError when Overpass reports a runtime error', async () => {
+        mockOverpass({ elements: [], remark: 'runtime error: Query timed out in "query" at line 4 after 601 seconds.' });
+        await expect(fetchOsmDataForDivision(DIVISION)).rejects.toThrow(DataUnavailableError);
+        configureCache({ ttlSeconds: 3600 });
+        expect(getCachedResponse(buildElementsQuery(DIVISION))).toBeNull();
+    });
+});
+
+describe('fetchAdminLevels', () => {
+    test('throws DataUnavailableError when the request fails', async () => {
+        mockOverpass(new Error('ECONNREFUSED'));
+        await expect(fetchAdminLevels(1234, 'Test', 6)).rejects.toThrow(DataUnavailableError);
+    });
+});
+
+describe('fetchFullElements', () => {
+    test('asks for each type of element by ID', () => {
+        const query = buildFullElementsQuery([{ type: 'node', id: 1 }, { type: 'relation', id: 3 }, { type: 'node', id: 2 }]);
+        expect(query).toContain('node(id:1,2);');
+        expect(query).toContain('rel(id:3);');
+        expect(query).not.toContain('way(');
+        expect(query).toContain('out meta;');
+    });
+
+    test('does not query for no elements', async () => {
+        mockOverpass(new Error('should not be called'));
+        expect(await fetchFullElements([])).toEqual([]);
+    });
+
+    test('throws DataUnavailableError when the request fails', async () => {
+        mockOverpass(new Error('ECONNREFUSED'));
+        await expect(fetchFullElements([{ type: 'way', id: 1 }])).rejects.toThrow(DataUnavailableError);
+    });
+});
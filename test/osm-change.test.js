@@ -0,0 +1,88 @@
+const { getFixedTags, createOsmChange } = require('../src/osm-change');
+
+const NODE_ITEM = {
+    type: 'node',
+    id: 1,
+    invalidNumbers: { phone: '02 555 12 12', 'contact:mobile': '12345' },
+    suggestedFixes: { phone: '+32 2 555 12 12', 'contact:mobile': null },
+    autoFixable: true,
+};
+const NODE = {
+    type: 'node',
+    id: 1,
+    version: 4,
+    lat: 50.8,
+    lon: 4.3,
+    tags: { name: 'Café "Bon" & Co', phone: '02 555 12 12', 'contact:mobile': '12345' },
+};
+const WAY_ITEM = { type: 'way', id: 2, invalidNumbers: { phone: '02 555 00 00' }, suggestedFixes: { phone: '+32 2 555 00 00' } };
+const WAY = { type: 'way', id: 2, version: 1, nodes: [10, 11, 12, 10], tags: { building: 'yes', phone: '02 555 00 00' } };
+const RELATION_ITEM = { type: 'relation', id: 3, invalidNumbers: { phone: '02 555 99 99' }, suggestedFixes: { phone: '+32 2 555 99 99' } };
+const RELATION = {
+    type: 'relation',
+    id: 3,
+    version: 7,
+    members: [{ type: 'way', ref: 2, role: 'outer' }],
+    tags: { type: 'multipolygon', phone: '02 555 99 99' },
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getFixedTags', () => {
+    test('only changes the tags with a suggested fix', () => {
+        expect(getFixedTags(NODE, NODE_ITEM)).toEqual({
+            name: 'Café "Bon" & Co',
+            phone: '+32 2 555 12 12',
+            'contact:mobile': '12345',
+        });
+    });
+
+    test('does not apply a fix to a tag that has been edited since', () => {
+        const edited = { ...NODE, tags: { ...NODE.tags, phone: '+32 2 555 12 13' } };
+        expect(getFixedTags(edited, NODE_ITEM)).toBeNull();
+    });
+
+    test('removes redundant tags', () => {
+        const node = { ...NODE, tags: { phone: '+32 2 555 12 12', 'contact:phone': '02 555 12 12' } };
+        const item = {
+            ...NODE_ITEM,
+            invalidNumbers: { 'contact:phone': '02 555 12 12' },
+            suggestedFixes: { 'contact:phone': null },
+            redundantTags: { 'contact:phone': 'phone' },
+        };
+        expect(getFixedTags(node, item)).toEqual({ phone: '+32 2 555 12 12' });
+    });
+});
+
+describe('createOsmChange', () => {
+    test('modifies each element in full, keeping its version', () => {
+        const { xml, count } = createOsmChange([NODE_ITEM, WAY_ITEM, RELATION_ITEM], [RELATION, WAY, NODE]);
+
+        expect(count).toBe(3);
+        expect(xml).toContain('<osmChange version="0.6" generator="osm-phones">');
+        expect(xml).toContain('<node id="1" version="4" lat="50.8" lon="4.3">');
+        expect(xml).toContain('<tag k="name" v="Café &quot;Bon&quot; &amp; Co"/>');
+        expect(xml).toContain('<tag k="phone" v="+32 2 555 12 12"/>');
+        expect(xml).toContain('<tag k="contact:mobile" v="12345"/>');
+        expect(xml).toContain('<way id="2" version="1">\n      <nd ref="10"/>');
+        expect(xml).toContain('<member type="way" ref="2" role="outer"/>');
+        expect(xml).toContain('<relation id="3" version="7">');
+    });
+
+    test('leaves out elements that are missing, have no version or have been edited', () => {
+        const unversioned = { ...WAY, version: undefined };
+        const edited = { ...RELATION, tags: { ...RELATION.tags, phone: '+32 2 555 99 99' } };
+
+        const { xml, count } = createOsmChange([NODE_ITEM, WAY_ITEM, RELATION_ITEM], [unversioned, edited]);
+
+        expect(count).toBe(0);
+        expect(xml).toContain('<modify>\n  </modify>');
+        expect(console.warn).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    CacheMissError,
+    configureCache,
+    getCacheKey,
+    getCachedResponse,
+    saveCachedResponse
+} = require('../src/overpass-cache');
+const {
+    buildSubdivisionsQuery,
+    buildElementsQuery,
+    fetchAdminLevels,
+    fetchOsmDataForDivision,
+    fetchFullElements
+} = require('../src/osm-api');
+const { DataUnavailableError } = require('../src/errors');
+
+const QUERY = '[out:json]; node(1); out;';
+const RESPONSE = { elements: [{ type: 'node', id: 1, lat: 51.5, lon: 0, tags: { phone: '+44 20 7946 0000' } }] };
+
+let cacheDir;
+
+beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-cache-'));
+    configureCache({ dir: cacheDir, ttlSeconds: 0, replay: false });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('getCacheKey', () => {
+    test('is a hex SHA-256 hash', () => {
+        expect(getCacheKey(QUERY)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('ignores differences in whitespace', () => {
+        expect(getCacheKey('  [out:json];\n    node(1);\n  out;  ')).toBe(getCacheKey(QUERY));
+    });
+
+    test('differs for different queries', () => {
+        expect(getCacheKey('[out:json]; node(2); out;')).not.toBe(getCacheKey(QUERY));
+    });
+});
+
+describe('getCachedResponse', () => {
+    test('returns null when nothing is cached', () => {
+        expect(getCachedResponse(QUERY)).toBeNull();
+    });
+
+    test('stores the response with its query and a timestamp', () => {
+        saveCachedResponse(QUERY, RESPONSE);
+        const entry = JSON.parse(fs.readFileSync(path.join(cacheDir, `${getCacheKey(QUERY)}.json`), 'utf8'));
+        expect(entry.query).toBe(QUERY);
+        expect(entry.data).toEqual(RESPONSE);
+        expect(typeof entry.timestamp).toBe('number');
+    });
+
+    test('reuses a response within the TTL', () => {
+        configureCache({ ttlSeconds: 60 });
+        saveCachedResponse(QUERY, RESPONSE);
+        expect(getCachedResponse(QUERY)).toEqual(RESPONSE);
+    });
+
+    test('does not reuse a response older than the TTL', () => {
+        configureCache({ ttlSeconds: 60 });
+        saveCachedResponse(QUERY, RESPONSE);
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+        expect(getCachedResponse(QUERY)).toBeNull();
+    });
+
+    test('replay mode uses a response regardless of age', () => {
+        configureCache({ replay: true });
+        saveCachedResponse(QUERY, RESPONSE);
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 365 * 24 * 60 * 60 * 1000);
+        expect(getCachedResponse(QUERY)).toEqual(RESPONSE);
+    });
+
+    test('replay mode throws when there is no recorded response', () => {
+        configureCache({ replay: true });
+        expect(() => getCachedResponse(QUERY)).toThrow(CacheMissError);
+    });
+});
+
+describe('replaying recorded fixtures through osm-api', () => {
+    beforeEach(() => {
+        configureCache({ replay: true });
+    });
+
+    test('fetchOsmDataForDivision returns the recorded elements', async () => {
+        const division = { name: 'Test', id: 1234 };
+        saveCachedResponse(buildElementsQuery(division), RESPONSE);
+        expect(await fetchOsmDataForDivision(division)).toEqual(RESPONSE.elements);
+    });
+
+    test('fetchAdminLevels returns the recorded subdivisions, without duplicate names', async () => {
+        saveCachedResponse(buildSubdivisionsQuery(1234, 6), {
+            elements: [
+                { type: 'relation', id: 1, tags: { name: 'North' } },
+                { type: 'relation', id: 2, tags: { name: 'South' } },
+                { type: 'relation', id: 3, tags: { name: 'South' } },
+            ]
+        });
+        expect(await fetchAdminLevels(1234, 'Test', 6)).toEqual([
+            { name: 'North', id: 1 },
+            { name: 'South', id: 3 },
+        ]);
+    });
+
+    test('fails instead of going to the network when a query was not recorded', async () => {
+        await expect(fetchOsmDataForDivision({ name: 'Missing', id: 1 })).rejects.toThrow(CacheMissError);
+    });
+
+    test('a missing response makes the data unavailable, which the build carries on from', async () => {
+        // As for the full elements of an osmChange file, which the report doesn't need
+        const error = await fetchFullElements([{ type: 'node', id: 1 }]).catch(e => e);
+        expect(error).toBeInstanceOf(CacheMissError);
+        expect(error).toBeInstanceOf(DataUnavailableError);
+    });
+});
@@ -0,0 +1,204 @@
+const {
+    createOverpassClient,
+    parseEndpointsConfig,
+    parseStatus
+} = require('../src/overpass-client');
+
+const DATA = { elements: [{ type: 'node', id: 1 }] };
+
+/**
+ * Creates a mock fetch Response.
+ * @param {number} status
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+const mockResponse = (status, { json = DATA, text = '', headers = {} } = {}) => ({
+    status: status,
+    ok: status >= 200 && status < 300,
+    statusText: `Status ${status}`,
+    headers: { get: name => headers[name] ?? null },
+    json: async () => json,
+    text: async () => text,
+});
+
+/**
+ * Creates a fetch mock that answers each URL from its own queue of responses.
+ * A queued Error is thrown, as for a connection error.
+ * @param {Object<string, Array>} responsesByUrl
+ */
+const mockFetch = (responsesByUrl) => jest.fn(async (url) => {
+    const next = responsesByUrl[url].shift();
+    if (next instanceof Error) {
+        throw next;
+    }
+    return next;
+});
+
+const PRIMARY = 'https://primary.example/api/interpreter';
+const MIRROR = 'https://mirror.example/api/interpreter';
+
+let sleep;
+
+beforeEach(() => {
+    sleep = jest.fn(async () => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseStatus', () => {
+    test('no wait when slots are available', () => {
+        const status = 'Connected as: 1\nRate limit: 2\n2 slots available now.\nCurrently running queries:\n';
+        expect(parseStatus(status)).toEqual({ rateLimit: 2, slotsAvailable: 2, waitSeconds: 0 });
+    });
+
+    test('waits for the earliest slot when none are available', () => {
+        const status = [
+            'Rate limit: 2',
+            'Slot available after: 2025-01-01T00:00:30Z, in 30 seconds.',
+            'Slot available after: 2025-01-01T00:00:07Z, in 7 seconds.',
+        ].join('\n');
+        expect(parseStatus(status).waitSeconds).toBe(7);
+    });
+
+    test('no wait when there is no rate limit', () => {
+        expect(parseStatus('Rate limit: 0\n').waitSeconds).toBe(0);
+    });
+});
+
+describe('parseEndpointsConfig', () => {
+    test('parses a comma-separated list of URLs with default limits', () => {
+        expect(parseEndpointsConfig(`${PRIMARY}, ${MIRROR}`)).toEqual([
+            { url: PRIMARY, maxConcurrent: 1, minIntervalMs: 0, checkStatus: false },
+            { url: MIRROR, maxConcurrent: 1, minIntervalMs: 0, checkStatus: false },
+        ]);
+    });
+
+    test('parses a JSON list of endpoint configurations', () => {
+        const config = JSON.stringify([{ url: 'http://localhost:12345/api/interpreter', maxConcurrent: 8 }]);
+        expect(parseEndpointsConfig(config)).toEqual([
+            { url: 'http://localhost:12345/api/interpreter', maxConcurrent: 8, minIntervalMs: 0, checkStatus: false },
+        ]);
+    });
+});
+
+describe('createOverpassClient', () => {
+    test('returns the data from the first endpoint', async () => {
+        const fetch = mockFetch({ [PRIMARY]: [mockResponse(200)] });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR }], { fetch, sleep });
+
+        await expect(client.query('node(1); out;')).resolves.toEqual(DATA);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch.mock.calls[0][1].body).toBe(`data=${encodeURIComponent('node(1); out;')}`);
+    });
+
+    test.each([429, 504])('fails over to the next endpoint on HTTP %i', async (status) => {
+        const fetch = mockFetch({
+            [PRIMARY]: [mockResponse(status)],
+            [MIRROR]: [mockResponse(200)],
+        });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR }], { fetch, sleep });
+
+        await expect(client.query('q')).resolves.toEqual(DATA);
+        expect(fetch.mock.calls.map(call => call[0])).toEqual([PRIMARY, MIRROR]);
+        expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('fails over to the next endpoint on a connection error', async () => {
+        const fetch = mockFetch({
+            [PRIMARY]: [new Error('ECONNREFUSED')],
+            [MIRROR]: [mockResponse(200)],
+        });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR }], { fetch, sleep });
+
+        await expect(client.query('q')).resolves.toEqual(DATA);
+    });
+
+    test('retries all endpoints after the shortest Retry-After', async () => {
+        const fetch = mockFetch({
+            [PRIMARY]: [mockResponse(429, { headers: { 'Retry-After': '30' } }), mockResponse(200)],
+            [MIRROR]: [mockResponse(429, { headers: { 'Retry-After': '10' } })],
+        });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR }], { fetch, sleep });
+
+        await expect(client.query('q')).resolves.toEqual(DATA);
+        expect(sleep).toHaveBeenCalledWith(10000);
+    });
+
+    test('throws once every retry has failed', async () => {
+        const fetch = mockFetch({ [PRIMARY]: [mockResponse(504), mockResponse(504), mockResponse(504)] });
+        const client = createOverpassClient([{ url: PRIMARY }], { fetch, sleep, retries: 2 });
+
+        await expect(client.query('q')).rejects.toThrow('failed on all 1 endpoint(s)');
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not fail over when the query itself is rejected', async () => {
+        const fetch = mockFetch({ [PRIMARY]: [mockResponse(400)], [MIRROR]: [mockResponse(200)] });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR }], { fetch, sleep });
+
+        await expect(client.query('q')).rejects.toThrow('Overpass API response error');
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits for the slot reported by the status page', async () => {
+        const fetch = mockFetch({
+            'https://primary.example/api/status': [mockResponse(200, { text: 'Rate limit: 2\nSlot available after: x, in 12 seconds.\n' })],
+            [PRIMARY]: [mockResponse(200)],
+        });
+        const client = createOverpassClient([{ url: PRIMARY, checkStatus: true }], { fetch, sleep });
+
+        await expect(client.query('q')).resolves.toEqual(DATA);
+        expect(sleep).toHaveBeenCalledWith(12000);
+        expect(fetch.mock.calls.map(call => call[0])).toEqual(['https://primary.example/api/status', PRIMARY]);
+    });
+
+    test('reports the combined concurrency of its endpoints', () => {
+        const client = createOverpassClient([{ url: PRIMARY, maxConcurrent: 2 }, { url: MIRROR }], { sleep });
+        expect(client.concurrency).toBe(3);
+    });
+
+    test('never runs more queries at once than an endpoint allows', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const fetch = jest.fn(async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setImmediate(resolve));
+            running--;
+            return mockResponse(200);
+        });
+        const client = createOverpassClient([{ url: PRIMARY, maxConcurrent: 2 }], { fetch, sleep });
+
+        await Promise.all([1, 2, 3, 4, 5].map(i => client.query(`q${i}`)));
+        expect(fetch).toHaveBeenCalledTimes(5);
+        expect(maxRunning).toBe(2);
+    });
+
+    test('spreads concurrent queries over the endpoints', async () => {
+        const fetch = jest.fn(async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            return mockResponse(200);
+        });
+        const client = createOverpassClient([{ url: PRIMARY, maxConcurrent: 2 }, { url: MIRROR, maxConcurrent: 2 }], { fetch, sleep });
+
+        await Promise.all([1, 2, 3, 4].map(i => client.query(`q${i}`)));
+        expect(fetch.mock.calls.map(call => call[0])).toEqual([PRIMARY, PRIMARY, MIRROR, MIRROR]);
+    });
+
+    test('queues on the least busy endpoint once every slot is taken', async () => {
+        const fetch = jest.fn(async () => {
+            await new Promise(resolve => setImmediate(resolve));
+            return mockResponse(200);
+        });
+        const client = createOverpassClient([{ url: PRIMARY }, { url: MIRROR, maxConcurrent: 2 }], { fetch, sleep });
+
+        await Promise.all([1, 2, 3, 4, 5, 6].map(i => client.query(`q${i}`)));
+        const calls = fetch.mock.calls.map(call => call[0]);
+        expect(calls.filter(url => url === PRIMARY)).toHaveLength(2);
+        expect(calls.filter(url => url === MIRROR)).toHaveLength(4);
+    });
+});
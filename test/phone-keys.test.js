@@ -0,0 +1,40 @@
+const { getKeyPolicy, getPhoneKeys, hasPhoneKey, addKindTotals, buildOverpassTagFilters } = require('../src/phone-keys');
+
+describe('getKeyPolicy', () => {
+    test('finds the policy of a key', () => {
+        expect(getKeyPolicy('contact:whatsapp')).toMatchObject({ kind: 'whatsapp' });
+        expect(getKeyPolicy('name')).toBeNull();
+    });
+
+    test('uses the prefix policy for keys like phone:en', () => {
+        expect(getKeyPolicy('phone:en')).toMatchObject({ prefix: 'phone:', kind: 'phone' });
+        expect(getKeyPolicy('phone:')).toBeNull();
+    });
+});
+
+describe('getPhoneKeys', () => {
+    test('lists the checked keys in policy order', () => {
+        const tags = { 'phone:fr': '1', fax: '2', name: 'x', 'phone:en': '3', phone: '4' };
+        expect(getPhoneKeys(tags)).toEqual(['phone', 'fax', 'phone:en', 'phone:fr']);
+        expect(hasPhoneKey(tags)).toBe(true);
+        expect(hasPhoneKey({ name: 'x' })).toBe(false);
+    });
+});
+
+describe('addKindTotals', () => {
+    test('adds up totals, ignoring missing ones', () => {
+        const totals = addKindTotals({ phone: { checked: 2, invalid: 1 } }, { phone: { checked: 1, invalid: 0 }, fax: { checked: 1, invalid: 1 } });
+        expect(addKindTotals(totals, undefined)).toEqual({
+            phone: { checked: 3, invalid: 1 },
+            fax: { checked: 1, invalid: 1 },
+        });
+    });
+});
+
+describe('buildOverpassTagFilters', () => {
+    test('has a filter for each key and prefix', () => {
+        const filters = buildOverpassTagFilters();
+        expect(filters).toContain('["contact:whatsapp"~".*"]');
+        expect(filters).toContain('[~"^phone:"~"."]');
+    });
+});
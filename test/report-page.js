@@ -0,0 +1,243 @@
+// Runs the scripts of a generated report page against stand-ins for the browser's document,
+// location and localStorage, so that the filter bar and progress tracking can be tested without a
+// DOM library. The elements are made from the page's markup, with only what the scripts use.
+const vm = require('vm');
+
+// Selectors the scripts use for features these tests don't cover
+const IGNORED_SELECTORS = [':not(input)[data-editor-id]', '[data-report-tab]'];
+
+/**
+ * Makes a stand-in for localStorage, which can be shared by several pages.
+ * @param {Object<string, string>} [entries={}] - What is already saved.
+ * @returns {{getItem: function(string): (string|null), setItem: function(string, string), removeItem: function(string)}}
+ */
+function createStorage(entries = {}) {
+    const values = new Map(Object.entries(entries));
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => { values.set(key, String(value)); },
+        removeItem: key => { values.delete(key); },
+    };
+}
+
+/**
+ * Decodes the entities that `escapeHTML` writes.
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHTML(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#039;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the attributes of an opening tag.
+ * @param {string} text - What follows the tag name, e.g. ` id="a" class="b"`.
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, value] of text.matchAll(/([\w:-]+)(?:="([^"]*)")?/g)) {
+        attributes[name] = decodeHTML(value ?? '');
+    }
+    return attributes;
+}
+
+/**
+ * Makes a stand-in for an element. A select's value can only be one of its options, as in a browser.
+ * @param {string} tagName
+ * @param {Object<string, string>} [attributes={}]
+ * @returns {Object}
+ */
+function createElement(tagName, attributes = {}) {
+    const classes = new Set((attributes.class || '').split(/\s+/).filter(Boolean));
+    const listeners = {};
+    const dataset = Object.fromEntries(Object.entries(attributes)
+        .filter(([name]) => name.startsWith('data-'))
+        .map(([name, value]) => [name.slice(5).replace(/-(\w)/g, (match, letter) => letter.toUpperCase()), value]));
+
+    const element = {
+        tagName: tagName.toUpperCase(),
+        id: attributes.id || '',
+        dataset,
+        style: {},
+        textContent: '',
+        innerHTML: '',
+        options: [],
+        children: [],
+        parent: null,
+        classList: {
+            add: name => { classes.add(name); },
+            remove: name => { classes.delete(name); },
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            },
+        },
+        getAttribute: name => attributes[name] ?? null,
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        addEventListener: (type, listener) => { (listeners[type] = listeners[type] || []).push(listener); },
+        dispatch: (type) => (listeners[type] || []).forEach(listener => listener({ target: element, preventDefault() {}, stopPropagation() {} })),
+        appendChild: child => { element.children.push(child); },
+        insertAdjacentHTML: () => {},
+        contains: () => false,
+        closest: selector => {
+            for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+                if (selector === '.report-list-item' && ancestor.classList.contains('report-list-item')) {
+                    return ancestor;
+                }
+            }
+            return null;
+        },
+        querySelectorAll: selector => {
+            if (selector === '[data-progress]') {
+                return element.children.filter(child => child.dataset.progress);
+            }
+            throw new Error(`Unexpected selector ${selector}`);
+        },
+    };
+
+    if (element.tagName === 'SELECT') {
+        let value = '';
+        Object.defineProperty(element, 'value', {
+            get: () => value,
+            set: (newValue) => { value = element.options.includes(newValue) ? newValue : ''; },
+        });
+        Object.defineProperty(element, 'selectedIndex', {
+            get: () => element.options.indexOf(value),
+            set: (index) => { value = element.options[index] ?? ''; },
+        });
+    } else {
+        element.value = attributes.value || '';
+    }
+    return element;
+}
+
+/**
+ * Makes the elements of a page from its markup, leaving out the scripts.
+ * @param {string} html
+ * @returns {{byId: Map<string, Object>, items: Array<Object>, controls: Array<Object>}} The elements
+ * with IDs, the invalid items, with their progress buttons as children, and the filter controls.
+ */
+function parseElements(html) {
+    const byId = new Map();
+    const items = [];
+    const controls = [];
+    let currentItem = null;
+    let currentSelect = null;
+
+    const markup = html.replace(/<script[\s\S]*?<\/script>/g, '');
+    for (const [, tagName, attributeText] of markup.matchAll(/<([a-zA-Z][\w-]*)\b([^>]*)>/g)) {
+        const attributes = parseAttributes(attributeText);
+        const element = createElement(tagName, attributes);
+        if (element.id) {
+            byId.set(element.id, element);
+        }
+
+        // The items of the other sections have the same class, but not the data attributes
+        if (element.tagName === 'LI' && element.classList.contains('report-list-item')) {
+            currentItem = 'search' in element.dataset ? element : null;
+            if (currentItem) {
+                items.push(element);
+            }
+        } else if (element.dataset.progress && currentItem) {
+            element.parent = currentItem;
+            currentItem.children.push(element);
+        }
+
+        if (element.tagName === 'SELECT') {
+            currentSelect = element;
+        } else if (element.tagName === 'OPTION' && currentSelect) {
+            currentSelect.options.push(attributes.value);
+        }
+        if (element.dataset.filter) {
+            controls.push(element);
+        }
+    }
+    return { byId, items, controls };
+}
+
+/**
+ * Opens a generated report page: runs its inline scripts, then what they do once the page has loaded.
+ * @param {string} html - The page.
+ * @param {Object} [options]
+ * @param {Object} [options.localStorage] - From `createStorage`, to share saved progress between pages.
+ * @param {string} [options.hash=''] - The URL hash the page is opened with, e.g. `#issue=tooShort`.
+ * @returns {{document: Object, location: Object, localStorage: Object, items: Array<Object>, controls: Array<Object>, run: function(string): *}}
+ * `run` evaluates code in the page, e.g. to call its functions.
+ */
+function openReportPage(html, { localStorage = createStorage(), hash = '' } = {}) {
+    const { byId, items, controls } = parseElements(html);
+    const documentListeners = [];
+    const location = { pathname: '/report.html', search: '', hash };
+
+    const document = {
+        documentElement: createElement('html', { lang: (html.match(/<html lang="([^"]*)"/) || [])[1] || '' }),
+        head: createElement('head'),
+        getElementById: id => byId.get(id) || null,
+        createElement: tagName => createElement(tagName),
+        addEventListener: (type, listener) => documentListeners.push({ type, listener }),
+        querySelectorAll: selector => {
+            if (selector === '[data-filter]') {
+                return controls;
+            }
+            if (selector === '.report-list-item[data-search]') {
+                return items;
+            }
+            if (selector === '.report-list-item [data-progress]') {
+                return items.flatMap(item => item.children);
+            }
+            if (IGNORED_SELECTORS.includes(selector)) {
+                return [];
+            }
+            throw new Error(`Unexpected selector ${selector}`);
+        },
+    };
+
+    const context = vm.createContext({
+        document,
+        location,
+        localStorage,
+        console,
+        URLSearchParams,
+        window: { matchMedia: () => ({ matches: false }), addEventListener: () => {} },
+        history: {
+            replaceState: (state, title, url) => {
+                location.hash = url.includes('#') ? url.slice(url.indexOf('#')) : '';
+            },
+        },
+        setInterval: () => 0,
+        setTimeout,
+        alert: () => {},
+    });
+
+    for (const [, script] of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+        vm.runInContext(script, context);
+    }
+    documentListeners
+        .filter(({ type }) => type === 'DOMContentLoaded')
+        .forEach(({ listener }) => listener());
+
+    return {
+        document,
+        location,
+        localStorage,
+        items,
+        controls,
+        run: code => vm.runInContext(code, context),
+    };
+}
+
+module.exports = {
+    createStorage,
+    openReportPage,
+};
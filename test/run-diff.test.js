@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSnapshotPath, readSnapshot, saveSnapshot, diffRuns } = require('../src/run-diff');
+
+/**
+ * Creates an invalid item, as returned by `validateNumbers`.
+ * @param {string} type
+ * @param {number} id
+ * @returns {Object}
+ */
+function makeItem(type, id) {
+    return {
+        type,
+        id,
+        osmUrl: `https://www.openstreetmap.org/${type}/${id}`,
+        name: `Shop ${id}`,
+        allTags: { shop: 'bakery', phone: '123' },
+        invalidNumbers: { phone: '123' },
+        suggestedFixes: { phone: null },
+        autoFixable: false,
+    };
+}
+
+let outputDir;
+
+beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'osm-phones-run-diff-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('snapshots', () => {
+    test('are kept with the history', () => {
+        expect(getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur'))
+            .toBe(path.join(outputDir, 'history', 'items', 'belgium', 'wallonia', 'namur.json'));
+    });
+
+    test('is null when there is no snapshot', () => {
+        expect(readSnapshot(getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur'))).toBeNull();
+    });
+
+    test('saves what is needed to list an item', () => {
+        const filePath = getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur');
+        saveSnapshot(filePath, [makeItem('node', 1)], 1000);
+
+        expect(readSnapshot(filePath)).toEqual({
+            version: 1,
+            timestamp: 1000,
+            items: {
+                'node-1': { type: 'node', id: 1, name: 'Shop 1', allTags: { shop: 'bakery', phone: '123' }, invalidNumbers: { phone: '123' } },
+            },
+        });
+    });
+
+    test('ignores unreadable snapshots', () => {
+        const filePath = getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '{not json');
+
+        expect(readSnapshot(filePath)).toBeNull();
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
+
+describe('diffRuns', () => {
+    test('is null without a last build', () => {
+        expect(diffRuns(null, [makeItem('node', 1)])).toBeNull();
+    });
+
+    test('finds new, fixed and still open items', () => {
+        const filePath = getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur');
+        saveSnapshot(filePath, [makeItem('node', 1), makeItem('way', 2)], 1000);
+
+        const diff = diffRuns(readSnapshot(filePath), [makeItem('way', 2), makeItem('node', 3)]);
+
+        expect(diff.previousTimestamp).toBe(1000);
+        expect([...diff.newKeys]).toEqual(['node-3']);
+        expect(diff.fixed.map(item => item.id)).toEqual([1]);
+        expect(diff.stillOpenCount).toBe(1);
+    });
+
+    test('keys items by type as well as ID', () => {
+        const filePath = getSnapshotPath(outputDir, 'belgium', 'wallonia', 'namur');
+        saveSnapshot(filePath, [makeItem('node', 1)], 1000);
+
+        const diff = diffRuns(readSnapshot(filePath), [makeItem('way', 1)]);
+
+        expect([...diff.newKeys]).toEqual(['way-1']);
+        expect(diff.fixed).toHaveLength(1);
+    });
+});
@@ -0,0 +1,111 @@
+const { createWorkerPool, mapInPool } = require('../src/worker-pool');
+const { createOverpassClient } = require('../src/overpass-client');
+
+/**
+ * Creates a task that can be finished from the test, and records when it is running.
+ * @param {Object} tracker - Counts the tasks running at once.
+ * @param {*} value - The value the task resolves with.
+ */
+function controllableTask(tracker, value) {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const task = async () => {
+        tracker.running++;
+        tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+        await done;
+        tracker.running--;
+        return value;
+    };
+    return { task, finish };
+}
+
+/**
+ * Lets queued promise callbacks run.
+ */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createWorkerPool', () => {
+    test('rejects a limit that is not a positive integer', () => {
+        expect(() => createWorkerPool(0)).toThrow();
+        expect(() => createWorkerPool(1.5)).toThrow();
+        expect(() => createWorkerPool(NaN)).toThrow();
+    });
+
+    test('never runs more tasks at once than the limit', async () => {
+        const pool = createWorkerPool(2);
+        const tracker = { running: 0, maxRunning: 0 };
+        const tasks = [1, 2, 3, 4, 5].map(value => controllableTask(tracker, value));
+        const results = Promise.all(tasks.map(({ task }) => pool.run(task)));
+
+        await flush();
+        expect(tracker.running).toBe(2);
+
+        for (const { finish } of tasks) {
+            finish();
+            await flush();
+        }
+
+        expect(await results).toEqual([1, 2, 3, 4, 5]);
+        expect(tracker.maxRunning).toBe(2);
+    });
+
+    test('starts tasks in the order they were queued', async () => {
+        const pool = createWorkerPool(1);
+        const started = [];
+        await Promise.all(['a', 'b', 'c'].map(name => pool.run(async () => started.push(name))));
+        expect(started).toEqual(['a', 'b', 'c']);
+    });
+
+    test('passes on a task failure and carries on with the queue', async () => {
+        const pool = createWorkerPool(1);
+        const failing = pool.run(async () => { throw new Error('boom'); });
+        const next = pool.run(async () => 'next');
+        await expect(failing).rejects.toThrow('boom');
+        await expect(next).resolves.toBe('next');
+    });
+});
+
+describe('mapInPool', () => {
+    test('returns results in item order, whatever order the tasks finish in', async () => {
+        const pool = createWorkerPool(3);
+        const tracker = { running: 0, maxRunning: 0 };
+        const tasks = ['first', 'second', 'third'].map(value => controllableTask(tracker, value));
+        const results = mapInPool(pool, tasks, ({ task }) => task());
+
+        await flush();
+        [...tasks].reverse().forEach(({ finish }) => finish());
+
+        expect(await results).toEqual(['first', 'second', 'third']);
+        expect(tracker.maxRunning).toBe(3);
+    });
+
+    test('passes each item and its index', async () => {
+        const pool = createWorkerPool(2);
+        expect(await mapInPool(pool, ['a', 'b'], async (item, index) => `${index}:${item}`)).toEqual(['0:a', '1:b']);
+    });
+});
+
+describe('a pool sized by the Overpass client', () => {
+    test('keeps every endpoint busy, each up to its own limit', async () => {
+        const endpoints = [
+            { url: 'https://primary.example/api/interpreter', maxConcurrent: 2 },
+            { url: 'https://mirror.example/api/interpreter', maxConcurrent: 1 },
+        ];
+        const running = {};
+        const maxRunning = {};
+        const fetch = jest.fn(async (url) => {
+            running[url] = (running[url] || 0) + 1;
+            maxRunning[url] = Math.max(maxRunning[url] || 0, running[url]);
+            await flush();
+            running[url]--;
+            return { status: 200, ok: true, json: async () => ({ elements: [] }) };
+        });
+        const client = createOverpassClient(endpoints, { fetch, sleep: async () => {} });
+        const pool = createWorkerPool(client.concurrency);
+
+        await mapInPool(pool, [1, 2, 3, 4, 5, 6], item => client.query(`q${item}`));
+
+        expect(fetch).toHaveBeenCalledTimes(6);
+        expect(maxRunning).toEqual({ [endpoints[0].url]: 2, [endpoints[1].url]: 1 });
+    });
+});